@@ -183,7 +183,7 @@ CREATE TABLE TPoll (
    ,FDelay INTEGER          --
    ,FDelayVote REAL         -- Time to delay before vote is counted
    ,FWeight INTEGER         -- Poll weight is used for polls that are weighted.
-   ,FUseTie INTEGER DEFAULT 1
+   ,FUseTie INTEGER DEFAULT 1 -- How winner is decided when answers share highest score, codes in TCode group 10606 (TPoll.FUseTie)
    ,FDeleted INTEGER DEFAULT 0 -- if poll is deleted
 );
 CREATE INDEX "IC_TPoll_ParentK" ON TPoll (ParentK);
@@ -271,6 +271,74 @@ CREATE TABLE TPollAnswer (
 CREATE INDEX IC_TPollAnswer_PollK ON TPollAnswer (PollK);
 CREATE INDEX I_TPollAnswer_PollQuestionK ON TPollAnswer (PollQuestionK);
 
+/* Votes cast in poll, one row for each selected answer or free text answer. All rows sent together by voter share BallotK */
+CREATE TABLE TPollVote (
+   PollVoteK BLOB PRIMARY KEY DEFAULT (randomblob(16))
+   ,BallotK BLOB            -- ballot that vote belongs to
+   ,PollK BLOB
+   ,PollQuestionK BLOB
+   ,PollAnswerK BLOB        -- selected answer, null for free text answer
+   ,VoterK BLOB             -- Voter reference, same as BallotK for anonymous voters
+   ,CreateD DATETIME        -- when vote was cast
+   ,FText VARCHAR(2000)     -- free text answer
+   ,CONSTRAINT FK_TPollVote_PollK FOREIGN KEY (PollK) REFERENCES TPoll(PollK) ON DELETE CASCADE
+   ,CONSTRAINT FK_TPollVote_PollQuestionK FOREIGN KEY (PollQuestionK) REFERENCES TPollQuestion(PollQuestionK) ON DELETE CASCADE
+   ,CONSTRAINT FK_TPollVote_PollAnswerK FOREIGN KEY (PollAnswerK) REFERENCES TPollAnswer(PollAnswerK) ON DELETE CASCADE
+);
+CREATE INDEX IC_TPollVote_PollK ON TPollVote (PollK);
+CREATE INDEX I_TPollVote_BallotK ON TPollVote (BallotK);
+CREATE UNIQUE INDEX I_TPollVote_VoterK ON TPollVote (PollK, PollQuestionK, PollAnswerK, VoterK);
+-- free text votes have no answer and NULL is distinct in unique index, one text vote for each question and voter
+CREATE UNIQUE INDEX I_TPollVote_VoterK_Text ON TPollVote (PollK, PollQuestionK, VoterK) WHERE PollAnswerK IS NULL;
+
+-- FCount in TPollAnswer (number of votes) and TPoll (number of ballots) are caches kept by triggers for TPollVote
+CREATE TRIGGER TR_TPollVote_Insert AFTER INSERT ON TPollVote
+BEGIN
+   UPDATE TPollAnswer SET FCount = COALESCE(FCount, 0) + 1 WHERE PollAnswerK = NEW.PollAnswerK;
+   UPDATE TPoll SET FCount = COALESCE(FCount, 0) + 1 WHERE PollK = NEW.PollK AND NOT EXISTS (SELECT 1 FROM TPollVote WHERE BallotK = NEW.BallotK AND PollVoteK <> NEW.PollVoteK);
+END;
+
+CREATE TRIGGER TR_TPollVote_Delete AFTER DELETE ON TPollVote
+BEGIN
+   UPDATE TPollAnswer SET FCount = MAX(COALESCE(FCount, 0) - 1, 0) WHERE PollAnswerK = OLD.PollAnswerK;
+   UPDATE TPoll SET FCount = MAX(COALESCE(FCount, 0) - 1, 0) WHERE PollK = OLD.PollK AND NOT EXISTS (SELECT 1 FROM TPollVote WHERE BallotK = OLD.BallotK);
+END;
+
+-- Runoff poll for tie is created with one INSERT into VPollRunoff, one row for each answer that is copied to runoff.
+-- Poll, section and question are copied by first row that needs them. All rows are in same statement so runoff is
+-- complete or nothing is created if any row fails.
+CREATE VIEW VPollRunoff AS
+   SELECT NULL AS PollK        -- key for new runoff poll
+   ,NULL AS SuperK             -- poll that runoff is created from
+   ,NULL AS PollQuestionK      -- key for new question in runoff poll
+   ,NULL AS PollSectionK       -- key for new section in runoff poll, NULL if copied question has no section
+   ,NULL AS FromQuestionK      -- question that is copied
+   ,NULL AS FromAnswerK        -- answer that is copied
+   WHERE 0;
+
+CREATE TRIGGER TR_VPollRunoff_Insert INSTEAD OF INSERT ON VPollRunoff
+BEGIN
+   SELECT RAISE(ABORT, 'Answer for runoff not found in poll') WHERE NOT EXISTS (SELECT 1 FROM TPollAnswer a_ JOIN TPollQuestion q_ ON q_.PollQuestionK = a_.PollQuestionK
+      WHERE a_.PollAnswerK = NEW.FromAnswerK AND q_.PollQuestionK = NEW.FromQuestionK AND q_.PollK = NEW.SuperK);
+
+   INSERT INTO TPoll (PollK, SuperK, CreateD, TypeC, ClassC, ChartC, FName, FHeader, FDescription, FRate, FWeight, FUseTie)
+      SELECT NEW.PollK, PollK, datetime('now', 'localtime'), TypeC, ClassC, ChartC, FName || ' (runoff)', FHeader, FDescription, FRate, FWeight, FUseTie
+      FROM TPoll WHERE PollK = NEW.SuperK AND NOT EXISTS (SELECT 1 FROM TPoll WHERE PollK = NEW.PollK);
+
+   INSERT INTO TPollSection (PollSectionK, PollK, FIndex, FDescription)
+      SELECT NEW.PollSectionK, NEW.PollK, s_.FIndex, s_.FDescription
+      FROM TPollQuestion q_ JOIN TPollSection s_ ON s_.PollSectionK = q_.PollSectionK
+      WHERE q_.PollQuestionK = NEW.FromQuestionK AND NEW.PollSectionK IS NOT NULL AND NOT EXISTS (SELECT 1 FROM TPollSection WHERE PollSectionK = NEW.PollSectionK);
+
+   INSERT INTO TPollQuestion (PollQuestionK, PollK, PollSectionK, CreateD, TypeC, FName, FLabel, FDescription, FWeight, FOrder)
+      SELECT NEW.PollQuestionK, NEW.PollK, NEW.PollSectionK, datetime('now', 'localtime'), TypeC, FName, FLabel, FDescription, FWeight, FOrder
+      FROM TPollQuestion WHERE PollQuestionK = NEW.FromQuestionK AND NOT EXISTS (SELECT 1 FROM TPollQuestion WHERE PollQuestionK = NEW.PollQuestionK);
+
+   INSERT INTO TPollAnswer (PollK, PollQuestionK, PollSectionK, CreateD, TypeC, FName, FLabel, FDescription, FWeight, FScore, FOrder)
+      SELECT NEW.PollK, NEW.PollQuestionK, NEW.PollSectionK, datetime('now', 'localtime'), TypeC, FName, FLabel, FDescription, FWeight, FScore, FOrder
+      FROM TPollAnswer WHERE PollAnswerK = NEW.FromAnswerK;
+END;
+
 
 -- Insert table numbers for all tables in the script
 -- Starting at 1000, incrementing by 10 for each table
@@ -288,6 +356,7 @@ INSERT INTO table_number (number, name, description) VALUES (1080, 'TPollComment
 INSERT INTO table_number (number, name, description) VALUES (1090, 'TPollLimit', 'Poll limits and rules');
 INSERT INTO table_number (number, name, description) VALUES (1100, 'TPollQuestion', 'Poll questions table');
 INSERT INTO table_number (number, name, description) VALUES (1110, 'TPollAnswer', 'Poll answers table');
+INSERT INTO table_number (number, name, description) VALUES (1120, 'TPollVote', 'Votes cast in polls');
 
 
 -- TCodeGroup inserts for code groups
@@ -317,7 +386,22 @@ INSERT INTO TCodeGroup (CodeGroupK, FName, FDescription, FTable, FMainTable) VAL
     (10602, 'TPoll.StateC', 'Poll state codes (Draft, Published, Closed, Archived, etc.)', 'TPoll', 'TPoll'),
     (10603, 'TPoll.ClassC', 'Poll class/category codes', 'TPoll', 'TPoll'),
     (10604, 'TPoll.ChartC', 'Poll chart presentation type codes', 'TPoll', 'TPoll'),
-    (10605, 'TPoll.DisplayC', 'Poll display type codes', 'TPoll', 'TPoll');
+    (10605, 'TPoll.DisplayC', 'Poll display type codes', 'TPoll', 'TPoll'),
+    (10606, 'TPoll.FUseTie', 'Tie policy codes, how winner is decided when answers share highest score', 'TPoll', 'TPoll');
+
+-- TPoll.ChartC codes (code group 10604), FId is value in ChartC and FSystemName is chart type used by UIPollResult
+INSERT INTO TCode (CodeGroupK, FId, FName, FSystemName, FDescription, FDefault) VALUES
+    (10604, 1, 'Bar chart', 'bar', 'Votes for each answer shown as bars', 1),
+    (10604, 2, 'Pie chart', 'pie', 'Share of votes for each answer shown as pie slices', 0),
+    (10604, 3, 'Stacked bar', 'stacked', 'Share of votes for each answer shown as one stacked bar', 0);
+
+-- TPoll.FUseTie codes (code group 10606), FId is value in FUseTie and FSystemName is tie policy used by PollTally
+INSERT INTO TCode (CodeGroupK, FId, FName, FSystemName, FDescription, FDefault) VALUES
+    (10606, 1, 'Report tie', 'report', 'No winner, tie is reported', 1),
+    (10606, 2, 'Earliest vote', 'earliest', 'Tied answer that got its first vote earliest wins', 0),
+    (10606, 3, 'Weighted score', 'weighted', 'Tied answers are compared on weighted total and then on vote count', 0),
+    (10606, 4, 'Random', 'random', 'Winner is drawn with random seed that is saved with result', 0),
+    (10606, 5, 'Runoff', 'runoff', 'No winner, tied answers are voted on again in runoff poll', 0);
 
 -- TPollSection codes (table_number 1070)
 INSERT INTO TCodeGroup (CodeGroupK, FName, FDescription, FTable, FMainTable) VALUES
@@ -337,6 +421,12 @@ INSERT INTO TCodeGroup (CodeGroupK, FName, FDescription, FTable, FMainTable) VAL
     (11001, 'TPollQuestion.TypeC', 'Poll question type codes (Single choice, Multiple choice, Text, etc.)', 'TPollQuestion', 'TPoll'),
     (11002, 'TPollQuestion.StateC', 'Poll question state codes', 'TPollQuestion', 'TPoll');
 
+-- TPollQuestion.TypeC codes (code group 11001), FId is value in TypeC and FSystemName is question type used by Ballot
+INSERT INTO TCode (CodeGroupK, FId, FName, FSystemName, FDescription, FDefault) VALUES
+    (11001, 1, 'Single choice', 'single', 'Voter selects one answer', 1),
+    (11001, 2, 'Multiple choice', 'multiple', 'Voter selects one or more answers', 0),
+    (11001, 3, 'Text', 'text', 'Voter answers with free text', 0);
+
 -- TPollAnswer codes (table_number 1110)
 INSERT INTO TCodeGroup (CodeGroupK, FName, FDescription, FTable, FMainTable) VALUES
     (11101, 'TPollAnswer.TypeC', 'Poll answer type codes', 'TPollAnswer', 'TPoll'),
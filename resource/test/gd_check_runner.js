@@ -0,0 +1,26 @@
+// @FILE [tag: check] [description: Runner shared by check scripts in resource/test, prints result for each check and sets exit code when a check fails] [name: gd_check_runner.js]
+
+"use strict";
+
+let iFailed_g = 0;
+
+/** ---------------------------------------------------------------------------
+ * Run one check and print result, failed checks are counted and sets exit code
+ * @param {string} sName - Name for check
+ * @param {Function} fnCheck - Check that throws if it fails
+ */
+function Check(sName, fnCheck) {
+   try { fnCheck(); console.log(`ok   ${sName}`); }
+   catch( error_ ) { iFailed_g++; console.log(`FAIL ${sName}\n     ${error_.message}`); }
+}
+
+/** ---------------------------------------------------------------------------
+ * Print number of failed checks, call last in check script
+ * @returns {number} Number of failed checks
+ */
+function Finish() {
+   if( iFailed_g > 0 ) { console.log(`${iFailed_g} check(s) failed`); process.exitCode = 1; }
+   return iFailed_g;
+}
+
+module.exports = { Check, Finish };
@@ -0,0 +1,247 @@
+// @FILE [tag: table, check] [description: Checks for Table CSV, JSON, XML, GroupBy, Join and Lookup that run in Node without browser, run from repository root with "node resource/test/gd_data_table_check.js"] [name: gd_data_table_check.js]
+
+"use strict";
+
+const assert = require("node:assert/strict");
+const { Check, Finish } = require("./gd_check_runner.js");
+const { Table } = require("../../target/vote/js/gd_data_table.js");
+
+// Column names in table
+const Names = (oTable) => oTable.aColumn.map(column_ => column_.sName);
+
+/** ---------------------------------------------------------------------------
+ * Parse XML written by Table.ToXml to elements with the DOM members FromXml
+ * reads, Node has no DOMParser. Only handles what ToXml writes: elements,
+ * attributes, text and the five predefined entities.
+ * @param {string} sXml - XML text
+ * @returns {Object} root element
+ */
+function ParseXml(sXml) {
+   const fnDecode = (s_) => s_.replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, "&");
+   const Element = (sTag, oAttribute) => ({
+      tagName: sTag, children: [], textContent: "",
+      getAttribute(sName) { return this.hasAttribute(sName) ? oAttribute[sName] : null; },
+      hasAttribute(sName) { return Object.prototype.hasOwnProperty.call(oAttribute, sName); }
+   });
+
+   const aStack = [Element("#document", {})];
+   const regexToken = /<(\/?)([\w.-]+)((?:\s+[^\s=/>]+="[^"]*")*)\s*(\/?)>|([^<]+)/g;
+   let aMatch;
+   while( (aMatch = regexToken.exec(sXml)) !== null ) {
+      const eParent = aStack[aStack.length - 1];
+      if( aMatch[5] !== undefined ) { eParent.textContent += fnDecode(aMatch[5]); continue; }
+      if( aMatch[1] === "/" ) { aStack.pop(); continue; }
+
+      const oAttribute = {};
+      for( const [, sName, sValue] of aMatch[3].matchAll(/([^\s=]+)="([^"]*)"/g) ) { oAttribute[sName] = fnDecode(sValue); }
+      const eElement = Element(aMatch[2], oAttribute);
+      eParent.children.push(eElement);
+      if( aMatch[4] !== "/" ) { aStack.push(eElement); }
+   }
+
+   return aStack[0].children[0];
+}
+
+// ## CSV .......................................................................
+
+Check("FromCsv keeps separator, quote and newline in quoted fields", () => {
+   const oTable = Table.FromCsv('alias,name,note\r\njdoe,"Doe, John","said ""hi""\nand left"\r\nasmith,Smith,\r\n');
+   assert.deepEqual(Names(oTable), ["alias", "name", "note"]);
+   assert.equal(oTable.Size(), 2);
+   assert.equal(oTable.GetCellValue(0, "name"), "Doe, John");
+   assert.equal(oTable.GetCellValue(0, "note"), 'said "hi"\nand left');
+   assert.equal(oTable.GetCellValue(1, "note"), "");
+});
+
+Check("FromCsv drops trailing blank lines and trims header names", () => {
+   const oTable = Table.FromCsv(" alias ; age \njdoe;30\nasmith;007\n\n\r\n", { sSeparator: ";" });
+   assert.deepEqual(Names(oTable), ["alias", "age"]);
+   assert.equal(oTable.Size(), 2);
+   assert.equal(oTable.GetColumnType(1), "string");                          // "007" is a code, not a number
+});
+
+Check("FromCsv converts number columns and detects missing header", () => {
+   const oTable = Table.FromCsv("1,a\n2,\n,c\n");
+   assert.deepEqual(Names(oTable), ["column1", "column2"]);
+   assert.equal(oTable.GetColumnType(0), "number");
+   assert.deepEqual(oTable.Data().map(aRow => aRow[0]), [1, 2, null]);
+});
+
+Check("ToCsv quotes fields and round trips with FromCsv", () => {
+   const oTable = new Table([{ sName: "alias" }, { sName: "note" }, { sName: "age", sType: "number" }]);
+   oTable.Add([["jdoe", 'a, "b"', 30], ["asmith", " line\r\nbreak", null]]);
+   const sCsv = oTable.ToCsv();
+   assert.equal(sCsv, 'alias,note,age\r\njdoe,"a, ""b""",30\r\nasmith," line\r\nbreak",\r\n');
+
+   const oRead = Table.FromCsv(sCsv);
+   assert.deepEqual(oRead.Data(), [["jdoe", 'a, "b"', 30], ["asmith", " line\r\nbreak", null]]);
+});
+
+Check("Add parses CSV text and keeps single value as one row", () => {
+   const oTable = new Table(["name", "age"]);
+   oTable.Add('"Doe, John",30\r\n"Smith, Jane",25\r\n\r\n');
+   oTable.Add("Solo");
+   oTable.Add("John;40", ";");
+   assert.deepEqual(oTable.Data(), [["Doe, John", "30"], ["Smith, Jane", "25"], ["Solo"], ["John", "40"]]);
+});
+
+// ## JSON and XML .............................................................
+
+// Table with text that needs escaping, numbers, null and dates
+const SerializeTable = () => {
+   const oTable = new Table([{ sName: "name" }, { sName: "votes", sType: "number" }, { sName: "created", sType: "object", sAlias: "Created" }], { sName: "poll" });
+   oTable.Add([["<Tom & \"Jerry\">", 3, new Date("2026-03-01T10:15:00.000Z")], ["it's", null, null]]);
+   return oTable;
+};
+
+Check("ToJson and FromJson round trip dates, numbers and null", () => {
+   const oTable = Table.FromJson(SerializeTable().ToJson());
+   assert.equal(oTable.sName, "poll");
+   assert.deepEqual(Names(oTable), ["name", "votes", "created"]);
+   assert.equal(oTable.GetColumnType(2), "date");                            // column with Date values is written as date
+   assert.equal(oTable.aColumn[2].sAlias, "Created");
+   assert.ok(oTable.GetCellValue(0, "created") instanceof Date);
+   assert.equal(oTable.GetCellValue(0, "created").toISOString(), "2026-03-01T10:15:00.000Z");
+   assert.equal(oTable.GetCellValue(0, "name"), "<Tom & \"Jerry\">");
+   assert.equal(oTable.GetCellValue(1, "votes"), null);
+   assert.equal(oTable.GetCellValue(1, "created"), null);
+});
+
+Check("FromJson reads array with objects from AsJson", () => {
+   const oTable = Table.FromJson(SerializeTable().AsJson());
+   assert.deepEqual(Names(oTable), ["name", "votes", "created"]);
+   assert.equal(oTable.GetColumnType(1), "number");
+   assert.equal(oTable.GetCellValue(0, "votes"), 3);
+});
+
+Check("ToXml and FromXml round trip dates, numbers and null", () => {
+   const sXml = SerializeTable().ToXml();
+   assert.match(sXml, /&lt;Tom &amp; &quot;Jerry&quot;&gt;/);
+   assert.match(sXml, /type="date"/);
+
+   const oTable = Table.FromXml(ParseXml(sXml));
+   assert.equal(oTable.sName, "poll");
+   assert.equal(oTable.GetColumnType(2), "date");
+   assert.equal(oTable.GetCellValue(0, "created").toISOString(), "2026-03-01T10:15:00.000Z");
+   assert.equal(oTable.GetCellValue(0, "name"), "<Tom & \"Jerry\">");
+   assert.equal(oTable.GetCellValue(0, "votes"), 3);
+   assert.equal(oTable.GetCellValue(1, "name"), "it's");
+   assert.equal(oTable.GetCellValue(1, "votes"), null);
+});
+
+Check("ToXml and FromXml round trip with values in attributes", () => {
+   const oOptions = { bAttribute: true, sRow: "vote" };
+   const oTable = Table.FromXml(ParseXml(SerializeTable().ToXml(oOptions)), oOptions);
+   assert.equal(oTable.Size(), 2);
+   assert.equal(oTable.GetCellValue(0, "created").getTime(), Date.UTC(2026, 2, 1, 10, 15));
+   assert.equal(oTable.GetCellValue(1, "created"), null);
+});
+
+// ## GroupBy ...................................................................
+
+// Votes with answer, voter weight and score
+const VoteTable = () => {
+   const oTable = new Table([{ sName: "answer" }, { sName: "voter" }, { sName: "weight", sType: "number" }, { sName: "score", sType: "number" }]);
+   oTable.Add([
+      ["yes", "v1", 20, 4],
+      ["yes", "v2", null, 2],
+      ["no", "v3", 10, null],
+      ["yes", "v1", 20, ""],
+      ["no", "v4", 1, 5]
+   ]);
+   return oTable;
+};
+
+Check("GroupBy counts, sums and finds min, max and distinct", () => {
+   const oResult = VoteTable().GroupBy("answer", [
+      { sAggregate: "count", sName: "votes" },
+      { sAggregate: "count", iColumn: "score", sName: "scored" },
+      { sAggregate: "sum", iColumn: "score" },
+      { sAggregate: "min", iColumn: "score" },
+      { sAggregate: "max", iColumn: "score" },
+      { sAggregate: "distinct", iColumn: "voter", sName: "voters" }
+   ]);
+   assert.deepEqual(Names(oResult), ["answer", "votes", "scored", "sum_score", "min_score", "max_score", "voters"]);
+   assert.deepEqual(oResult.Data(), [["yes", 3, 2, 6, 2, 4, 2], ["no", 2, 1, 5, 5, 5, 2]]);
+});
+
+Check("GroupBy weighted count uses weight column, rate and weight 1 for empty weight", () => {
+   const oResult = VoteTable().GroupBy("answer", [
+      { sAggregate: "count", weight_: "weight", sName: "weighted" },
+      { sAggregate: "count", weight_: "weight", dRate: 0.5, sName: "rated" },
+      { sAggregate: "count", weight_: 2, sName: "double" }
+   ]);
+   assert.deepEqual(oResult.Data(), [["yes", 41, 20.5, 6], ["no", 11, 5.5, 4]]);
+});
+
+Check("GroupBy weighted avg divides with sum of weight for rows with value", () => {
+   const oResult = VoteTable().GroupBy("answer", [
+      { sAggregate: "avg", iColumn: "score", sName: "avg" },
+      { sAggregate: "avg", iColumn: "score", weight_: "weight", sName: "weighted" }
+   ]);
+   assert.deepEqual(oResult.Data(), [["yes", 3, (4 * 20 + 2 * 1) / 21], ["no", 5, 5]]);
+});
+
+Check("GroupBy without group columns and with rows from FindAll", () => {
+   const oTable = VoteTable();
+   assert.deepEqual(oTable.GroupBy([], [{ sAggregate: "count" }]).Data(), [[5]]);
+   assert.deepEqual(oTable.GroupBy([], [{ sAggregate: "count" }], { aRows: [0, 4] }).Data(), [[2]]);
+   assert.throws(() => oTable.GroupBy("answer", [{ sAggregate: "median", iColumn: "score" }]), /Unknown aggregate/);
+});
+
+// ## Join and Lookup ...........................................................
+
+// Answers with question key and questions, "FName" exists in both tables
+const AnswerTable = () => {
+   const oTable = new Table([{ sName: "PollAnswerK" }, { sName: "PollQuestionK" }, { sName: "FName" }]);
+   oTable.Add([["a1", 1, "Yes"], ["a2", 1, "No"], ["a3", 3, "Maybe"], ["a4", null, "Orphan"]]);
+   return oTable;
+};
+const QuestionTable = () => {
+   const oTable = new Table([{ sName: "PollQuestionK" }, { sName: "FName" }, { sName: "FWeight", sType: "number" }], { sName: "question" });
+   oTable.Add([["1", "Agree?", 1], [2, "Rate", null]]);
+   return oTable;
+};
+
+Check("inner join matches keys as text and prefixes duplicate columns", () => {
+   const oResult = AnswerTable().Join(QuestionTable(), "PollQuestionK");
+   assert.deepEqual(Names(oResult), ["PollAnswerK", "PollQuestionK", "FName", "question.FName", "FWeight"]);
+   assert.deepEqual(oResult.Data(), [["a1", 1, "Yes", "Agree?", 1], ["a2", 1, "No", "Agree?", 1]]);
+});
+
+Check("left join keeps rows without match and empty keys never match", () => {
+   const oResult = AnswerTable().Join(QuestionTable(), "PollQuestionK", "left", { sPrefix: "q_" });
+   assert.deepEqual(Names(oResult), ["PollAnswerK", "PollQuestionK", "FName", "q_FName", "FWeight"]);
+   assert.equal(oResult.Size(), 4);
+   assert.deepEqual(oResult.Data()[2], ["a3", 3, "Maybe", null, null]);
+   assert.deepEqual(oResult.Data()[3], ["a4", null, "Orphan", null, null]);
+});
+
+Check("full join adds rows only in other table with join value set", () => {
+   const oQuestion = QuestionTable();
+   oQuestion.sName = "";
+   const oResult = AnswerTable().Join(oQuestion, { iLeft: "PollQuestionK", iRight: "PollQuestionK" }, "full");
+   assert.deepEqual(Names(oResult), ["PollAnswerK", "PollQuestionK", "FName", "right.FName", "FWeight"]);
+   assert.equal(oResult.Size(), 5);
+   assert.deepEqual(oResult.Data()[4], [null, 2, null, "Rate", null]);
+   assert.throws(() => AnswerTable().Join(oQuestion, "PollQuestionK", "cross"), /Unknown join type/);
+});
+
+Check("Lookup adds column and replaces values when run again", () => {
+   const oCode = new Table([{ sName: "CodeK" }, { sName: "FName" }]);
+   oCode.Add([[1061, "Open"], ["1062", "Closed"], [1061, "Duplicate"]]);
+
+   const oPoll = new Table([{ sName: "PollK" }, { sName: "StateC" }]);
+   oPoll.Add([["p1", "1061"], ["p2", 1062], ["p3", 9]]);
+
+   const iColumn = oPoll.Lookup("StateC", oCode, "FName", { default_: "?" });
+   assert.equal(Names(oPoll)[iColumn], "StateC_FName");
+   assert.deepEqual(oPoll.Data().map(aRow => aRow[iColumn]), ["Open", "Closed", "?"]); // first row wins for same key
+
+   oPoll.SetCellValue(2, "StateC", 1062);
+   assert.equal(oPoll.Lookup("StateC", oCode, "FName", { default_: "?" }), iColumn); // same column is reused
+   assert.equal(oPoll.GetColumnCount(), 3);
+   assert.deepEqual(oPoll.Data().map(aRow => aRow[iColumn]), ["Open", "Closed", "Closed"]);
+});
+
+Finish();
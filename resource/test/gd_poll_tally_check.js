@@ -0,0 +1,204 @@
+// @FILE [tag: poll, tally, check] [description: Checks for PollTally that run in Node without browser, run from repository root with "node resource/test/gd_poll_tally_check.js"] [name: gd_poll_tally_check.js]
+
+"use strict";
+
+const assert = require("node:assert/strict");
+const { Check, Finish } = require("./gd_check_runner.js");
+const { PollTally } = require("../../target/vote/js/gd_poll_tally.js");
+
+// Vote row, same columns as PollTally.LoadVotes ------------------------------
+const Vote = (sBallot, sQuestion, sAnswer, sCreated) => ({ BallotK: sBallot, VoterK: sBallot, PollQuestionK: sQuestion, PollAnswerK: sAnswer, CreateD: sCreated ?? null });
+
+// Find answer in result for question
+const Answer = (oResult, sQuestion, sAnswer) => oResult.aQuestion.find(oQuestion => oQuestion.sQuestionKey === sQuestion).aAnswer.find(oAnswer => oAnswer.sAnswerKey === sAnswer);
+
+/** ---------------------------------------------------------------------------
+ * Poll with one qualifying question (ROLE) and one question that is voted on (Q)
+ * trainer = 20, athlete = 10 and public has no weight (NULL)
+ */
+const PollData = (oPoll = {}) => ({
+   oPoll: Object.assign({ PollK: "P1", FRate: null, FWeight: null, FUseTie: 1 }, oPoll),
+   aQuestion: [{ PollQuestionK: "ROLE", FWeight: 1 }, { PollQuestionK: "Q", FWeight: null }],
+   aAnswer: [
+      { PollAnswerK: "trainer", PollQuestionK: "ROLE", FWeight: 20 },
+      { PollAnswerK: "athlete", PollQuestionK: "ROLE", FWeight: 10 },
+      { PollAnswerK: "public", PollQuestionK: "ROLE", FWeight: null },
+      { PollAnswerK: "yes", PollQuestionK: "Q", FWeight: null },
+      { PollAnswerK: "no", PollQuestionK: "Q", FWeight: null }
+   ]
+});
+
+const aVote_g = [
+   Vote("b1", "ROLE", "trainer"), Vote("b1", "Q", "no"),
+   Vote("b2", "ROLE", "public"), Vote("b2", "Q", "yes"),
+   Vote("b3", "Q", "yes"),                                                    // no answer in qualifying question
+   Vote("b4", "ROLE", "athlete"), Vote("b4", "Q", "yes")
+];
+
+// ## Raw and weighted totals ...................................................
+
+Check("raw totals count one vote for each ballot", () => {
+   const oResult = new PollTally(PollData(), { bWeighted: false }).Calculate(aVote_g);
+   assert.equal(oResult.bWeighted, false);
+   assert.equal(Answer(oResult, "Q", "yes").iCount, 3);
+   assert.equal(Answer(oResult, "Q", "yes").dWeight, 3);
+   assert.equal(Answer(oResult, "Q", "no").dWeight, 1);
+   assert.equal(oResult.iBallot, 4);
+});
+
+Check("weighted totals use weight from qualifying question", () => {
+   const oResult = new PollTally(PollData()).Calculate(aVote_g);
+   assert.equal(oResult.bWeighted, true);
+   assert.deepEqual(oResult.oVoterWeight, { b1: 20, b2: 1, b3: 1, b4: 10 });
+   assert.equal(Answer(oResult, "Q", "yes").iCount, 3);
+   assert.equal(Answer(oResult, "Q", "yes").dWeight, 12);
+   assert.equal(Answer(oResult, "Q", "no").dWeight, 20);
+   assert.equal(oResult.aQuestion[1].dTotal, 32);
+   assert.equal(Answer(oResult, "Q", "no").dWeightPercent, 62.5);
+});
+
+Check("FRate scales weighted totals", () => {
+   const oResult = new PollTally(PollData({ FRate: 0.5 })).Calculate(aVote_g);
+   assert.equal(oResult.dRate, 0.5);
+   assert.equal(Answer(oResult, "Q", "no").dWeight, 10);
+   assert.equal(oResult.dBallot, 16);
+});
+
+// ## Qualifying questions ......................................................
+
+Check("weights from two qualifying questions are combined with sCombine", () => {
+   const oData = PollData();
+   oData.aQuestion.push({ PollQuestionK: "LEVEL", FWeight: 1 });
+   oData.aAnswer.push({ PollAnswerK: "pro", PollQuestionK: "LEVEL", FWeight: 3 });
+   const aVote = [Vote("b1", "ROLE", "athlete"), Vote("b1", "LEVEL", "pro"), Vote("b1", "Q", "yes")];
+
+   assert.equal(new PollTally(oData).GetVoterWeights(aVote).get("b1"), 30);
+   assert.equal(new PollTally(oData, { sCombine: "sum" }).GetVoterWeights(aVote).get("b1"), 13);
+   assert.equal(new PollTally(oData, { sCombine: "max" }).GetVoterWeights(aVote).get("b1"), 10);
+});
+
+Check("highest weight is used for more than one answer in qualifying question", () => {
+   const aVote = [Vote("b1", "ROLE", "athlete"), Vote("b1", "ROLE", "trainer"), Vote("b1", "Q", "yes")];
+   assert.equal(new PollTally(PollData()).GetVoterWeights(aVote).get("b1"), 20);
+});
+
+Check("aQualify option selects qualifying questions", () => {
+   const oTally = new PollTally(PollData(), { aQualify: [] });
+   assert.equal(oTally.IsQualifying("ROLE"), false);
+   assert.equal(oTally.bWeighted, false);
+});
+
+// ## Zero and NULL weights ......................................................
+
+Check("NULL answer weight gives dDefaultWeight", () => {
+   const oWeight = new PollTally(PollData(), { dDefaultWeight: 2 }).GetVoterWeights(aVote_g);
+   assert.equal(oWeight.get("b2"), 2);                                        // public, FWeight is NULL
+   assert.equal(oWeight.get("b3"), 2);                                        // no answer in qualifying question
+});
+
+Check("zero answer weight gives voter weight 0", () => {
+   const oData = PollData();
+   oData.aAnswer[2].FWeight = 0;
+   const oResult = new PollTally(oData).Calculate(aVote_g);
+   assert.equal(oResult.oVoterWeight.b2, 0);
+   assert.equal(Answer(oResult, "Q", "yes").iCount, 3);
+   assert.equal(Answer(oResult, "Q", "yes").dWeight, 11);
+});
+
+Check("zero or NULL question weight is not qualifying and poll is not weighted", () => {
+   const oData = PollData();
+   oData.aQuestion[0].FWeight = 0;
+   const oTally = new PollTally(oData);
+   assert.equal(oTally.IsQualifying("ROLE"), false);
+   assert.equal(oTally.bWeighted, false);
+   assert.equal(oTally.dRate, 1);
+});
+
+Check("zero or empty FRate is 1", () => {
+   assert.equal(new PollTally(PollData({ FRate: 0 })).dRate, 1);
+   assert.equal(new PollTally(PollData({ FRate: "" })).dRate, 1);
+});
+
+Check("votes for questions and answers not in poll are ignored", () => {
+   const oResult = new PollTally(PollData()).Calculate([Vote("b1", "Q", "yes"), Vote("b1", "X", "yes"), Vote("b1", "Q", "trainer")]);
+   assert.equal(oResult.iIgnored, 2);
+   assert.equal(oResult.aQuestion[1].iTotal, 1);
+});
+
+// ## Ties .......................................................................
+
+// b1 and b2 vote "yes", b3 and b4 vote "no", raw tie. b3 is athlete so "no" wins weighted.
+// Votes are ordered by time like votes from LoadVotes, first vote for "no" is earliest.
+const aTie_g = [
+   Vote("b3", "Q", "no", "2026-01-01 10:00"), Vote("b3", "ROLE", "athlete", "2026-01-01 10:00"), Vote("b1", "Q", "yes", "2026-01-01 10:01"),
+   Vote("b4", "Q", "no", "2026-01-01 10:02"), Vote("b2", "Q", "yes", "2026-01-01 10:03")
+];
+const Outcome = (oPoll, options_) => new PollTally(PollData(oPoll), Object.assign({ sScore: "raw" }, options_)).Calculate(aTie_g).aQuestion[1].oOutcome;
+
+Check("single leader is winner", () => {
+   const oOutcome = new PollTally(PollData()).Calculate(aVote_g).aQuestion[1].oOutcome;
+   assert.equal(oOutcome.sResolution, "winner");
+   assert.equal(oOutcome.sWinnerKey, "no");
+   assert.equal(oOutcome.bTie, false);
+});
+
+Check("question without votes has no winner", () => {
+   const oOutcome = new PollTally(PollData()).Calculate([]).aQuestion[1].oOutcome;
+   assert.equal(oOutcome.sResolution, "none");
+   assert.equal(oOutcome.sWinnerKey, null);
+});
+
+Check("FUseTie 1 reports tie", () => {
+   const oOutcome = Outcome({ FUseTie: 1 });
+   assert.equal(oOutcome.sPolicy, "report");
+   assert.equal(oOutcome.sResolution, "tie");
+   assert.equal(oOutcome.bTie, true);
+   assert.deepEqual(oOutcome.aLeader, ["yes", "no"]);                       // answer order, not vote order
+   assert.equal(oOutcome.sWinnerKey, null);
+});
+
+Check("earliest vote breaks tie", () => {
+   const oOutcome = Outcome({ FUseTie: 2 });
+   assert.equal(oOutcome.sResolution, "earliest");
+   assert.equal(oOutcome.sWinnerKey, "no");
+   assert.equal(oOutcome.sFirstVote, "2026-01-01 10:00");
+});
+
+Check("weighted score breaks tie", () => {
+   const oOutcome = Outcome({ FUseTie: 3 });
+   assert.equal(oOutcome.sResolution, "weighted");
+   assert.equal(oOutcome.sWinnerKey, "no");
+});
+
+Check("random draw is repeated with same seed", () => {
+   const oResult = new PollTally(PollData({ FUseTie: 4 }), { sScore: "raw", iSeed: 42 }).Calculate(aTie_g);
+   const oOutcome = oResult.aQuestion[1].oOutcome;
+   assert.equal(oResult.iSeed, 42);
+   assert.equal(oOutcome.sResolution, "random");
+   assert.equal(oOutcome.iSeed, 42);
+   assert.ok(["yes", "no"].includes(oOutcome.sWinnerKey));
+   for( let i = 0; i < 5; i++ ) { assert.equal(Outcome({ FUseTie: 4 }, { iSeed: 42 }).sWinnerKey, oOutcome.sWinnerKey); }
+});
+
+Check("runoff lists tied answers without winner", () => {
+   const oOutcome = Outcome({ FUseTie: 5 });
+   assert.equal(oOutcome.sResolution, "runoff");
+   assert.deepEqual(oOutcome.aRunoff, ["yes", "no"]);
+   assert.equal(oOutcome.sWinnerKey, null);
+});
+
+Check("tie codes are read from code rows", () => {
+   const oTie = PollTally.ReadTie([{ FId: 7, FSystemName: "runoff" }, { FId: 8, FSystemName: "unknown" }]);
+   assert.equal(oTie.iRunoff, 7);
+   assert.equal(oTie.iReport, 1);
+   assert.equal(Outcome({ FUseTie: 7 }, { oTie }).sResolution, "runoff");
+   assert.equal(Outcome({ FUseTie: 5 }, { oTie }).sResolution, "tie");        // 5 is not a code when runoff is 7
+});
+
+Check("unknown options throw", () => {
+   assert.throws(() => new PollTally(PollData(), { sTie: "coin" }), /Unknown tie policy/);
+   assert.throws(() => new PollTally(PollData(), { sScore: "points" }), /Unknown score/);
+   assert.throws(() => new PollTally(PollData(), { sCombine: "avg" }), /Unknown combine/);
+});
+
+Finish();
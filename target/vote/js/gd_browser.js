@@ -86,15 +86,216 @@ oNS.EncodeToBase64 = function(sText) {
    }
 }
 
+
+// ## Request pipeline settings ...............................................
+
+oNS.iDefaultTimeout_s = 30000;    // Default timeout in milliseconds for requests, 0 = no timeout
+oNS.iDefaultRetry_s = 2;          // Default number of retries for idempotent requests (!db/select)
+oNS.iDefaultRetryDelay_s = 250;   // Base delay in milliseconds for exponential backoff between retries
+oNS.oInterceptor_s = { before: [], after: [], error: [] }; // Interceptors called for each request sent with SendToServer
+oNS.mapCancel_s = new Map();      // Active requests that can be cancelled, key is the cancel key and value is AbortController
+oNS.iMaxUrlLength_s = 2000;       // Longer URLs move arguments to a form encoded POST body
+
+/** ---------------------------------------------------------------------------
+ * Add interceptor to request pipeline used by SendToServer
+ *
+ * Interceptors are called in the order they are added.
+ * - "before": fn(oContext), may modify oContext.sUrl or oContext.oOptions before request is sent.
+ *   Return a promise to make the pipeline wait.
+ * - "after": fn(oResult, oContext), return a value to replace the result passed to caller.
+ * - "error": fn(error, oContext), return a value to recover from error, that value is then the result.
+ *
+ * @param {string} sType - Interceptor type, "before", "after" or "error"
+ * @param {Function} fnInterceptor - Interceptor function
+ * @returns {Function} Function that removes the interceptor when called
+ *
+ * @example
+ * // Add authorization header to all requests
+ * gd.AddInterceptor("before", oContext => { oContext.oOptions.headers["Authorization"] = sToken; });
+ */
+oNS.AddInterceptor = function(sType, fnInterceptor) {
+   const aInterceptor = oNS.oInterceptor_s[sType];
+   if( !aInterceptor ) { throw new Error(`Invalid interceptor type: ${sType}`); }
+   if( typeof fnInterceptor !== "function" ) { throw new Error("Interceptor must be a function"); }
+
+   aInterceptor.push(fnInterceptor);
+   return function() { oNS.RemoveInterceptor(sType, fnInterceptor); };
+}
+
+/** ---------------------------------------------------------------------------
+ * Remove interceptor from request pipeline
+ * @param {string} sType - Interceptor type, "before", "after" or "error"
+ * @param {Function} fnInterceptor - Interceptor function to remove
+ * @returns {boolean} true if interceptor was found and removed
+ */
+oNS.RemoveInterceptor = function(sType, fnInterceptor) {
+   const aInterceptor = oNS.oInterceptor_s[sType];
+   if( !aInterceptor ) { return false; }
+
+   const iIndex = aInterceptor.indexOf(fnInterceptor);
+   if( iIndex === -1 ) { return false; }
+
+   aInterceptor.splice(iIndex, 1);
+   return true;
+}
+
+/** ---------------------------------------------------------------------------
+ * Cancel active request that was sent with a cancel key
+ * @param {string} sCancelKey - Key used when request was sent
+ * @returns {boolean} true if an active request was cancelled
+ */
+oNS.CancelRequest = function(sCancelKey) {
+   const oController = oNS.mapCancel_s.get(sCancelKey);
+   if( !oController ) { return false; }
+
+   oNS.mapCancel_s.delete(sCancelKey);
+   oController.abort();
+   return true;
+}
+
+/** ---------------------------------------------------------------------------
+ * Check if error is from a request that was cancelled
+ * Cancelled requests are normal when a newer request replaces an older one, callers
+ * can use this to skip error messages for them.
+ * @param {Error} error_ - Error from rejected SendToServer promise
+ * @returns {boolean} true if request was cancelled
+ */
+oNS.IsCancelled = function(error_) { return !!error_ && error_.sCode === "cancelled"; }
+
+/** ---------------------------------------------------------------------------
+ * Check if request to endpoint is idempotent, idempotent requests are safe to retry
+ * @param {string} sEndpoint - Endpoint for request
+ * @returns {boolean} true if request can be retried
+ */
+oNS.IsIdempotent = function(sEndpoint) {
+   if( !sEndpoint ) { return false; }
+   return sEndpoint.indexOf("!db/select") !== -1;
+}
+
+/** ---------------------------------------------------------------------------
+ * Encode arguments to format used in query string and form encoded body
+ *
+ * Each argument is separated by newline character and the first '=' splits name and value.
+ *
+ * @param {string} sArguments - Arguments, e.g. "query=SELECT ...\nvalues={...}"
+ * @returns {string} Encoded arguments, e.g. "query=SELECT%20...&values=%7B...%7D"
+ * @throws {Error} If an argument is missing '='
+ */
+oNS.EncodeArguments = function(sArguments) {
+   let sEncodedArguments = "";
+   if(!sArguments) { return sEncodedArguments; }
+
+   // ## Split arguments by newline character and then find first '=' to split there
+   const aArguments = sArguments.split('\n');
+
+   for(let sArgument of aArguments) {                                         // Iterate aArguments
+      const iEqualPosition = sArgument.indexOf('=');
+      if(iEqualPosition !== -1) {
+         if( sEncodedArguments ) sEncodedArguments += '&';
+         const sKey = sArgument.substring(0, iEqualPosition).trim();
+         const sValue = sArgument.substring(iEqualPosition + 1).trim();
+         sEncodedArguments += sKey + '=' + encodeURIComponent(sValue);
+      }
+      else {
+         throw new Error('Invalid argument format: ' + sArgument);
+      }
+   }
+
+   return sEncodedArguments;
+}
+
+/** ---------------------------------------------------------------------------
+ * Encode body for request, encoding and content type is selected from type of body
+ *
+ * - XML document or string starting with '<' is sent as "application/xml"
+ * - Object, array or string starting with '{' or '[' is sent as "application/json"
+ * - URLSearchParams is sent as "application/x-www-form-urlencoded"
+ * - FormData is sent as is, browser sets "multipart/form-data" with boundary
+ * - Blob and ArrayBuffer are sent as is
+ * - Other strings are sent unchanged as "text/plain"
+ *
+ * Form encoding for strings and objects is only used when asked for with sEncoding "form",
+ * string is then arguments in same format as sArguments (name=value separated by newline)
+ * and object is name and value pairs.
+ *
+ * @param {any} body_ - Body to encode
+ * @param {string} [sEncoding] - "form" to send string or object as form encoded body
+ * @returns {{body: any, sContentType: string|null}} Encoded body and content type, content type is null if browser should set it
+ */
+oNS.EncodeBody = function(body_, sEncoding) {
+   if( body_ === undefined || body_ === null ) { return { body: null, sContentType: null }; }
+
+   // ## Form encoding is selected by caller ..................................
+   if( sEncoding === "form" && (typeof body_ === "string" || Object.prototype.toString.call(body_) === "[object Object]") ) {
+      const sBody = typeof body_ === "string" ? oNS.EncodeArguments(body_) : (new URLSearchParams(body_)).toString();
+      return { body: sBody, sContentType: "application/x-www-form-urlencoded; charset=UTF-8" };
+   }
+
+   // ## Types that browser knows how to send ...............................
+   if( typeof FormData !== "undefined" && body_ instanceof FormData ) { return { body: body_, sContentType: null }; }
+   if( typeof URLSearchParams !== "undefined" && body_ instanceof URLSearchParams ) {
+      return { body: body_.toString(), sContentType: "application/x-www-form-urlencoded; charset=UTF-8" };
+   }
+   if( typeof Blob !== "undefined" && body_ instanceof Blob ) { return { body: body_, sContentType: body_.type || "application/octet-stream" }; }
+   if( body_ instanceof ArrayBuffer || ArrayBuffer.isView(body_) ) { return { body: body_, sContentType: "application/octet-stream" }; }
+
+   // ## XML document or node ...............................................
+   if( typeof body_ === "object" && typeof body_.nodeType === "number" ) {
+      return { body: (new XMLSerializer()).serializeToString(body_), sContentType: "application/xml; charset=UTF-8" };
+   }
+
+   // ## String, check first character to find format ........................
+   if( typeof body_ === "string" ) {
+      const sFirst = body_.trimStart().charAt(0);
+      if( sFirst === "<" ) { return { body: body_, sContentType: "application/xml; charset=UTF-8" }; }
+      if( sFirst === "{" || sFirst === "[" ) { return { body: body_, sContentType: "application/json; charset=UTF-8" }; }
+      return { body: body_, sContentType: "text/plain; charset=UTF-8" };
+   }
+
+   // ## Objects, arrays and other values are sent as json ...................
+   return { body: JSON.stringify(body_), sContentType: "application/json; charset=UTF-8" };
+}
+
 /** ---------------------------------------------------------------------
  * Send arguments to server,
  *
+ * Request is sent through a pipeline with interceptors, timeout and retries.
+ * Idempotent requests (`!db/select`) are retried with exponential backoff
+ * when there is a network error, a timeout or the server returns status 5xx.
+ *
+ * Errors from the pipeline have `sCode` set to "timeout", "cancelled" or "http"
+ * (with `iStatus`) so callers can decide how to handle them.
+ *
+ * Arguments are placed in query string. If the URL gets longer than gd.iMaxUrlLength_s
+ * and no body is passed, arguments are sent as a form encoded POST body instead.
+ * If body is passed, request is sent as POST and body is encoded based on its type,
+ * see gd.EncodeBody.
+ *
  * @param {string} sBaseUrl - base URL of the server
  * @param {string} sEndpoint - endpoint with arguments added after generated domain name
  * @param {string} [sArguments] - optional arguments sent to server, each arguments is separated by newline character
- * @param {string} [sBody] - optional body sent to server
+ * @param {any} [body_] - optional body sent to server, string, object, array, XML document, URLSearchParams or FormData
+ * @param {Object} [oRequest_] - optional request settings
+ * @param {number} [oRequest_.iTimeout] - timeout in milliseconds for each attempt, 0 = no timeout
+ * @param {number} [oRequest_.iRetry] - number of retries, default is gd.iDefaultRetry_s for idempotent requests and 0 for others
+ * @param {number} [oRequest_.iRetryDelay] - base delay in milliseconds between retries, doubled for each retry
+ * @param {string} [oRequest_.sEncoding] - "form" to send string or object body as form encoded, see gd.EncodeBody
+ * @param {string} [oRequest_.sCancelKey] - key for request, a new request with same key cancels the active one
+ * @param {AbortSignal} [oRequest_.oSignal] - signal that cancels the request when aborted
+ * @param {boolean} [oRequest_.bArgumentsInBody=false] - always send arguments as form encoded body (ignored if body_ is passed)
+ * @returns {Promise<Object>} response as { type: <format>, data: <data> }
+ *
+ * @example
+ * // Send record as json in body
+ * gd.SendToServer("", "!db/insert", "", { table: "TPoll", values: { FName: "Poll" }, returning: "PollK" });
+ *
+ * @example
+ * // Search where each keystroke cancels the search before
+ * gd.SendToServer("", "!db/select", sArguments, undefined, { sCancelKey: "user-search" })
+ *    .then(oResult => PAGE_ProcessResponse(oResult, "select-users"))
+ *    .catch(error => { if( !gd.IsCancelled(error) ) { oToast_g.Show(error.message); } });
  */
-oNS.SendToServer = function(sBaseUrl, sEndpoint, sArguments, sBody) {
+oNS.SendToServer = function(sBaseUrl, sEndpoint, sArguments, body_, oRequest_) {
    // Use static base URL if sBaseUrl is empty or undefined
    if(!sBaseUrl) { sBaseUrl = gd.sDefaultBaseUrl_s; }
 
@@ -109,36 +310,24 @@ oNS.SendToServer = function(sBaseUrl, sEndpoint, sArguments, sBody) {
       sFullUrl += sCleanEndpoint;                                             // Build the complete URL
    }
 
-   let sEncodedArguments = "";
-   if(sArguments) {
-      // ## Split arguments by newline character and then find first '=' to split there
-      const aArguments = sArguments.split('\n');
-
-      for(let sArgument of aArguments) {                                      // Iterate aArguments
-         const iEqualPosition = sArgument.indexOf('=');
-         if(iEqualPosition !== -1) {
-            if( sEncodedArguments ) sEncodedArguments += '&';
-            const sKey = sArgument.substring(0, iEqualPosition).trim();
-            const sValue = sArgument.substring(iEqualPosition + 1).trim();
-            sEncodedArguments += sKey + '=' + encodeURIComponent(sValue);
-         }
-         else {
-            const sError = 'Invalid argument format: ' + sArgument;                                console.log(sError);
-            throw new Error(sError);
-         }
-      }
-   }
+   const sEncodedArguments = oNS.EncodeArguments(sArguments);
 
    sFullUrl = oNS.EncodeUrlParams(sFullUrl);                                  // Encode URL parameters for first part, here you should only have simple values
 
-   // ## If encoded arguments exist and URL contains '='
-   if( sEncodedArguments.length > 0 && sFullUrl.indexOf('=') !== -1 ) {
-      if(sFullUrl.charAt(sFullUrl.length - 1) !== "&") { sFullUrl += "&"; }   // If sFullUrl does not have a trailing '&' then add it
-      sFullUrl += sEncodedArguments;
-   }
-   else if( sEncodedArguments.length > 0 ) {
-      if(sFullUrl.charAt(sFullUrl.length - 1) !== "?") { sFullUrl += "?"; }   // If sFullUrl does not have a trailing '?' then add it
-      sFullUrl += sEncodedArguments;
+   // ## Arguments are moved to body if they do not fit in URL ...............
+   const bArgumentsInBody = body_ === undefined && sEncodedArguments.length > 0 &&
+      (oRequest_?.bArgumentsInBody === true || sFullUrl.length + sEncodedArguments.length + 1 > oNS.iMaxUrlLength_s);
+
+   if( bArgumentsInBody === false ) {
+      // ## If encoded arguments exist and URL contains '='
+      if( sEncodedArguments.length > 0 && sFullUrl.indexOf('=') !== -1 ) {
+         if(sFullUrl.charAt(sFullUrl.length - 1) !== "&") { sFullUrl += "&"; }// If sFullUrl does not have a trailing '&' then add it
+         sFullUrl += sEncodedArguments;
+      }
+      else if( sEncodedArguments.length > 0 ) {
+         if(sFullUrl.charAt(sFullUrl.length - 1) !== "?") { sFullUrl += "?"; }// If sFullUrl does not have a trailing '?' then add it
+         sFullUrl += sEncodedArguments;
+      }
    }
 
    // ## Prepare fetch options ..........................................
@@ -148,22 +337,141 @@ oNS.SendToServer = function(sBaseUrl, sEndpoint, sArguments, sBody) {
       headers: { 'Content-Type': 'application/xml' }
    };
 
-   // If body is provided, use POST method and add body
-   if(sBody !== undefined) {
+   // ### If body is provided, use POST method and add encoded body
+   if(body_ !== undefined) {
+      const oBody = oNS.EncodeBody(body_, oRequest_?.sEncoding);
+      oOptions.method = 'POST';
+      oOptions.body = oBody.body;
+      if( oBody.sContentType ) { oOptions.headers['Content-Type'] = oBody.sContentType; }
+      else { delete oOptions.headers['Content-Type']; }                       // browser sets content type with boundary for FormData
+   }
+   // ### Long arguments are sent as form data in body
+   else if( bArgumentsInBody === true ) {
       oOptions.method = 'POST';
-      //oOptions.body = JSON.stringify(sBody);
+      oOptions.body = sEncodedArguments;
+      oOptions.headers['Content-Type'] = "application/x-www-form-urlencoded; charset=UTF-8";
    }
 
+   // ## Prepare request settings .......................................
+
+   const oRequest = Object.assign({
+      iTimeout: oNS.iDefaultTimeout_s, iRetry: null, iRetryDelay: oNS.iDefaultRetryDelay_s, sCancelKey: null, oSignal: null, bArgumentsInBody: false, sEncoding: null
+   }, oRequest_);
+
+   if( oRequest.iRetry === null ) { oRequest.iRetry = oNS.IsIdempotent(sEndpoint) ? oNS.iDefaultRetry_s : 0; }
+
+   // ### Controller used to cancel all attempts for this request
+   const oCancel = new AbortController();
+   if( oRequest.sCancelKey ) {
+      oNS.CancelRequest(oRequest.sCancelKey);                                 // Cancel active request with same key, it is obsolete
+      oNS.mapCancel_s.set(oRequest.sCancelKey, oCancel);
+   }
+   if( oRequest.oSignal ) {
+      if( oRequest.oSignal.aborted ) { oCancel.abort(); }
+      else { oRequest.oSignal.addEventListener('abort', () => oCancel.abort(), { once: true }); }
+   }
+
+   // Context is passed to interceptors
+   const oContext = { sUrl: sFullUrl, oOptions, sEndpoint, sArguments, body_, oRequest, iAttempt: 0, oSignal: oCancel.signal };
+
    // ## Send the request and pick up the response as { type: <format>, data: <data> }
 
-   return fetch(sFullUrl, oOptions)
+   return _run_interceptor_before(oContext)
+   .then(() => _send_with_retry(oContext))
+   .then(oResult => _run_interceptor_after(oResult, oContext))
+   .catch(error => {
+      // ### Let error interceptors recover from error ..................
+      for( const fnInterceptor of oNS.oInterceptor_s.error ) {
+         const result_ = fnInterceptor(error, oContext);
+         if( result_ !== undefined ) { return result_; }
+      }
+
+      if( !oNS.IsCancelled(error) ) {
+         const sError = "Error sending request:" + error.message;
+         console.error(sError);
+         // You could add error handling UI here
+      }
+      throw error;
+   })
+   .finally(() => {
+      // ### Release cancel key if it still belongs to this request
+      if( oRequest.sCancelKey && oNS.mapCancel_s.get(oRequest.sCancelKey) === oCancel ) { oNS.mapCancel_s.delete(oRequest.sCancelKey); }
+   });
+}
+
+/** ---------------------------------------------------------------------------
+ * Run "before" interceptors in order, each one may return a promise
+ * @param {Object} oContext - Request context
+ * @returns {Promise} Resolved when all interceptors are done
+ */
+function _run_interceptor_before(oContext) {
+   let oPromise = Promise.resolve();
+   for( const fnInterceptor of oNS.oInterceptor_s.before ) {
+      oPromise = oPromise.then(() => fnInterceptor(oContext));
+   }
+   return oPromise;
+}
+
+/** ---------------------------------------------------------------------------
+ * Run "after" interceptors in order, interceptor may replace the result
+ * @param {Object} oResult - Parsed response as { type: <format>, data: <data> }
+ * @param {Object} oContext - Request context
+ * @returns {Promise<Object>} Result after all interceptors
+ */
+function _run_interceptor_after(oResult, oContext) {
+   let oPromise = Promise.resolve(oResult);
+   for( const fnInterceptor of oNS.oInterceptor_s.after ) {
+      oPromise = oPromise.then(result_ => {
+         return Promise.resolve(fnInterceptor(result_, oContext)).then(replace_ => replace_ !== undefined ? replace_ : result_);
+      });
+   }
+   return oPromise;
+}
+
+/** ---------------------------------------------------------------------------
+ * Send request, retry with exponential backoff if request fails and retry is allowed
+ * @param {Object} oContext - Request context
+ * @returns {Promise<Object>} Parsed response as { type: <format>, data: <data> }
+ */
+function _send_with_retry(oContext) {
+   const oRequest = oContext.oRequest;
+
+   return _fetch_once(oContext).catch(error => {
+      if( oContext.iAttempt >= oRequest.iRetry || !_is_retryable(error) ) { throw error; }
+
+      const iDelay = oRequest.iRetryDelay * Math.pow(2, oContext.iAttempt);   // 1x, 2x, 4x ... base delay
+      oContext.iAttempt++;
+      return _wait(iDelay, oContext.oSignal).then(() => _send_with_retry(oContext));
+   });
+}
+
+/** ---------------------------------------------------------------------------
+ * Send one attempt for request with timeout
+ * @param {Object} oContext - Request context
+ * @returns {Promise<Object>} Parsed response as { type: <format>, data: <data> }
+ */
+function _fetch_once(oContext) {
+   if( oContext.oSignal.aborted ) { return Promise.reject(_create_error("Request cancelled", "cancelled")); }
+
+   const oController = new AbortController(); // controller for this attempt, aborted on timeout or cancel
+   const fnAbort = () => oController.abort();
+   oContext.oSignal.addEventListener('abort', fnAbort, { once: true });
+
+   let bTimeout = false;
+   let iTimer = null;
+   const iTimeout = oContext.oRequest.iTimeout;
+   if( iTimeout > 0 ) { iTimer = setTimeout(() => { bTimeout = true; oController.abort(); }, iTimeout); }
+
+   const oOptions = Object.assign({}, oContext.oOptions, { signal: oController.signal });
+
+   return fetch(oContext.sUrl, oOptions)
    .then(async  response => {
       // ### Handle response data .......................................
 
       if(!response.ok) {
          const oResponseClone = response.clone();
          const sErrorMessage = await oResponseClone.text();
-         throw new Error(`HTTP error! status: ${response.status}, message: ${sErrorMessage}`);
+         throw _create_error(`HTTP error! status: ${response.status}, message: ${sErrorMessage}`, "http", { iStatus: response.status });
       }
 
       // Check the content type to determine how to parse the response
@@ -183,18 +491,64 @@ oNS.SendToServer = function(sBaseUrl, sEndpoint, sArguments, sBody) {
          return response.text().then(data => ({ type: 'text', data }));
       }
    })
-   .then(data => {
-      // ### Handle parsed data .........................................
-
-      return data;                                                       // Return the parsed data
-   })
    .catch(error => {
-      const sError = "Error sending request:" + error.message;
-      console.error(sError);
-      // You could add error handling UI here
+      if( bTimeout ) { throw _create_error(`Request timed out after ${iTimeout} ms`, "timeout"); }
+      if( error.name === "AbortError" ) { throw _create_error("Request cancelled", "cancelled"); }
       throw error;
+   })
+   .finally(() => {
+      if( iTimer !== null ) { clearTimeout(iTimer); }
+      oContext.oSignal.removeEventListener('abort', fnAbort);
    });
 }
 
+/** ---------------------------------------------------------------------------
+ * Check if failed request may be sent again
+ * Network errors, timeouts and server errors (5xx) are retried, cancelled requests
+ * and client errors (4xx) are not.
+ * @param {Error} error_ - Error from failed attempt
+ * @returns {boolean} true if request can be retried
+ */
+function _is_retryable(error_) {
+   if( error_.sCode === "cancelled" ) { return false; }
+   if( error_.sCode === "timeout" ) { return true; }
+   if( error_.sCode === "http" ) { return error_.iStatus >= 500; }
+   return error_ instanceof TypeError;                                        // fetch rejects with TypeError on network errors
+}
+
+/** ---------------------------------------------------------------------------
+ * Wait for number of milliseconds, rejects if signal is aborted while waiting
+ * @param {number} iMilliseconds - Time to wait
+ * @param {AbortSignal} oSignal - Signal that cancels the wait
+ * @returns {Promise} Resolved after wait
+ */
+function _wait(iMilliseconds, oSignal) {
+   return new Promise((resolve, reject) => {
+      const iTimer = setTimeout(() => {
+         oSignal.removeEventListener('abort', fnAbort);
+         resolve();
+      }, iMilliseconds);
+      const fnAbort = () => {
+         clearTimeout(iTimer);
+         reject(_create_error("Request cancelled", "cancelled"));
+      };
+      oSignal.addEventListener('abort', fnAbort, { once: true });
+   });
+}
+
+/** ---------------------------------------------------------------------------
+ * Create error with code used to identify type of error in request pipeline
+ * @param {string} sMessage - Error message
+ * @param {string} sCode - Error code, "timeout", "cancelled" or "http"
+ * @param {Object} [oExtra] - Extra properties added to error
+ * @returns {Error} Error object
+ */
+function _create_error(sMessage, sCode, oExtra) {
+   const oError = new Error(sMessage);
+   oError.sCode = sCode;
+   if( oExtra ) { Object.assign(oError, oExtra); }
+   return oError;
+}
+
 
 })(gd);
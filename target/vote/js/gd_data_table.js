@@ -28,6 +28,13 @@
  * - `Add(row)` - Add single row or multiple rows
  * - `Delete(position, length)` - Remove rows
  * - `GetColumnIndex(name)` - Find column by name or alias
+ * - `Table.FromCsv(text, options)` - Create table from CSV text (RFC 4180)
+ * - `ToCsv(options)` - Generate CSV text from table
+ * - `Table.FromJson(json)`, `ToJson()` - Table with columns as JSON, types are kept in round trip
+ * - `Table.FromXml(xml)`, `ToXml()` - Table with columns as XML, types are kept in round trip
+ * - `GroupBy(columns, aggregates)` - New table with count, sum, avg, min, max or distinct for groups
+ * - `Join(other, on, type)` - New table with rows joined with other table, "inner", "left" or "full"
+ * - `Lookup(column, codeTable, display)` - Add column with names from code table for keys in column
  */
 class Table {
 
@@ -99,6 +106,370 @@ class Table {
       this.sName = options_.sName || ""; // Initialize name to empty string if not provided
    }
 
+   /** -----------------------------------------------------------------------
+    * Create table from result returned by `!db/select`
+    *
+    * First row in result is the header with column names (the aliases used in SQL),
+    * remaining rows are data. Column types are inferred from data with
+    * `ParseRowTypesToColumns`, columns without any value are set to "string".
+    *
+    * Accepted result formats:
+    * - `gd.db.Result` with aHeader and aRows
+    * - Response from `gd.SendToServer`, format is { type: <format>, data: <data> }
+    * - XML element, either `<results>` or `<result>`
+    * - JSON string or 2D array where first row is header
+    *
+    * @example
+    * gd.db.Select("SELECT hex(UserK) id, FAlias alias FROM TUser").then(function(oResult) {
+    *    const oTable = Table.FromDbResult(oResult, { sName: "user-search", oColumn: { id: { sType: "string" } } });
+    * });
+    *
+    * @param {gd.db.Result|Object|Element|string|Array<Array>} result_ - Result from select
+    * @param {Object} [options_={}]
+    * @param {string} [options_.sName=""] name for table
+    * @param {Object} [options_.oColumn] column options for column name, overrides inferred values, e.g. { id: { sType: "string" } }
+    * @returns {Table} table with columns from header and rows from result
+    */
+   static FromDbResult(result_, options_ = {}) {
+      const aResult = Table._DbResultToArray(result_);
+      if( !Array.isArray(aResult) ) { throw new Error("FromDbResult: Invalid result"); }
+
+      const aHeader = aResult.length > 0 ? aResult[0] : [];
+      const aRows = aResult.slice(1);
+      const oColumn = options_.oColumn || {};
+
+      // ## Create columns with unknown type and set column options from caller
+      const aColumn = aHeader.map(sName => new Table.column(Object.assign({ sName: String(sName), sType: "unknown" }, oColumn[sName])));
+      const table = new Table([], { sName: options_.sName, aColumn: aColumn, aTable: aRows });
+
+      // ## Infer column types, parse rows until all types are known ...........
+      for( let iRow = 0; iRow < aRows.length; iRow++ ) {
+         table.ParseRowTypesToColumns(aRows[iRow]);
+         if( aColumn.every(column_ => column_.sType !== "unknown") ) { break; }
+      }
+
+      aColumn.forEach(column_ => { if( column_.sType === "unknown" ) { column_.sType = "string"; } });
+
+      return table;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Create table from CSV text
+    *
+    * CSV is parsed as RFC 4180, fields may be quoted with `"` and quoted fields
+    * may contain separator, newlines and quotes written as `""`. Lines can end
+    * with CRLF or LF.
+    *
+    * If bHeader is not set the first row is used as header when all values in
+    * it are unique text values that are not numbers. Without header columns are
+    * named "column1", "column2" and so on. Blank lines are ignored.
+    *
+    * Column type is "number" if all values in column that are not empty are
+    * numbers, numbers with leading zero (e.g. "007") are kept as text. Values in
+    * number columns are converted to numbers and empty values to null.
+    *
+    * @example
+    * const oTable = Table.FromCsv('alias,name,age\r\njdoe,"Doe, John",30\r\n', { sName: "user-import" });
+    * oTable.GetCellValue(0, "name"); // "Doe, John"
+    * oTable.GetCellValue(0, "age");  // 30
+    *
+    * @param {string} sText - CSV text
+    * @param {Object} [options_={}]
+    * @param {string} [options_.sName=""] name for table
+    * @param {string} [options_.sSeparator=","] field separator, e.g. ";" or "\t"
+    * @param {boolean} [options_.bHeader] true if first row is header, false if not, detected if not set
+    * @param {boolean} [options_.bConvert=true] convert values in number columns to numbers
+    * @param {Object} [options_.oColumn] column options for column name, overrides inferred values, e.g. { id: { sType: "string" } }
+    * @returns {Table} table with columns from header and rows from CSV
+    */
+   static FromCsv(sText, options_ = {}) {
+      if( typeof sText !== "string" ) { throw new Error("FromCsv: Invalid argument, text is expected"); }
+
+      const oOptions = Object.assign({ sName: "", sSeparator: ",", bHeader: null, bConvert: true, oColumn: {} }, options_);
+      const aCsv = Table._ParseCsv(sText, oOptions.sSeparator).filter(aRow => aRow.length > 1 || aRow[0] !== ""); // blank lines are ignored
+
+      // ## Header row, detected if not set ...................................
+      let bHeader = oOptions.bHeader;
+      if( bHeader === null || bHeader === undefined ) {
+         const aFirst = (aCsv[0] || []).map(s_ => s_.trim());
+         bHeader = aFirst.length > 0 && new Set(aFirst).size === aFirst.length && aFirst.every(s_ => s_.trim() !== "" && !Table._IsCsvNumber(s_.trim()));
+      }
+
+      const iColumnCount = aCsv.reduce((iMax, aRow) => Math.max(iMax, aRow.length), 0);
+      const aHeader = bHeader ? aCsv[0].map(s_ => s_.trim()) : [];          // header names are trimmed
+      const aRows = bHeader ? aCsv.slice(1) : aCsv;
+
+      // ## Create columns, missing header values get generated name ..........
+      const aColumn = [];
+      for( let i = 0; i < iColumnCount; i++ ) {
+         const sName = aHeader[i] !== undefined && aHeader[i] !== "" ? aHeader[i] : `column${i + 1}`;
+         aColumn.push(new Table.column(Object.assign({ sName, sType: "unknown" }, oOptions.oColumn[sName])));
+      }
+
+      // ## Rows get same number of values as columns ...........................
+      aRows.forEach(aRow => { while( aRow.length < iColumnCount ) { aRow.push(""); } });
+
+      // ## Infer type, number if all values that are not empty are numbers ....
+      aColumn.forEach((column_, iColumn) => {
+         if( column_.sType !== "unknown" ) return;
+         let bValue = false;
+         const bNumber = aRows.every(aRow => {
+            const sValue = aRow[iColumn].trim();
+            if( sValue === "" ) return true;
+            bValue = true;
+            return Table._IsCsvNumber(sValue);
+         });
+         column_.sType = bValue && bNumber ? "number" : "string";
+      });
+
+      // ## Convert values in number columns .................................
+      if( oOptions.bConvert ) {
+         aColumn.forEach((column_, iColumn) => {
+            if( !column_.is_number() ) return;
+            aRows.forEach(aRow => {
+               const sValue = aRow[iColumn].trim();
+               aRow[iColumn] = sValue === "" ? null : Number(sValue);
+            });
+         });
+      }
+
+      return new Table([], { sName: oOptions.sName, aColumn: aColumn, aTable: aRows });
+   }
+
+   /** -----------------------------------------------------------------------
+    * Create table from JSON generated by `ToJson`
+    *
+    * Columns get name, alias, type and state from JSON. Values in "date"
+    * columns are converted from ISO text to Date. Array with objects, like
+    * the one `AsJson` returns, is also accepted and then columns are taken
+    * from object keys and type is inferred from values.
+    *
+    * @example
+    * localStorage.setItem("user-search", oTable.ToJson());
+    * const oTable2 = Table.FromJson(localStorage.getItem("user-search"));
+    *
+    * @param {string|Object|Array<Object>} json_ - JSON text or parsed JSON
+    * @param {Object} [options_={}]
+    * @param {string} [options_.sName] name for table, overrides name in JSON
+    * @returns {Table} table with columns and rows from JSON
+    */
+   static FromJson(json_, options_ = {}) {
+      const oJson = typeof json_ === "string" ? JSON.parse(json_) : json_;
+
+      // ## Array with objects, columns from keys .............................
+      if( Array.isArray(oJson) ) {
+         const aName = [];
+         oJson.forEach(oRow => Object.keys(oRow).forEach(sKey => { if( !aName.includes(sKey) ) { aName.push(sKey); } }));
+
+         const table = new Table(aName.map(sName => ({ sName, sType: "unknown" })), { sName: options_.sName });
+         table.Add(oJson);
+         for( let iRow = 0; iRow < table.Size(); iRow++ ) {
+            table.ParseRowTypesToColumns(table.aTable[iRow]);
+            if( table.aColumn.every(column_ => column_.sType !== "unknown") ) { break; }
+         }
+         table.aColumn.forEach(column_ => { if( column_.sType === "unknown" ) { column_.sType = "string"; } });
+         return table;
+      }
+
+      if( !oJson || !Array.isArray(oJson.columns) || !Array.isArray(oJson.rows) ) { throw new Error("FromJson: Invalid JSON, columns and rows are expected"); }
+
+      const aColumn = oJson.columns.map(oColumn => new Table.column({ sName: oColumn.name, sAlias: oColumn.alias, sType: oColumn.type, iState: oColumn.state, iSpecificType: oColumn.specific }));
+      const aRows = oJson.rows.map(aRow => aRow.map((value_, iColumn) => aColumn[iColumn]?.sType === "date" && typeof value_ === "string" ? new Date(value_) : value_));
+
+      return new Table([], { sName: options_.sName ?? oJson.name, aColumn: aColumn, aTable: aRows });
+   }
+
+   /** -----------------------------------------------------------------------
+    * Create table from XML generated by `ToXml`
+    *
+    * Values are read as text and converted with type for column, "number" to
+    * number, "boolean" to true or false and "date" to Date. Columns without
+    * value in row are null.
+    *
+    * @example
+    * const oTable2 = Table.FromXml(oTable.ToXml());
+    *
+    * @param {string|Element|Document} xml_ - XML text, document or `<table>` element
+    * @param {Object} [options_={}] same options as used for `ToXml`
+    * @param {string} [options_.sName] name for table, overrides name in XML
+    * @param {string} [options_.sRow="row"] name for row elements
+    * @param {string} [options_.sColumn="column"] name for value elements
+    * @param {boolean} [options_.bAttribute=false] values are in attributes
+    * @returns {Table} table with columns and rows from XML
+    */
+   static FromXml(xml_, options_ = {}) {
+      if( typeof xml_ === "string" ) {
+         xml_ = (new DOMParser()).parseFromString(xml_, "text/xml");
+         if( xml_.querySelector("parsererror") ) { throw new Error("FromXml: Invalid xml"); }
+      }
+
+      const eTable = xml_?.tagName === "table" ? xml_ : xml_?.querySelector?.("table");
+      if( !eTable ) { throw new Error("FromXml: Invalid XML, table element is expected"); }
+
+      const sRow = options_.sRow || "row";
+      const sColumn = options_.sColumn || "column";
+      const bAttribute = options_.bAttribute || false;
+      const fnChildren = (eParent, sTag) => eParent ? Array.from(eParent.children).filter(e_ => e_.tagName === sTag) : [];
+
+      // ## Columns ..........................................................
+      const eColumns = fnChildren(eTable, "columns")[0];
+      const aColumn = fnChildren(eColumns, "column").map(eColumn => new Table.column({
+         sName: eColumn.getAttribute("name") || "",
+         sAlias: eColumn.getAttribute("alias") || "",
+         sType: eColumn.getAttribute("type") || "string",
+         iState: Number(eColumn.getAttribute("state")) || 0,
+         iSpecificType: Number(eColumn.getAttribute("specific")) || 0
+      }));
+
+      const table = new Table([], { sName: options_.sName ?? (eTable.getAttribute("name") || ""), aColumn: aColumn });
+
+      // ## Rows, value is found with column name ............................
+      const eRows = fnChildren(eTable, "rows")[0];
+      fnChildren(eRows, sRow).forEach(eRow => {
+         const aRow = new Array(aColumn.length).fill(null);
+         if( bAttribute ) {
+            aColumn.forEach((column_, iColumn) => {
+               if( eRow.hasAttribute(column_.sName) ) { aRow[iColumn] = Table._ParseXmlValue(eRow.getAttribute(column_.sName), column_.sType); }
+            });
+         }
+         else {
+            fnChildren(eRow, sColumn).forEach(eValue => {
+               const iColumn = table.GetColumnIndex(eValue.getAttribute("name") || "");
+               if( iColumn !== -1 ) { aRow[iColumn] = Table._ParseXmlValue(eValue.textContent, aColumn[iColumn].sType); }
+            });
+         }
+         table.aTable.push(aRow);
+      });
+
+      return table;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Convert text from XML to value for column type, used by FromXml
+    * @param {string} sValue - Text from XML
+    * @param {string} sType - Column type
+    * @returns {any} converted value
+    * @private
+    */
+   static _ParseXmlValue(sValue, sType) {
+      if( sType === "number" ) { return sValue === "" ? null : Number(sValue); }
+      if( sType === "boolean" ) { return sValue === "true"; }
+      if( sType === "date" ) { return sValue === "" ? null : new Date(sValue); }
+      return sValue;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Parse CSV text to 2D array with string values, used by FromCsv and Add
+    *
+    * Follows RFC 4180 but is lenient, quote inside field that is not quoted is
+    * kept as text. Byte order mark at start, newline at end and blank lines at
+    * end are ignored.
+    *
+    * @param {string} sText - CSV text
+    * @param {string} [sSeparator=","] - Field separator
+    * @returns {Array<Array<string>>} rows with fields
+    * @private
+    */
+   static _ParseCsv(sText, sSeparator = ",") {
+      const aResult = [];
+      let aRow = [];
+      let sField = "";
+      let bQuoted = false;                                                    // inside quoted field
+      let bQuote = false;                                                     // current field was quoted, "" is a value and not a blank line
+      let iBlank = 0;                                                         // blank lines in a row, removed if they are last in text
+      let i = sText.charCodeAt(0) === 0xFEFF ? 1 : 0;                         // skip byte order mark
+      const iLength = sText.length;
+      const iSeparator = sSeparator.length;
+
+      if( i >= iLength ) { return aResult; }
+
+      while( i < iLength ) {
+         const c = sText[i];
+
+         if( bQuoted ) {
+            if( c === '"' ) {
+               if( sText[i + 1] === '"' ) { sField += '"'; i += 2; continue; } // escaped quote
+               bQuoted = false;
+               i++;
+               continue;
+            }
+            sField += c;
+            i++;
+            continue;
+         }
+
+         if( c === '"' && sField === "" ) { bQuoted = true; bQuote = true; i++; continue; } // quote at start of field
+         if( sText.startsWith(sSeparator, i) ) {
+            aRow.push(sField);
+            sField = "";
+            bQuote = false;
+            i += iSeparator;
+            continue;
+         }
+         if( c === '\r' || c === '\n' ) {
+            iBlank = aRow.length === 0 && sField === "" && !bQuote ? iBlank + 1 : 0;
+            aRow.push(sField);
+            aResult.push(aRow);
+            aRow = [];
+            sField = "";
+            bQuote = false;
+            i += (c === '\r' && sText[i + 1] === '\n') ? 2 : 1;
+            continue;
+         }
+
+         sField += c;
+         i++;
+      }
+
+      // ## Last row if text do not end with newline ..........................
+      const c = sText[iLength - 1];
+      if( aRow.length > 0 || sField !== "" || bQuote || (c !== '\n' && c !== '\r') ) {
+         aRow.push(sField);
+         aResult.push(aRow);
+         iBlank = 0;
+      }
+
+      aResult.length -= iBlank;                                               // blank lines at end are not rows
+
+      return aResult;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Check if text from CSV is a number, numbers with leading zero like "007"
+    * are not numbers because they are codes or identifiers.
+    * @param {string} sValue - Trimmed text
+    * @returns {boolean} true if text is a number
+    * @private
+    */
+   static _IsCsvNumber(sValue) {
+      return /^[-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/.test(sValue) && !/^[-+]?0\d/.test(sValue);
+   }
+
+   /** -----------------------------------------------------------------------
+    * Extract 2D array from result, used by FromDbResult
+    * @param {any} result_ - Result in any of the formats FromDbResult accepts
+    * @returns {Array<Array>|null} 2D array with header as first row or null if not valid
+    * @private
+    */
+   static _DbResultToArray(result_) {
+      if( Array.isArray(result_) ) { return result_; }
+      if( typeof result_ === "string" ) { return Table._DbResultToArray(JSON.parse(result_)); }
+      if( !result_ || typeof result_ !== "object" ) { return null; }
+
+      if( Array.isArray(result_.aHeader) && Array.isArray(result_.aRows) ) { return [result_.aHeader, ...result_.aRows]; } // gd.db.Result
+
+      // ## XML element or document ...........................................
+      if( typeof result_.querySelector === "function" ) {
+         let eResult = result_;
+         if( eResult.tagName !== "result" ) { eResult = result_.querySelector('result[command="select"]') || result_.querySelector("result"); }
+         return eResult ? JSON.parse(eResult.textContent || "[]") : null;
+      }
+
+      if( result_.type !== undefined && result_.data !== undefined ) { return Table._DbResultToArray(result_.data); } // response from SendToServer
+
+      return null;
+   }
+
    // Getter for name property
    get name() { return this.sName; }
 
@@ -176,7 +547,9 @@ class Table {
        * Add rows to the table
        *
        * Add rows and most flexible way possible. It can handle arrays, objects, and strings.
-       * Adding rows as string needs a splitter, default is ","
+       * String is parsed as CSV with separator, default is ",". Each line is a row and
+       * fields may be quoted, see `FromCsv`. String without separator or newline is
+       * added as a row with that value.
        * If object is passed the key is matched to the column name
        *
        * @example
@@ -193,7 +566,10 @@ class Table {
        * table.Add([{name: "John", surname: "Doe", age: 30}, {name: "Jane", surname: "Smith", age: 25}]);
        *
        * // Add a single row as a string with a custom separator
-       * table.Add("John,Doe,30", ",");
+       * table.Add("John;Doe;30", ";");
+       *
+       * // Add rows as CSV, quoted value may contain separator
+       * table.Add('"Doe, John",30\r\n"Smith, Jane",25');
        *
        * @param {Object |Array | string} table_ - Data to add (string, row array, or array of rows)
        * @param {string} sSeparator - Optional separator for string input (default: ",")
@@ -204,7 +580,8 @@ class Table {
          // ## Handle string input ............................................
          if( typeof table_ === "string" ) {
             if( !sSeparator ) { sSeparator = ","; }                            // default separator is ","
-            aTable = [table_.split(sSeparator)];
+            const bSingle = table_.indexOf(sSeparator) === -1 && !/[\r\n]/.test(table_);
+            aTable = bSingle ? [[table_]] : Table._ParseCsv(table_, sSeparator); // text without separator or newline is one value
          }
          // ## Handle single object input..........................................
          else if( Object.prototype.toString.call(table_) === "[object Object]" ) {
@@ -235,12 +612,20 @@ class Table {
     * // With indices after sorting / filtering
     * const [displayed, origIndices] = table.GetData({ bIndices: true, iSort: -1, aRows: [3,1,4] });
     *
+    * @example
+    * // Sort by column "group", rows with same group are sorted by column 2 descending
+    * const data = table.GetData({ aSort: [{ iColumn: "group" }, { iColumn: 2, bDescending: true }] });
+    *
     * @param {Object|string} options_ Configuration options or a string shorthand
     * @param {boolean} [options_.bHeader=true] Include header row at the beginning
     * @param {boolean} [options_.bIndex=false] Include row index as first column
     * @param {number} [options_.iSort=0] Column index to sort by (positive for ascending,
     *                                    negative for descending, 0 for no sorting).
     *                                    Index adjusts based on bIndex option.
+    * @param {Array<Object>} [options_.aSort] Sort by more than one column, used instead of iSort.
+    *                                         Each item is { iColumn, bDescending } where iColumn
+    *                                         is index or name for column in table. Values are
+    *                                         compared based on the type for each column.
     * @param {Array<number>} [options_.aRows] Array of row indices to include
     * @param {Array<number>} [options_.aColumn] Array of column indices to include
     * @param {boolean} [options_.bIndices=false] If true then two arrays are returned.
@@ -258,7 +643,7 @@ class Table {
          options_ = o;
       }
 
-      const oOptions = Object.assign({ bHeader: true, iSort: 0, bIndex: false, aRows: null, aColumn: null, bIndices: false }, options_); // retrieval configuration
+      const oOptions = Object.assign({ bHeader: true, iSort: 0, aSort: null, bIndex: false, aRows: null, aColumn: null, bIndices: false }, options_); // retrieval configuration
       let aData = []; // Generated data rows that will be returned
       let aIndices = []; // Parallel array tracking original row positions
 
@@ -298,31 +683,18 @@ class Table {
       }
 
       // ## Sorting ...........................................................
-      const iFirstColumn = oOptions.bIndex === true ? 1 : 0;                  // If index then first column is at 1
-      const bIsString = this.GetColumnType(iFirstColumn) === 'string';        // Check if column type is string
-
-      if(oOptions.iSort !== 0) {
-         const iDirection = oOptions.iSort > 0 ? 1 : -1;
-         const iSort = Math.abs(oOptions.iSort) - iFirstColumn;
+      const aSort = this._GetSortKeys(oOptions, aIndices);                   // sort keys with value and compare mode for each column
 
+      if( aSort.length > 0 ) {
          let aSortOrder = Array.from({length: aData.length}, (_, iIndex) => iIndex); // Create sort helper indices to keep track of original order
 
          aSortOrder.sort((idxA, idxB) => {
-            const va_ = aData[idxA][iSort];
-            const vb_ = aData[idxB][iSort];
-
-            if( bIsString ) {
-               // ## Handle null/undefined values for strings ................
-               if( va_ == null && vb_ == null ) return 0;
-               if( va_ == null ) return -1 * iDirection;
-               if( vb_ == null ) return  1 * iDirection;
-               return iDirection * String(va_).localeCompare(String(vb_));
+            for( let i = 0; i < aSort.length; i++ ) {
+               const oSort = aSort[i];
+               const iCompare = Table._CompareValue(oSort.fnValue(idxA), oSort.fnValue(idxB), oSort.bString);
+               if( iCompare !== 0 ) { return oSort.iDirection * iCompare; }
             }
-
-            // ## numeric comparison ..........................................
-            if( va_ == null ) return -1 * iDirection;
-            if( vb_ == null ) return  1 * iDirection;
-            return iDirection * (va_ - vb_);
+            return idxA - idxB;                                               // equal rows keep their order
          });
 
          // Apply the same sort order to both data and indices
@@ -563,7 +935,7 @@ class Table {
     */
    _EscapeXmlValue(value_) {
       if( value_ === null || value_ === undefined ) { return ""; }
-      let sValue = String(value_);
+      let sValue = value_ instanceof Date ? value_.toISOString() : String(value_);
       // Replace XML special characters with their entity references
       sValue = sValue.replace(/&/g, "&amp;");
       sValue = sValue.replace(/</g, "&lt;");
@@ -634,12 +1006,22 @@ class Table {
       return sResult;
    }
 
+   /** -----------------------------------------------------------------------
+    * Convert rows to JSON array with objects, column name is key
+    *
+    * @param {number} [row_] - Row index, all rows if not set
+    * @param {Object} [oOptions={}]
+    * @param {boolean} [oOptions.bIncludeNull=false] include null and undefined values
+    * @param {number} [oOptions.iIndent=3] indentation
+    * @returns {string} JSON array with one object for each row
+    */
    AsJson(row_, oOptions = {}) {
       const bIncludeNull = oOptions.bIncludeNull || false;
       const iIndent = oOptions.iIndent || 3;
 
-      const iRowBegin = row_ || 0;
-      const iRowEnd = iRowBegin + ( row_ ? 1 : this.Size() );
+      const bAll = row_ === undefined || row_ === null;                      // row 0 is also a row
+      const iRowBegin = bAll ? 0 : row_;
+      const iRowEnd = bAll ? this.Size() : row_ + 1;
 
       let aRows = [];
 
@@ -657,9 +1039,206 @@ class Table {
       return JSON.stringify(aRows, null, iIndent);
    }
 
+   /** -----------------------------------------------------------------------
+    * Generate JSON for table with column information, read it with `Table.FromJson`
+    *
+    * Format is `{ name, columns: [{ name, alias, type, state, specific }], rows: [[...]] }`.
+    * Dates are written in ISO format and column with Date values gets type "date",
+    * see `_GetSerializeType`.
+    *
+    * @param {Object} [oOptions={}]
+    * @param {number} [oOptions.iIndent=0] indentation, 0 = no whitespace
+    * @returns {string} JSON text
+    */
+   ToJson(oOptions = {}) {
+      const oJson = {
+         name: this.sName,
+         columns: this.aColumn.map((column_, iColumn) => ({ name: column_.sName, alias: column_.sAlias, type: this._GetSerializeType(iColumn), state: column_.iState, specific: column_.iSpecificType })),
+         rows: this.aTable
+      };
+
+      return JSON.stringify(oJson, null, oOptions.iIndent || 0);
+   }
+
+   /** -----------------------------------------------------------------------
+    * Get column type written by `ToJson` and `ToXml`. Column with Date values is
+    * "date" even if type is something else, e.g. "object" from inferred types,
+    * otherwise dates would be read back as text.
+    * @param {number} iColumn - Index for column
+    * @returns {string} type for column
+    * @private
+    */
+   _GetSerializeType(iColumn) {
+      const sType = this.aColumn[iColumn].sType;
+      if( sType === "date" ) { return sType; }
+      return this.aTable.some(aRow => aRow[iColumn] instanceof Date) ? "date" : sType;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Generate XML for table with column information, read it with `Table.FromXml`
+    *
+    * Rows are generated with `AsXml` and options for rows are passed to it.
+    *
+    * @example
+    * // <table name="user-search"><columns><column name="alias" alias="alias" type="string" state="0" specific="0" /></columns>
+    * //    <rows><row><column name="alias">jdoe</column></row></rows></table>
+    * const sXml = table.ToXml();
+    *
+    * @param {Object} [oOptions={}] options for rows, see `AsXml`
+    * @param {string} [oOptions.sRow="row"] name for row elements
+    * @param {string} [oOptions.sColumn="column"] name for value elements
+    * @param {boolean} [oOptions.bAttribute=false] values are in attributes
+    * @returns {string} XML text
+    */
+   ToXml(oOptions = {}) {
+      let sResult = `<table name="${this._EscapeXmlValue(this.sName)}"><columns>`;
+      for( const [iColumn, column_] of this.aColumn.entries() ) {
+         sResult += `<column name="${this._EscapeXmlValue(column_.sName)}" alias="${this._EscapeXmlValue(column_.sAlias)}" type="${this._EscapeXmlValue(this._GetSerializeType(iColumn))}" state="${column_.iState}" specific="${column_.iSpecificType}" />`;
+      }
+      sResult += `</columns><rows>`;
+
+      const iRowCount = this.Size();
+      for( let iRow = 0; iRow < iRowCount; iRow++ ) { sResult += this.AsXml(iRow, oOptions); }
+
+      sResult += `</rows></table>`;
+      return sResult;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Generate CSV text from table
+    *
+    * Fields with separator, quote, newline or space at start or end are quoted
+    * and quotes are written as `""`. Null and undefined are empty fields, dates
+    * are written in ISO format.
+    *
+    * @example
+    * // All columns with header
+    * const sCsv = table.ToCsv();
+    *
+    * @example
+    * // Two columns separated with ";" for spreadsheet with comma as decimal sign
+    * const sCsv = table.ToCsv({ aColumn: ["alias", "name"], sSeparator: ";" });
+    *
+    * @param {Object} [options_={}]
+    * @param {Array<number|string>} [options_.aColumn] columns to include, index or name, all columns if not set
+    * @param {Array<number>} [options_.aRows] rows to include, all rows if not set
+    * @param {boolean} [options_.bHeader=true] include header row with column names
+    * @param {boolean} [options_.bAlias=false] use column alias in header instead of name
+    * @param {string} [options_.sSeparator=","] field separator
+    * @param {string} [options_.sNewLine="\r\n"] line separator
+    * @returns {string} CSV text, last row ends with newline
+    */
+   ToCsv(options_ = {}) {
+      const oOptions = Object.assign({ aColumn: null, aRows: null, bHeader: true, bAlias: false, sSeparator: ",", sNewLine: "\r\n" }, options_);
+
+      // ## Resolve columns to indexes ........................................
+      let aColumn = Array.from({ length: this.GetColumnCount() }, (_, i) => i);
+      if( Array.isArray(oOptions.aColumn) ) {
+         aColumn = oOptions.aColumn.map(column_ => {
+            const iColumn = this.GetColumnIndex(column_);
+            if( typeof iColumn !== "number" || iColumn < 0 || iColumn >= this.GetColumnCount() ) { throw new Error(`ToCsv: Column not found: ${column_}`); }
+            return iColumn;
+         });
+      }
+
+      const sSeparator = oOptions.sSeparator;
+      const fnField = (value_) => {
+         if( value_ === null || value_ === undefined ) { return ""; }
+         const sValue = value_ instanceof Date ? value_.toISOString() : String(value_);
+         const bQuote = sValue.includes(sSeparator) || /["\r\n]/.test(sValue) || sValue !== sValue.trim();
+         return bQuote ? `"${sValue.replace(/"/g, '""')}"` : sValue;
+      };
+
+      const aLine = [];
+      if( oOptions.bHeader ) {
+         aLine.push(aColumn.map(iColumn => fnField(oOptions.bAlias ? this.aColumn[iColumn].sAlias || this.aColumn[iColumn].sName : this.aColumn[iColumn].sName)).join(sSeparator));
+      }
+
+      const aRows = Array.isArray(oOptions.aRows) ? oOptions.aRows : Array.from({ length: this.Size() }, (_, i) => i);
+      for( const iRow of aRows ) {
+         if( iRow < 0 || iRow >= this.Size() ) { continue; }                  // skip invalid indexes
+         aLine.push(aColumn.map(iColumn => fnField(this._GetCellValue(iRow, iColumn))).join(sSeparator));
+      }
+
+      return aLine.length > 0 ? aLine.join(oOptions.sNewLine) + oOptions.sNewLine : "";
+   }
+
    // Get internal table data array ------------------------------------------
    Data() { return this.aTable; }
 
+   /** -----------------------------------------------------------------------
+    * Collect sort keys from GetData options, aSort has priority over iSort.
+    * Each key knows how to read the value for row in generated data and if
+    * values are compared as text, type is taken from the sorted column.
+    *
+    * @param {Object} oOptions - Options passed to GetData
+    * @param {Array<number>} aIndices - Original row index for each row in generated data
+    * @returns {Array<Object>} Sort keys, { fnValue, iDirection, bString }
+    */
+   _GetSortKeys(oOptions, aIndices) {
+      const aSort = [];
+
+      // ## Sort keys with column in table .................................
+      if( Array.isArray(oOptions.aSort) && oOptions.aSort.length > 0 ) {
+         for( let i = 0; i < oOptions.aSort.length; i++ ) {
+            const oSort = oOptions.aSort[i];
+            const iColumn = this.GetColumnIndex(oSort.iColumn);
+            if( typeof iColumn !== "number" || iColumn < 0 || iColumn >= this.aColumn.length ) { throw new Error(`Invalid sort column: ${oSort.iColumn}`); }
+
+            aSort.push({
+               fnValue: (iRow) => this._GetCellValue(aIndices[iRow], iColumn),
+               iDirection: oSort.bDescending === true ? -1 : 1,
+               bString: this.GetColumnType(iColumn) === 'string'
+            });
+         }
+         return aSort;
+      }
+
+      if( !oOptions.iSort ) { return aSort; }
+
+      // ## iSort is position in generated row, find column in table .........
+      const iFirstColumn = oOptions.bIndex === true ? 1 : 0;                  // If index then first column is at 1
+      const iPosition = Math.abs(oOptions.iSort) - iFirstColumn;
+      const iDirection = oOptions.iSort > 0 ? 1 : -1;
+
+      if( oOptions.bIndex === true && iPosition === 0 ) {                     // index column, original row index
+         aSort.push({ fnValue: (iRow) => aIndices[iRow], iDirection, bString: false });
+         return aSort;
+      }
+
+      let iColumn = iPosition - iFirstColumn;
+      if( oOptions.aColumn !== null ) { iColumn = oOptions.aColumn[iColumn]; }
+      iColumn = this.GetColumnIndex(iColumn);
+      if( typeof iColumn !== "number" || iColumn < 0 || iColumn >= this.aColumn.length ) { return aSort; } // position outside columns, no sort
+
+      aSort.push({
+         fnValue: (iRow) => this._GetCellValue(aIndices[iRow], iColumn),
+         iDirection,
+         bString: this.GetColumnType(iColumn) === 'string'
+      });
+
+      return aSort;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Compare two values for sorting, null and undefined are placed before other values
+    * @param {*} va_ first value
+    * @param {*} vb_ second value
+    * @param {boolean} bString compare as text
+    * @returns {number} negative if first is less, positive if first is greater, 0 if equal
+    */
+   static _CompareValue(va_, vb_, bString) {
+      if( va_ == null && vb_ == null ) return 0;
+      if( va_ == null ) return -1;
+      if( vb_ == null ) return  1;
+
+      if( bString ) { return String(va_).localeCompare(String(vb_)); }
+
+      // ## numeric comparison ..............................................
+      const iCompare = va_ - vb_;
+      return isNaN(iCompare) ? String(va_).localeCompare(String(vb_)) : iCompare;
+   }
+
    /** -----------------------------------------------------------------------
     * Get cell value
     * Internal method to get cell value, no checks for valid column or row
@@ -805,8 +1384,355 @@ class Table {
    // Clears all rows from the table. ----------------------------------------
    Clear() { this.aTable = []; }
 
+   // @API [tag: table, aggregate] [description: Group rows and calculate values for each group]
+
+   /** -----------------------------------------------------------------------
+    * Group rows on values in columns and calculate aggregates for each group
+    *
+    * Returns a new table with one row for each group, group columns first and
+    * then one column for each aggregate. Groups are in the order they are
+    * first found in table. Without group columns all rows is one group.
+    *
+    * Aggregates:
+    * - "count" - number of rows, with iColumn number of values that are not empty
+    * - "sum", "avg", "min", "max" - calculated on values that are not empty
+    * - "distinct" - number of different values that are not empty
+    *
+    * Weighted aggregates, `count`, `sum` and `avg` are weighted if weight_ is set.
+    * Weight is a column name, a number that is used for all rows or a function
+    * (aRow, iRow) that returns weight for row. Rows with empty weight have weight 1. Weighted count and sum are multiplied with
+    * dRate, this is how `TPoll.FRate * TPollAnswer.FWeight * vote count` is
+    * calculated. Weighted avg is sum of value * weight divided with sum of weight.
+    *
+    * @example
+    * // Votes per answer, raw and weighted with answer weight and poll rate
+    * const oResult = oVotes.GroupBy("answer", [
+    *    { sAggregate: "count", sName: "votes" },
+    *    { sAggregate: "count", weight_: "FWeight", dRate: dPollRate, sName: "weighted" },
+    *    { sAggregate: "avg", iColumn: "FScore", sName: "score" },
+    *    { sAggregate: "distinct", iColumn: "voter", sName: "voters" }
+    * ]);
+    *
+    * @param {number|string|Array<number|string>} columns_ - Column or columns to group on, empty array = one group
+    * @param {Array<Object>} aAggregate - Aggregates, { sAggregate, iColumn, sName, weight_, dRate }
+    *   iColumn is index or name for column with values, sName is name for result column
+    * @param {Object} [options_={}]
+    * @param {string} [options_.sName=""] name for result table
+    * @param {Array<number>} [options_.aRows] rows to include, e.g. from FindAll, all rows if not set
+    * @returns {Table} table with groups and aggregates
+    */
+   GroupBy(columns_, aAggregate = [], options_ = {}) {
+      const aGroupColumn = (Array.isArray(columns_) ? columns_ : [columns_]).map(column_ => this._GetColumnOrThrow(column_, "GroupBy"));
+
+      // ## Prepare aggregates, resolve columns and weight ......................
+      const aPrepared = aAggregate.map(oAggregate => {
+         const sAggregate = oAggregate.sAggregate;
+         if( !["count", "sum", "avg", "min", "max", "distinct"].includes(sAggregate) ) { throw new Error(`GroupBy: Unknown aggregate: ${sAggregate}`); }
+
+         const bColumn = oAggregate.iColumn !== undefined && oAggregate.iColumn !== null;
+         if( !bColumn && sAggregate !== "count" ) { throw new Error(`GroupBy: Aggregate ${sAggregate} needs column`); }
+         const iColumn = bColumn ? this._GetColumnOrThrow(oAggregate.iColumn, "GroupBy") : -1;
+
+         let fnWeight = null;
+         const weight_ = oAggregate.weight_;
+         if( typeof weight_ === "function" ) { fnWeight = weight_; }
+         else if( typeof weight_ === "number" ) { fnWeight = () => weight_; }
+         else if( weight_ !== undefined && weight_ !== null ) {
+            const iWeight = this._GetColumnOrThrow(weight_, "GroupBy");
+            fnWeight = (aRow) => aRow[iWeight];
+         }
+
+         const sName = oAggregate.sName || (iColumn === -1 ? sAggregate : `${sAggregate}_${this.aColumn[iColumn].sName}`);
+         return { sAggregate, iColumn, sName, fnWeight, dRate: typeof oAggregate.dRate === "number" ? oAggregate.dRate : 1 };
+      });
+
+      // ## Collect groups, key is values for group columns ....................
+      const mapGroup = new Map();
+      const aRows = Array.isArray(options_.aRows) ? options_.aRows : Array.from({ length: this.Size() }, (_, i) => i);
+      for( const iRow of aRows ) {
+         if( iRow < 0 || iRow >= this.Size() ) { continue; }
+
+         const aRow = this._GetRow(iRow);
+         const aKey = aGroupColumn.map(iColumn => aRow[iColumn] ?? null);
+         const sKey = JSON.stringify(aKey);
+
+         let oGroup = mapGroup.get(sKey);
+         if( !oGroup ) {
+            oGroup = { aKey, aState: aPrepared.map(() => ({ iCount: 0, dSum: 0, dWeight: 0, min_: null, max_: null, setValue: new Set() })) };
+            mapGroup.set(sKey, oGroup);
+         }
+
+         aPrepared.forEach((oAggregate, i) => this._AddToAggregate(oGroup.aState[i], oAggregate, aRow, iRow));
+      }
+
+      // ## Result table, group columns keep type ..............................
+      const aColumn = aGroupColumn.map(iColumn => new Table.column({ sName: this.aColumn[iColumn].sName, sAlias: this.aColumn[iColumn].sAlias, sType: this.aColumn[iColumn].sType }));
+      aPrepared.forEach(oAggregate => {
+         const sType = (oAggregate.sAggregate === "min" || oAggregate.sAggregate === "max") ? this.aColumn[oAggregate.iColumn].sType : "number";
+         aColumn.push(new Table.column({ sName: oAggregate.sName, sType }));
+      });
+
+      const table = new Table([], { sName: options_.sName, aColumn });
+      for( const oGroup of mapGroup.values() ) {
+         table.aTable.push([...oGroup.aKey, ...aPrepared.map((oAggregate, i) => Table._GetAggregateResult(oGroup.aState[i], oAggregate))]);
+      }
+
+      return table;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Add row to state for aggregate in group
+    * @param {Object} oState - State for aggregate, { iCount, dSum, dWeight, min_, max_, setValue }
+    * @param {Object} oAggregate - Prepared aggregate
+    * @param {Array} aRow - Row values
+    * @param {number} iRow - Row index
+    * @private
+    */
+   _AddToAggregate(oState, oAggregate, aRow, iRow) {
+      let dWeight = 1;
+      if( oAggregate.fnWeight ) {
+         const weight_ = oAggregate.fnWeight(aRow, iRow);
+         if( weight_ !== null && weight_ !== undefined && weight_ !== "" ) { dWeight = Number(weight_); } // rows without weight have weight 1
+         if( isNaN(dWeight) ) { dWeight = 1; }
+      }
+
+      // ## Count rows, without column all rows are counted .................
+      if( oAggregate.iColumn === -1 ) {
+         oState.iCount++;
+         oState.dWeight += dWeight;
+         return;
+      }
+
+      const value_ = aRow[oAggregate.iColumn];
+      if( value_ === null || value_ === undefined || value_ === "" ) { return; }
+
+      oState.iCount++;
+      oState.dWeight += dWeight;
+
+      switch( oAggregate.sAggregate ) {
+         case "sum":
+         case "avg": {
+            const dValue = Number(value_);
+            if( isNaN(dValue) ) { oState.iCount--; oState.dWeight -= dWeight; return; } // text is not counted in sum
+            oState.dSum += dValue * dWeight;
+            break;
+         }
+         case "min":
+         case "max": {
+            const bString = this.aColumn[oAggregate.iColumn].sType === "string";
+            if( oState.min_ === null || Table._CompareValue(value_, oState.min_, bString) < 0 ) { oState.min_ = value_; }
+            if( oState.max_ === null || Table._CompareValue(value_, oState.max_, bString) > 0 ) { oState.max_ = value_; }
+            break;
+         }
+         case "distinct":
+            oState.setValue.add(value_ instanceof Date ? value_.getTime() : value_);
+            break;
+      }
+   }
+
+   /** -----------------------------------------------------------------------
+    * Get result for aggregate from state
+    * @param {Object} oState - State for aggregate
+    * @param {Object} oAggregate - Prepared aggregate
+    * @returns {number|any|null} result, null for avg, min and max without values
+    * @private
+    */
+   static _GetAggregateResult(oState, oAggregate) {
+      const bWeighted = oAggregate.fnWeight !== null;
+      switch( oAggregate.sAggregate ) {
+         case "count": return bWeighted ? oState.dWeight * oAggregate.dRate : oState.iCount;
+         case "sum": return bWeighted ? oState.dSum * oAggregate.dRate : oState.dSum;
+         case "avg": {
+            const dDivide = bWeighted ? oState.dWeight : oState.iCount;
+            return dDivide !== 0 ? oState.dSum / dDivide : null;
+         }
+         case "min": return oState.min_;
+         case "max": return oState.max_;
+         case "distinct": return oState.setValue.size;
+      }
+      return null;
+   }
+
+   // @API [tag: table, join] [description: Combine rows from two tables]
+
+   /** -----------------------------------------------------------------------
+    * Join rows in this table with rows in other table
+    *
+    * Returns a new table with all columns from this table followed by columns
+    * from other table, join columns in other table are not included. Column in
+    * other table with same name as column in this table gets prefix, default
+    * prefix is name for other table and a dot (or "right.").
+    *
+    * Join types:
+    * - "inner" - rows with match in both tables
+    * - "left" - all rows in this table, columns from other table are null if no match
+    * - "full" - all rows in both tables, rows only in other table are added last
+    *
+    * Empty values never match, same as null in SQL. Values are compared as text
+    * so 5 and "5" match, keys from database may be either.
+    *
+    * @example
+    * // Answers with question name, join TPollAnswer rows with TPollQuestion rows
+    * const oTable = oAnswer.Join(oQuestion, "PollQuestionK", "left");
+    *
+    * @example
+    * // Columns with different names
+    * const oTable = oVote.Join(oAnswer, { iLeft: "answer", iRight: "PollAnswerK" });
+    *
+    * @param {Table} other - Table to join with
+    * @param {number|string|Object|Array} on_ - Column in both tables, { iLeft, iRight } with column in each table
+    *   (index or name) or array with these for join on more than one column
+    * @param {string} [sType="inner"] - Join type, "inner", "left" or "full"
+    * @param {Object} [options_={}]
+    * @param {string} [options_.sName=""] name for result table
+    * @param {string} [options_.sPrefix] prefix for columns in other table with name that exists in this table
+    * @returns {Table} table with joined rows
+    */
+   Join(other, on_, sType = "inner", options_ = {}) {
+      if( !(other instanceof Table) ) { throw new Error("Join: Invalid Table instance"); }
+      if( !["inner", "left", "full"].includes(sType) ) { throw new Error(`Join: Unknown join type: ${sType}`); }
+
+      // ## Resolve join columns in both tables ..................................
+      const aOn = (Array.isArray(on_) ? on_ : [on_]).map(o_ => {
+         const bPair = o_ !== null && typeof o_ === "object";
+         const iLeft = this._GetColumnOrThrow(bPair ? o_.iLeft : o_, "Join");
+         const iRight = other._GetColumnOrThrow(bPair ? o_.iRight : o_, "Join");
+         return { iLeft, iRight };
+      });
+      if( aOn.length === 0 ) { throw new Error("Join: No join column"); }
+
+      const fnKey = (aRow, sSide) => {
+         const aKey = aOn.map(oOn => aRow[sSide === "left" ? oOn.iLeft : oOn.iRight]);
+         if( aKey.some(value_ => value_ === null || value_ === undefined || value_ === "") ) return null; // empty values do not match
+         return JSON.stringify(aKey.map(value_ => String(value_)));
+      };
+
+      // ## Columns, join columns in other table are skipped ......................
+      const setRightOn = new Set(aOn.map(oOn => oOn.iRight));
+      const aRightColumn = other.aColumn.map((_, i) => i).filter(i => !setRightOn.has(i));
+      const sPrefix = options_.sPrefix ?? (other.sName ? other.sName + "." : "right.");
+
+      const aColumn = this.aColumn.map(column_ => new Table.column({ sName: column_.sName, sAlias: column_.sAlias, sType: column_.sType, iState: column_.iState, iSpecificType: column_.iSpecificType }));
+      aRightColumn.forEach(iColumn => {
+         const column_ = other.aColumn[iColumn];
+         const bExists = this.GetColumnIndex(column_.sName) !== -1;
+         const sName = bExists ? sPrefix + column_.sName : column_.sName;
+         aColumn.push(new Table.column({ sName, sAlias: bExists ? sName : column_.sAlias, sType: column_.sType, iState: column_.iState, iSpecificType: column_.iSpecificType }));
+      });
+
+      // ## Index rows in other table on key ..................................
+      const mapRight = new Map();
+      for( let iRow = 0; iRow < other.Size(); iRow++ ) {
+         const sKey = fnKey(other._GetRow(iRow), "right");
+         if( sKey === null ) continue;
+         if( !mapRight.has(sKey) ) { mapRight.set(sKey, []); }
+         mapRight.get(sKey).push(iRow);
+      }
+
+      // ## Join rows, rows in this table keep order ...........................
+      const table = new Table([], { sName: options_.sName, aColumn });
+      const setMatched = new Set();                                           // rows in other table that has match
+      const aEmpty = new Array(aRightColumn.length).fill(null);
+      for( let iRow = 0; iRow < this.Size(); iRow++ ) {
+         const aRow = this._GetRow(iRow);
+         const sKey = fnKey(aRow, "left");
+         const aMatch = sKey === null ? undefined : mapRight.get(sKey);
+
+         if( aMatch ) {
+            aMatch.forEach(iRight => {
+               const aRight = other._GetRow(iRight);
+               table.aTable.push([...aRow, ...aRightColumn.map(iColumn => aRight[iColumn])]);
+               setMatched.add(iRight);
+            });
+         }
+         else if( sType !== "inner" ) { table.aTable.push([...aRow, ...aEmpty]); }
+      }
+
+      // ## Rows only in other table for full join, join values are set ........
+      if( sType === "full" ) {
+         for( let iRight = 0; iRight < other.Size(); iRight++ ) {
+            if( setMatched.has(iRight) ) continue;
+            const aRight = other._GetRow(iRight);
+            const aRow = new Array(this.aColumn.length).fill(null);
+            aOn.forEach(oOn => { aRow[oOn.iLeft] = aRight[oOn.iRight]; });
+            table.aTable.push([...aRow, ...aRightColumn.map(iColumn => aRight[iColumn])]);
+         }
+      }
+
+      return table;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Add column with value from code table for values in column
+    *
+    * Used to show names for codes, columns like `TypeC` and `StateC` holds keys
+    * for rows in `TCode`. Values are compared as text. If column with name
+    * already exists values in it are replaced, so lookup can be done again when
+    * rows are reloaded.
+    *
+    * @example
+    * gd.db.Select("SELECT CodeK, FName FROM TCode WHERE CodeGroupK = {=group}", { group: 1061 }).then(function(oResult) {
+    *    oPollTable.Lookup("TypeC", Table.FromDbResult(oResult), "FName", { sName: "type" });
+    * });
+    *
+    * @param {number|string} column_ - Column with code keys in this table
+    * @param {Table} codeTable - Table with codes
+    * @param {number|string} display_ - Column in code table with value to show
+    * @param {Object} [options_={}]
+    * @param {number|string} [options_.iKey=0] column with key in code table
+    * @param {string} [options_.sName] name for added column, default is column name and display column name joined with "_"
+    * @param {any} [options_.default_=null] value if code is not found
+    * @returns {number} index for added column
+    */
+   Lookup(column_, codeTable, display_, options_ = {}) {
+      if( !(codeTable instanceof Table) ) { throw new Error("Lookup: Invalid Table instance"); }
+
+      const iColumn = this._GetColumnOrThrow(column_, "Lookup");
+      const iDisplay = codeTable._GetColumnOrThrow(display_, "Lookup");
+      const iKey = codeTable._GetColumnOrThrow(options_.iKey ?? 0, "Lookup");
+      const default_ = options_.default_ ?? null;
+
+      // ## Map with key -> display value, first row wins for same key ........
+      const mapCode = new Map();
+      for( let iRow = 0; iRow < codeTable.Size(); iRow++ ) {
+         const key_ = codeTable._GetCellValue(iRow, iKey);
+         if( key_ === null || key_ === undefined ) continue;
+         if( !mapCode.has(String(key_)) ) { mapCode.set(String(key_), codeTable._GetCellValue(iRow, iDisplay)); }
+      }
+
+      // ## Add column or use existing column with name ........................
+      const sName = options_.sName || `${this.aColumn[iColumn].sName}_${codeTable.aColumn[iDisplay].sName}`;
+      let iTarget = this.GetColumnIndex(sName);
+      if( iTarget === -1 ) {
+         this.aColumn.push(new Table.column({ sName, sType: codeTable.aColumn[iDisplay].sType }));
+         iTarget = this.aColumn.length - 1;
+      }
+
+      for( let iRow = 0; iRow < this.Size(); iRow++ ) {
+         const key_ = this._GetCellValue(iRow, iColumn);
+         const value_ = key_ === null || key_ === undefined ? undefined : mapCode.get(String(key_));
+         this._SetCellValue(iRow, iTarget, value_ === undefined ? default_ : value_);
+      }
+
+      return iTarget;
+   }
+
    // @API [tag: table, utilities] [description: Helper methods, like utilities for table]
 
+   /** -----------------------------------------------------------------------
+    * Get column index for index or name, throws if column is not found.
+    * Used by methods where missing column is an error in call.
+    * @param {number|string} column_ - Column index or name
+    * @param {string} sMethod - Method name used in error message
+    * @returns {number} column index
+    * @private
+    */
+   _GetColumnOrThrow(column_, sMethod) {
+      const iColumn = this.GetColumnIndex(column_);
+      if( typeof iColumn !== "number" || iColumn < 0 || iColumn >= this.aColumn.length ) { throw new Error(`${sMethod}: Column not found: ${column_}`); }
+      return iColumn;
+   }
+
    /** -----------------------------------------------------------------------
     * Parses the types of the data in the table for a specific row and sets the
     * column type if it is not already set. Does not modify the cell values.
@@ -831,7 +1757,8 @@ class Table {
             // ## Determine Type ..............................................
             let sDetectedType = typeof v_;
 
-            if(sDetectedType === "string") {                                  // If the value is a string, check if it represents a number
+            if(v_ instanceof Date) { sDetectedType = "date"; }                // Date is "date" and not "object"
+            else if(sDetectedType === "string") {                                  // If the value is a string, check if it represents a number
                const n_ = Number(v_);
                if(!isNaN(n_)) { sDetectedType = "number"; }
             }
@@ -919,3 +1846,5 @@ class Table {
    _SetCellValue(iRow, iColumn, value_) { this.aTable[iRow][iColumn] = value_; }
 
 }
+
+if( typeof module !== "undefined" && module.exports ) { module.exports = { Table }; }
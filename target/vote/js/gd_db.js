@@ -12,6 +12,9 @@
  * - Automatic key column caching for performance
  * - Flexible value setting (single, multiple, bulk operations)
  * - Callback-based data sync (ReadValues/WriteValues) for UI binding
+ * - Change listeners notified when values change or are cleared
+ * - Change tracking, original values are kept to find edited values
+ * - Validation of values based on column rules (type, required, pattern, aMatch, length)
  *
  * ## Basic Usage:
  * ```javascript
@@ -24,8 +27,27 @@
  * console.log(oRecord.GetValue("FAlias"));
  * ```
  *
+ * ## Change Tracking:
+ * ```javascript
+ * oRecord.SetValue(aHeader, aRow);                  // values loaded from database
+ * oRecord.Snapshot();                               // loaded values are the original values
+ * oRecord.SetValue("FFirstName", "Per");
+ * oRecord.IsDirty();                                // true
+ * oRecord.GetChangedValues();                       // { FFirstName: "Per" }
+ * oRecord.Revert();                                 // back to loaded values
+ * ```
+ *
+ * ## Schema From Database:
+ * ```javascript
+ * // columns, types, lengths and keys are read from table, labels are set by page
+ * gd.db.Meta("TPoll").then(oSchema => {
+ *    const oRecord = DBRecord.FromSchema(oSchema, { oColumn: { FName: { sLabel: "Name" } } });
+ * });
+ * ```
+ *
  * ## Public Methods:
  * - constructor()          - Create record with schema
+ * - FromSchema()            - Create record from table schema read from database
  * - AddValue()              - Add value(s) from object/array
  * - SetValue()              - Set one or many values
  * - GetValue()              - Get value by column name
@@ -39,6 +61,15 @@
  * - HasKeyValue()           - Check if key has non-null value
  * - GetColumnNames()        - Get array of column names
  * - AddColumn()             - Add new column(s) to schema
+ * - Snapshot()              - Store current values as original values
+ * - IsDirty()               - Check if values differ from original values
+ * - GetChangedValues()      - Get values that differ from original values
+ * - GetOriginalValue()      - Get original value by column name
+ * - Revert()                - Restore original values
+ * - Validate()              - Validate values against column rules
+ * - IsValid()               - Check if all values are valid
+ * - AddListener()           - Add listener for value changes
+ * - RemoveListener()        - Remove listener
  * - AsJson()                - Convert to JSON object
  */
 class DBRecord {
@@ -57,7 +88,12 @@ class DBRecord {
        * @param {string} [options_.sDescription=""] - The description of the column, which provides additional information about the column.
        * @param {string|RegExp|null} [options_.pattern=null] - The pattern to validate the column value.
        * @param {string[]} [options_.aMatch=null] - The array of values to match the column value.
-       * @param {string} [options_.sError=""]
+       * @param {string} [options_.sError=""] - Error message used when pattern, enumeration or custom validation fails.
+       * @param {number} [options_.iMaxLength=0] - Max number of characters for value, same as length limit in SQL, e.g. VARCHAR(500). 0 = no limit.
+       * @param {Function} [options_.fnValidate=null] - Custom validator: (value_, oRecord) => string|Array<string>|boolean|undefined, return error message(s) or false if invalid.
+       * @param {string} [options_.sInput=""] - Input type used in generated forms (e.g. "password", "email"), empty = type based on sType.
+       * @param {number} [options_.iCols=0] - Number of columns in grid row that starts with this column in generated forms, 0 = own row.
+       * @param {number} [options_.iSpan=0] - Number of grid columns used by column in generated forms.
        * @param {any} [options_.default=null]
        */
       constructor(options_ = {}) {
@@ -79,6 +115,11 @@ class DBRecord {
          this.pattern_ = oOptions.pattern || null;
          this.aMatch = oOptions.aMatch || null;
          this.sError = oOptions.sError || "";
+         this.iMaxLength = Number(oOptions.iMaxLength) || 0;
+         this.fnValidate = oOptions.fnValidate || null;
+         this.sInput = oOptions.sInput || "";
+         this.iCols = Number(oOptions.iCols) || 0;
+         this.iSpan = Number(oOptions.iSpan) || 0;
          this.default_ = oOptions.default || null;
       }
 
@@ -131,9 +172,15 @@ class DBRecord {
       // ## Use Map for O(1) value lookups instead of array ..................
       this.mapValues = new Map();
 
+      // ## Original values, compared with current values to find changes ....
+      this.mapOriginal = new Map();
+
       // ## Cache key columns for performance ................................
       this._aKeyColumns = null;
 
+      // ## Listeners notified on value changes, (sEvent, oData, oRecord) => void
+      this.aListener = [];
+
 
       // ## Initialize with provided values if any ...........................
       if(options_.aValues) { options_.aValues.forEach(value_ => this.AddValue(value_)); }
@@ -151,6 +198,67 @@ class DBRecord {
     */
    set table(value_) { this.sTable = value_; }
 
+   /** ------------------------------------------------------------------------
+    * Create record with columns from table schema in database
+    *
+    * Schema is column information from SQLite `pragma_table_info`, each column has
+    * `name`, `type`, `notnull`, `pk` and `dflt_value`. If schema has the create statement
+    * for table (`sSql`) then `CHECK(length(column) < n)` rules are used as max length.
+    *
+    * SQL types are converted to column types:
+    * INTEGER, SMALLINT ... = "integer", REAL, DECIMAL ... = "decimal", BLOB = "binary",
+    * DATE = "date", DATETIME = "datetime", BOOLEAN = "boolean", TEXT = "text" and
+    * VARCHAR(n) = "string" with max length n.
+    *
+    * @param {Object|Array<Object>} schema_ - Schema from gd.db.Meta { sTable, aColumn, sSql },
+    *   result with AsObjects() or array with column objects
+    * @param {Object} [options_={}] - Options for record
+    * @param {string} [options_.sTable] - Table name, if not set table in schema is used
+    * @param {Object} [options_.oColumn] - Column options by column name, these override values read from schema, e.g. { FName: { sLabel: "Name" } }
+    * @param {Function} [options_.fnRead] - Callback for ReadValues
+    * @param {Function} [options_.fnWrite] - Callback for WriteValues
+    * @returns {DBRecord} Record with columns for table
+    */
+   static FromSchema(schema_, options_ = {}) {
+      let aSchema = schema_;
+      let sSql = "";
+      if( schema_ && typeof schema_.AsObjects === "function" ) { aSchema = schema_.AsObjects(); }
+      else if( schema_ && !Array.isArray(schema_) && typeof schema_ === "object" ) {
+         aSchema = schema_.aColumn;
+         sSql = schema_.sSql || "";
+      }
+      if( !Array.isArray(aSchema) ) { throw new Error("Invalid argument: schema must have columns"); }
+
+      const oColumnOptions = options_.oColumn || {};
+      const aColumn = aSchema.map(oSchema => {
+         const sName = oSchema.name;
+         const oType = DBRecord._schema_type(oSchema.type);
+
+         // ## Max length from CHECK(length(name) < n) in create statement ...
+         const iCheckLength = DBRecord._schema_check_length(sSql, sName);
+         let iMaxLength = oType.iMaxLength;
+         if( iCheckLength > 0 && (iMaxLength === 0 || iCheckLength < iMaxLength) ) { iMaxLength = iCheckLength; }
+
+         const bKey = Number(oSchema.pk) > 0;
+         const default_ = DBRecord._schema_default(oSchema.dflt_value);
+
+         const oColumn = {
+            sName,
+            sType: oType.sType,
+            bKey,
+            bFKey: !bKey && /^[A-Z]\w*K$/.test(sName),                        // columns named with K at end are keys in this database
+            bRequired: !bKey && Number(oSchema.notnull) === 1 && default_ === null,
+            iMaxLength,
+            default: default_
+         };
+
+         return new DBRecord.column(Object.assign(oColumn, oColumnOptions[sName]));
+      });
+
+      const sTable = options_.sTable || schema_?.sTable || "";
+      return new DBRecord([], { sTable, aColumn, fnRead: options_.fnRead, fnWrite: options_.fnWrite });
+   }
+
    /** ------------------------------------------------------------------------
     * Add value(s) to the record from {name, value} format
     * @param {Object|Array|*} value_ - Value to add (object with {name, value}, array of such objects, or single value)
@@ -308,15 +416,115 @@ class DBRecord {
    }
 
    /** ------------------------------------------------------------------------
-    * Clear all values from the record (sets to null and calls WriteValues)
+    * Clear all values from the record (sets to null and calls WriteValues if write callback is set)
     */
    ClearValues() {
       // Set all values to null
       this.mapValues.forEach((value, key) => { this.mapValues.set(key, null); });
-      this.WriteValues();
+      this.mapOriginal.clear();                                                // cleared record has no original values
+      if( this.fnWrite ) { this.WriteValues(); }                               // bound forms (UIForm) listen to "clear"
       this._aKeyColumns = null;
+      this._notify("clear", {});
+   }
+
+
+   /** ------------------------------------------------------------------------
+    * Store current values as original values
+    *
+    * Call this after values are loaded from or saved to database, changes after
+    * snapshot are reported by IsDirty and GetChangedValues.
+    */
+   Snapshot() {
+      this.mapOriginal = new Map(this.mapValues);
+      this._notify("snapshot", {});
+   }
+
+   /** ------------------------------------------------------------------------
+    * Check if value(s) differ from original values
+    * @param {string} [sName] - Column name, if not set all columns are checked
+    * @returns {boolean} True if value for column or any column has changed
+    */
+   IsDirty(sName) {
+      if( sName !== undefined ) { return !DBRecord._is_same_value(this.mapOriginal.get(sName), this.mapValues.get(sName)); }
+
+      for( const sColumn of this.mapValues.keys() ) {
+         if( !DBRecord._is_same_value(this.mapOriginal.get(sColumn), this.mapValues.get(sColumn)) ) { return true; }
+      }
+      return false;
+   }
+
+   /** ------------------------------------------------------------------------
+    * Get values that differ from original values, key columns are skipped
+    * @returns {Object} Object with column names as keys for changed values
+    */
+   GetChangedValues() {
+      const oResult = {};
+      this.mapValues.forEach((value_, sName) => {
+         const oColumn = this._get_column(sName);
+         if( oColumn && oColumn.is_key() ) return;                            // skip key
+         if( !DBRecord._is_same_value(this.mapOriginal.get(sName), value_) ) { oResult[sName] = value_; }
+      });
+      return oResult;
+   }
+
+   /** ------------------------------------------------------------------------
+    * Get original value for column, value from last snapshot
+    * @param {string} sName - Column name
+    * @returns {*} Original value or undefined if not set
+    */
+   GetOriginalValue(sName) { return this.mapOriginal.get(sName); }
+
+   /** ------------------------------------------------------------------------
+    * Restore original values, values are written if write callback is registered
+    * @param {string} [sName] - Column name, if not set all columns are restored
+    */
+   Revert(sName) {
+      const aName = sName !== undefined ? [sName] : [...new Set([...this.mapValues.keys(), ...this.mapOriginal.keys()])];
+      aName.forEach(sColumn => {
+         const value_ = this.mapOriginal.has(sColumn) ? this.mapOriginal.get(sColumn) : null;
+         this._set_value_internal(sColumn, value_);
+      });
+
+      if( this.fnWrite ) { this.WriteValues(); }
+      this._notify("revert", { sName });
+   }
+
+   /** ------------------------------------------------------------------------
+    * Validate values against rules in columns
+    *
+    * Checks in order: required, type, max length, pattern, aMatch and custom
+    * validator. Empty values are only checked for required. Key columns are
+    * not required because keys are generated by database.
+    *
+    * @example
+    * const oError = oRecord.Validate();
+    * // { FName: ["Value is required"], FMail: ["Value does not match pattern"] }
+    *
+    * @param {string|Array<string>} [name_] - Column name(s) to validate, if not set all columns are validated
+    * @returns {Object} Object with column names as keys and array with error messages, empty if valid
+    */
+   Validate(name_) {
+      const oResult = {};
+      let aColumn = this.aColumn;
+      if( name_ !== undefined ) {
+         const aName = Array.isArray(name_) ? name_ : [name_];
+         aColumn = this.aColumn.filter(column => aName.includes(column.sName));
+      }
+
+      aColumn.forEach(oColumn => {
+         const aError = this._validate_column(oColumn, this.GetValue(oColumn.sName));
+         if( aError.length > 0 ) { oResult[oColumn.sName] = aError; }
+      });
+
+      return oResult;
    }
 
+   /** ------------------------------------------------------------------------
+    * Check if values are valid
+    * @param {string|Array<string>} [name_] - Column name(s) to check, if not set all columns are checked
+    * @returns {boolean} True if no errors was found
+    */
+   IsValid(name_) { return Object.keys(this.Validate(name_)).length === 0; }
 
    /** ------------------------------------------------------------------------
     * Load values from external source via callback (e.g., from HTML inputs)
@@ -441,6 +649,32 @@ class DBRecord {
       }
    }
 
+   /** ------------------------------------------------------------------------
+    * Add listener that is called when values in record change
+    *
+    * Events:
+    * - "change": value for column changed. oData: { sName, value_, previous_ }
+    * - "clear": all values was cleared. oData: {}
+    * - "snapshot": current values are stored as original values. oData: {}
+    * - "revert": original values are restored. oData: { sName }
+    *
+    * @param {Function} fnListener - Listener: (sEvent, oData, oRecord) => void
+    * @returns {Function} Function that removes the listener
+    */
+   AddListener(fnListener) {
+      if( typeof fnListener !== "function" ) { throw new Error("Listener must be a function"); }
+      this.aListener.push(fnListener);
+      return () => this.RemoveListener(fnListener);
+   }
+
+   /** ------------------------------------------------------------------------
+    * Remove listener added with AddListener
+    * @param {Function} fnListener - Listener to remove
+    */
+   RemoveListener(fnListener) {
+      this.aListener = this.aListener.filter(fn_ => fn_ !== fnListener);
+   }
+
     /** ------------------------------------------------------------------------
     * Convert record to JSON-serializable object (includes schema and values)
     * @returns {Object} Object with table, columns, and values
@@ -459,6 +693,10 @@ class DBRecord {
              sLabel: c_.sLabel,
              sDescription: c_.sDescription,
              sError: c_.sError,
+             iMaxLength: c_.iMaxLength,
+             sInput: c_.sInput,
+             iCols: c_.iCols,
+             iSpan: c_.iSpan,
              aMatch: c_.aMatch,
              default: c_.default
           })),
@@ -538,7 +776,164 @@ class DBRecord {
    _set_value_internal(sName, value_) {
       const oColumn = this._get_column(sName);
       if(!oColumn) { console.warn(`Warning: Setting value for undefined column '${sName}'`); }
+      const previous_ = this.mapValues.get(sName);
       this.mapValues.set(sName, value_);
+
+      if( !DBRecord._is_same_value(previous_, value_) ) { this._notify("change", { sName, value_, previous_ }); }
+   }
+
+   /** ------------------------------------------------------------------------
+    * Validate value for column
+    * @param {Object} oColumn - Column with rules
+    * @param {*} value_ - Value to validate
+    * @returns {Array<string>} Error messages, empty if valid
+    * @private
+    */
+   _validate_column(oColumn, value_) {
+      const aError = [];
+      const bEmpty = value_ === null || value_ === undefined || value_ === "";
+
+      // ## Required, nothing more to check if empty ..........................
+      if( bEmpty ) {
+         if( oColumn.is_required() && !oColumn.is_key() ) { aError.push("Value is required"); }
+         return aError;
+      }
+
+      const sValue = String(value_);
+
+      // ## Type ..............................................................
+      const sTypeError = DBRecord._validate_type(oColumn.sType, value_);
+      if( sTypeError ) { aError.push(sTypeError); }
+
+      // ## Length, from SQL definition e.g. VARCHAR(500) ......................
+      if( oColumn.iMaxLength > 0 && sValue.length > oColumn.iMaxLength ) { aError.push(`Value is too long, max ${oColumn.iMaxLength} characters`); }
+
+      // ## Pattern ...........................................................
+      if( oColumn.pattern_ ) {
+         const regexp_ = oColumn.pattern_ instanceof RegExp ? oColumn.pattern_ : new RegExp(oColumn.pattern_);
+         if( !regexp_.test(sValue) ) { aError.push(oColumn.sError || "Value does not match pattern"); }
+      }
+
+      // ## Enumeration .......................................................
+      if( Array.isArray(oColumn.aMatch) && oColumn.aMatch.length > 0 ) {
+         const bMatch = oColumn.aMatch.some(match_ => DBRecord._is_same_value(match_ !== null && typeof match_ === "object" ? match_.value : match_, value_));
+         if( !bMatch ) { aError.push(oColumn.sError || "Value is not one of the allowed values"); }
+      }
+
+      // ## Custom validator ..................................................
+      if( typeof oColumn.fnValidate === "function" ) {
+         const result_ = oColumn.fnValidate.call(this, value_, this);
+         if( result_ === false ) { aError.push(oColumn.sError || "Value is not valid"); }
+         else if( typeof result_ === "string" && result_ !== "" ) { aError.push(result_); }
+         else if( Array.isArray(result_) ) { aError.push(...result_); }
+      }
+
+      return aError;
+   }
+
+   /** ------------------------------------------------------------------------
+    * Check that value can be stored in column type
+    * @param {string} sType - Column type
+    * @param {*} value_ - Value that is not empty
+    * @returns {string} Error message or empty string if value matches type
+    * @private
+    */
+   static _validate_type(sType, value_) {
+      const sValue = String(value_).trim();
+      switch( sType ) {
+         case "number": case "integer": case "decimal":
+            if( sValue === "" || isNaN(Number(sValue)) ) { return "Value is not a number"; }
+            if( sType === "integer" && !Number.isInteger(Number(sValue)) ) { return "Value is not an integer"; }
+            break;
+         case "binary":
+            if( !/^(?:[0-9a-fA-F]{2})*$/.test(sValue) ) { return "Value is not hexadecimal"; }
+            break;
+         case "date": case "datetime":
+            if( !(value_ instanceof Date) && isNaN(Date.parse(sValue)) ) { return "Value is not a date"; }
+            break;
+         case "boolean":
+            if( typeof value_ !== "boolean" && !["true", "false", "1", "0"].includes(sValue.toLowerCase()) ) { return "Value is not a boolean"; }
+            break;
+      }
+      return "";
+   }
+
+   /** ------------------------------------------------------------------------
+    * Convert SQL type to column type
+    * @param {string} sSqlType - Type from table definition, e.g. "VARCHAR(100)"
+    * @returns {Object} { sType, iMaxLength }, iMaxLength is 0 if type has no length
+    * @private
+    */
+   static _schema_type(sSqlType) {
+      const sUpper = String(sSqlType || "").toUpperCase();
+      const aLength = sUpper.match(/\(\s*(\d+)\s*\)/);
+      const iLength = aLength ? Number(aLength[1]) : 0;
+
+      if( sUpper.startsWith("DATETIME") || sUpper.startsWith("TIMESTAMP") ) { return { sType: "datetime", iMaxLength: 0 }; }
+      if( sUpper.startsWith("DATE") ) { return { sType: "date", iMaxLength: 0 }; }
+      if( sUpper.startsWith("BOOL") ) { return { sType: "boolean", iMaxLength: 0 }; }
+      if( sUpper.includes("INT") ) { return { sType: "integer", iMaxLength: 0 }; }
+      if( /REAL|FLOA|DOUB|DEC|NUM/.test(sUpper) ) { return { sType: "decimal", iMaxLength: 0 }; }
+      if( sUpper.includes("BLOB") ) { return { sType: "binary", iMaxLength: 0 }; }
+      if( sUpper === "TEXT" ) { return { sType: "text", iMaxLength: 0 }; }
+      return { sType: "string", iMaxLength: iLength };                        // VARCHAR, CHAR and unknown types
+   }
+
+   /** ------------------------------------------------------------------------
+    * Find max length in CHECK(length(column) < n) rule in create statement
+    * @param {string} sSql - Create statement for table
+    * @param {string} sName - Column name
+    * @returns {number} Max length or 0 if column has no length check
+    * @private
+    */
+   static _schema_check_length(sSql, sName) {
+      if( !sSql ) { return 0; }
+      const sColumn = sName.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      const aMatch = sSql.match(new RegExp(`CHECK\\s*\\(\\s*length\\s*\\(\\s*["\`]?${sColumn}["\`]?\\s*\\)\\s*(<=?)\\s*(\\d+)`, "i"));
+      if( !aMatch ) { return 0; }
+      return aMatch[1] === "<=" ? Number(aMatch[2]) : Number(aMatch[2]) - 1;
+   }
+
+   /** ------------------------------------------------------------------------
+    * Convert default value in table definition to value, expressions like
+    * (randomblob(16)) are set by database and return null
+    * @param {string|null} sDefault - Default value from pragma_table_info
+    * @returns {*} Default value or null
+    * @private
+    */
+   static _schema_default(sDefault) {
+      if( sDefault === null || sDefault === undefined ) { return null; }
+      const sValue = String(sDefault).trim();
+      if( /^-?\d+(\.\d+)?$/.test(sValue) ) { return Number(sValue); }
+      if( /^'.*'$/s.test(sValue) ) { return sValue.slice(1, -1).replace(/''/g, "'"); }
+      return null;
+   }
+
+   /** ------------------------------------------------------------------------
+    * Notify listeners about event in record
+    * @param {string} sEvent - Event name, "change", "clear", "snapshot" or "revert"
+    * @param {Object} oData - Event data
+    * @private
+    */
+   _notify(sEvent, oData) {
+      this.aListener.forEach(fnListener => { fnListener(sEvent, oData, this); });
+   }
+
+   /** ------------------------------------------------------------------------
+    * Compare values the way they are edited, null, undefined and empty string
+    * are all empty and numbers match strings with the same text (input fields
+    * always return strings)
+    * @param {*} v1_ - First value
+    * @param {*} v2_ - Second value
+    * @returns {boolean} True if values are the same
+    * @private
+    */
+   static _is_same_value(v1_, v2_) {
+      const bEmpty1 = v1_ === null || v1_ === undefined || v1_ === "";
+      const bEmpty2 = v2_ === null || v2_ === undefined || v2_ === "";
+      if( bEmpty1 || bEmpty2 ) { return bEmpty1 === bEmpty2; }
+      if( typeof v1_ === "object" || typeof v2_ === "object" ) { return JSON.stringify(v1_) === JSON.stringify(v2_); }
+      return String(v1_) === String(v2_);
    }
 
    /** ------------------------------------------------------------------------
@@ -0,0 +1,469 @@
+// @FILE [tag: database] [description: Client for the !db/select, !db/insert, !db/update and !db/delete endpoints] [name: gd_db_client.js]
+
+/**
+ * gd.db - Client API for database endpoints on server
+ *
+ * Builds arguments for the `!db/*` endpoints, sends them with gd.SendToServer and parses
+ * the `<results><result command="...">` envelope into typed results.
+ *
+ * **Quick Start:**
+ * ```javascript
+ * // Select with values
+ * gd.db.Select("SELECT FAlias, FMail FROM TUser WHERE FAlias = {alias}", { alias: "admin" })
+ *    .then(oResult => console.log(oResult.aHeader, oResult.aRows));
+ *
+ * // Insert record, returned key is in key_
+ * gd.db.Insert({ table: "TPoll", values: { FName: "Poll" }, returning: "PollK" })
+ *    .then(oResult => console.log(oResult.key_));
+ *
+ * // Update and delete, number of affected rows is in iCount
+ * gd.db.Update({ table: "TPoll", values: { FName: "New name" }, where: { PollK: sKey } });
+ * gd.db.Delete("DELETE FROM TPoll WHERE PollK = x{PollK}", { PollK: sKey })
+ *    .then(oResult => console.log(oResult.iCount))
+ *    .catch(error => console.log(error.sCode, error.message));
+ * ```
+ *
+ * **Key Concepts:**
+ * - **Result:** Each `<result>` element is parsed to a `gd.db.Result` with command, rows, count and key.
+ * - **Record:** Insert, update and delete take a SQL string, a record object (`{ table, values, where, returning }`) or a DBRecord.
+ * - **Errors:** All failures are rejected with `gd.db.DbError`, `sCode` tells what failed.
+ *
+ * **Common Methods:**
+ * - `Select(sql, values)` - Run select query
+ * - `SelectPage(sql, values, page)` - Run select query and get rows for one page with total count
+ * - `Insert(record, values)` - Insert record
+ * - `Update(record, values)` - Update record
+ * - `Delete(record, values)` - Delete record
+ * - `Meta(table)` - Read columns for table, used with `DBRecord.FromSchema`
+ * - `ParseResponse(response)` - Parse response from gd.SendToServer into results
+ */
+
+var gd = gd || {};
+gd.db = gd.db || {};
+
+(function(oNS) {
+
+oNS.sEndpoint_s = "!db"; // Base endpoint for database commands
+
+const mapSchema = new Map(); // Cached schemas for tables, table name -> Promise with schema
+const sTotalColumn = "total_count_"; // Column added by SelectPage with number of rows in all pages
+
+/** ===========================================================================
+ * Result for one `<result>` element in response from server
+ *
+ * - select: `aHeader` has column names, `aRows` has rows and `iCount` number of rows
+ * - insert: `key_` has returned key and `oReturned` the complete returned object
+ * - update/delete: `iCount` has number of affected rows
+ * - ask: `value_` has the parsed object
+ */
+oNS.Result = class {
+   /**
+    * @param {string} sCommand - Command in result, e.g. "select", "insert", "update", "delete" or "ask"
+    * @param {any} value_ - Parsed content for result, json if content could be parsed otherwise text
+    */
+   constructor(sCommand, value_) {
+      this.sCommand = sCommand || "";
+      this.value_ = value_;
+      this.aHeader = [];      // column names for select result
+      this.aRows = [];        // rows for select result, header is not included
+      this.iCount = 0;        // number of rows in select or number of affected rows for update and delete
+      this.iTotal = 0;        // number of rows in all pages for SelectPage, same as iCount for select
+      this.key_ = null;       // returned key for insert
+      this.oReturned = null;  // returned object for insert
+      this.aAsk = [];         // values from "ask" results in same response
+
+      // ## Set typed properties from value ..................................
+      if( Array.isArray(value_) ) {
+         if( value_.length > 0 && Array.isArray(value_[0]) ) {
+            this.aHeader = value_[0];
+            this.aRows = value_.slice(1);
+         }
+         this.iCount = this.aRows.length;
+         this.iTotal = this.iCount;
+      }
+      else if( value_ !== null && typeof value_ === "object" ) {
+         if( typeof value_.count === "number" ) { this.iCount = value_.count; }
+
+         if( this.sCommand === "insert" ) {
+            this.oReturned = value_;
+            const aKey = Object.keys(value_);
+            if( value_.key !== undefined ) { this.key_ = value_.key; }
+            else if( aKey.length === 1 ) { this.key_ = value_[aKey[0]]; }
+         }
+      }
+   }
+
+   get command() { return this.sCommand; }
+
+   /** -----------------------------------------------------------------------
+    * Get select rows as objects with column names as keys
+    * @returns {Array<Object>} Array with one object for each row
+    */
+   AsObjects() {
+      return this.aRows.map(aRow => {
+         const oRow = {};
+         this.aHeader.forEach((sName, iColumn) => { oRow[sName] = aRow[iColumn]; });
+         return oRow;
+      });
+   }
+
+   /** -----------------------------------------------------------------------
+    * Get value from select result
+    * @param {number} iRow - Row index, header is not counted
+    * @param {number|string} column_ - Column index or column name
+    * @returns {any} Value or undefined if not found
+    */
+   GetValue(iRow, column_) {
+      const iColumn = typeof column_ === "string" ? this.aHeader.indexOf(column_) : column_;
+      if( iRow < 0 || iRow >= this.aRows.length || iColumn < 0 ) { return undefined; }
+      return this.aRows[iRow][iColumn];
+   }
+
+   /** -----------------------------------------------------------------------
+    * Get select result as array with header in first row, same format as server sends
+    * @returns {Array<Array>} Header row followed by data rows
+    */
+   GetTable() { return [this.aHeader, ...this.aRows]; }
+}
+
+/** ===========================================================================
+ * Error for failed database requests
+ *
+ * `sCode` describes what failed:
+ * - "server": server returned an error result
+ * - "parse": response could not be parsed
+ * - "http", "timeout", "cancelled": errors from gd.SendToServer
+ * - "network": request did not reach server
+ * - "argument": invalid argument, e.g. record without table or unknown table
+ */
+oNS.DbError = class extends Error {
+   /**
+    * @param {string} sMessage - Error message
+    * @param {Object} [oOptions_={}] - Error details
+    * @param {string} [oOptions_.sCode="server"] - Error code
+    * @param {string} [oOptions_.sCommand=""] - Database command, e.g. "select"
+    * @param {number} [oOptions_.iStatus=0] - HTTP status if any
+    * @param {string} [oOptions_.sServerMessage=""] - Message from server
+    * @param {Error} [oOptions_.oCause=null] - Original error
+    */
+   constructor(sMessage, oOptions_ = {}) {
+      super(sMessage);
+      this.name = "DbError";
+      this.sCode = oOptions_.sCode || "server";
+      this.sCommand = oOptions_.sCommand || "";
+      this.iStatus = oOptions_.iStatus || 0;
+      this.sServerMessage = oOptions_.sServerMessage || "";
+      this.oCause = oOptions_.oCause || null;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Create DbError from error rejected by gd.SendToServer
+    * @param {Error} error_ - Original error
+    * @param {string} sCommand - Database command
+    * @returns {DbError} Error with code from original error
+    */
+   static From(error_, sCommand) {
+      if( error_ instanceof oNS.DbError ) { return error_; }
+      return new oNS.DbError(error_.message, {
+         sCode: error_.sCode || "network", sCommand, iStatus: error_.iStatus, oCause: error_
+      });
+   }
+}
+
+/** ---------------------------------------------------------------------------
+ * Parse response from gd.SendToServer into array of results
+ *
+ * Response from database endpoints has the format
+ * `<results><result command="select">[["name"],["value"]]</result>...</results>`
+ *
+ * @param {Object} oResponse - Response as { type: <format>, data: <data> }
+ * @returns {Array<gd.db.Result>} Results in same order as in response
+ * @throws {gd.db.DbError} If response can't be parsed or server returned an error
+ */
+oNS.ParseResponse = function(oResponse) {
+   if( !oResponse ) { throw new oNS.DbError("Empty response", { sCode: "parse" }); }
+
+   let aResult = [];
+
+   // ## Find result elements or objects in response .........................
+   if( oResponse.type === "xml" || (oResponse.type === "text" && typeof oResponse.data === "string" && oResponse.data.trimStart().startsWith("<")) ) {
+      let xml_ = oResponse.data;
+      if( typeof xml_ === "string" ) { xml_ = (new DOMParser()).parseFromString(xml_, "text/xml"); }
+
+      if( xml_.querySelector("parsererror") ) { throw new oNS.DbError("Invalid xml in response", { sCode: "parse" }); }
+
+      const aElement = xml_.querySelectorAll("result, error");
+      aElement.forEach(eResult => {
+         const sCommand = eResult.tagName === "error" ? "error" : (eResult.getAttribute("command") || "");
+         aResult.push(new oNS.Result(sCommand, _parse_value(eResult.textContent)));
+      });
+   }
+   else if( oResponse.type === "json" ) {
+      const aData = Array.isArray(oResponse.data?.results) ? oResponse.data.results : [oResponse.data];
+      aData.forEach(oData => {
+         const sCommand = oData?.command || "";
+         const value_ = oData?.result !== undefined ? oData.result : oData;
+         aResult.push(new oNS.Result(sCommand, value_));
+      });
+   }
+   else {
+      throw new oNS.DbError("Unknown response format: " + oResponse.type, { sCode: "parse" });
+   }
+
+   // ## Server errors are thrown ..........................................
+   const oError = aResult.find(oResult => oResult.sCommand === "error");
+   if( oError ) {
+      const sMessage = typeof oError.value_ === "object" && oError.value_ !== null ? (oError.value_.message || JSON.stringify(oError.value_)) : String(oError.value_);
+      throw new oNS.DbError(sMessage, { sCode: "server", sServerMessage: sMessage });
+   }
+
+   // ## Attach ask results to other results ...............................
+   const aAsk = aResult.filter(oResult => oResult.sCommand === "ask").map(oResult => oResult.value_);
+   aResult.forEach(oResult => { oResult.aAsk = aAsk; });
+
+   return aResult;
+}
+
+/** ---------------------------------------------------------------------------
+ * Run select query
+ * @param {string} sSql - Select query, values are referenced with {name} or {=name}
+ * @param {Object} [oValues] - Values for query
+ * @param {Object} [oRequest] - Request settings passed to gd.SendToServer, e.g. { sCancelKey: "search" }
+ * @returns {Promise<gd.db.Result>} Select result
+ */
+oNS.Select = function(sSql, oValues, oRequest) {
+   return _send("select", _query_arguments(sSql, oValues), oRequest);
+}
+
+/** ---------------------------------------------------------------------------
+ * Run select query and return rows for one page
+ *
+ * Query is wrapped in a select with LIMIT and OFFSET, total number of rows for query
+ * is counted in same request and set in `iTotal` for result.
+ *
+ * @param {string} sSql - Select query, values are referenced with {name} or {=name}
+ * @param {Object} [oValues] - Values for query
+ * @param {Object} [oPage={}] - Page to select
+ * @param {number} [oPage.iLimit=50] - Max number of rows in page
+ * @param {number} [oPage.iOffset=0] - Number of rows to skip
+ * @param {string} [oPage.sOrder] - Column name to sort by, if not set order from query is used
+ * @param {boolean} [oPage.bDescending=false] - Sort in descending order
+ * @param {Array<Object>} [oPage.aOrder] - Sort by more than one column, { sName, bDescending } for each column. Used instead of sOrder
+ * @param {Object} [oRequest] - Request settings passed to gd.SendToServer
+ * @returns {Promise<gd.db.Result>} Select result for page, total number of rows is in iTotal
+ */
+oNS.SelectPage = function(sSql, oValues, oPage = {}, oRequest) {
+   const iLimit = Math.max(1, parseInt(oPage.iLimit, 10) || 50);
+   const iOffset = Math.max(0, parseInt(oPage.iOffset, 10) || 0);
+
+   let sPage = `SELECT *, COUNT(*) OVER() AS ${sTotalColumn} FROM (${sSql}) page_`;
+   let aOrder = Array.isArray(oPage.aOrder) ? oPage.aOrder.filter(oOrder => oOrder.sName) : [];
+   if( aOrder.length === 0 && oPage.sOrder ) { aOrder = [{ sName: oPage.sOrder, bDescending: oPage.bDescending }]; }
+   if( aOrder.length > 0 ) {
+      sPage += " ORDER BY " + aOrder.map(oOrder => `"${String(oOrder.sName).replace(/"/g, '""')}" ${oOrder.bDescending ? "DESC" : "ASC"}`).join(", ");
+   }
+   sPage += ` LIMIT ${iLimit} OFFSET ${iOffset}`;
+
+   return _send("select", _query_arguments(sPage, oValues), oRequest).then(oResult => {
+      // ## Move total count from rows to result ..............................
+      const iTotal = oResult.aHeader.indexOf(sTotalColumn);
+      if( iTotal !== -1 ) {
+         oResult.iTotal = oResult.aRows.length > 0 ? Number(oResult.aRows[0][iTotal]) : 0;
+         oResult.aHeader = oResult.aHeader.filter((_, iColumn) => iColumn !== iTotal);
+         oResult.aRows = oResult.aRows.map(aRow => aRow.filter((_, iColumn) => iColumn !== iTotal));
+         oResult.value_ = oResult.GetTable();
+      }
+      return oResult;
+   });
+}
+
+/** ---------------------------------------------------------------------------
+ * Insert record
+ * @param {string|Object|DBRecord} record_ - SQL string, record object { table, values, returning } or DBRecord
+ * @param {Object} [oValues] - Values for query if record_ is SQL
+ * @param {Object} [oRequest] - Request settings passed to gd.SendToServer
+ * @returns {Promise<gd.db.Result>} Insert result, returned key is in key_
+ */
+oNS.Insert = function(record_, oValues, oRequest) {
+   let sArguments;
+   try {
+      if( _is_record(record_) ) {
+         const oRecord = { table: record_.table, values: record_.GetFilledValues() };
+         const aKey = record_._get_key_columns();
+         if( aKey.length === 1 ) { oRecord.returning = aKey[0].sName; }
+         record_ = oRecord;
+      }
+      sArguments = _record_arguments(record_, oValues);
+   }
+   catch( error_ ) { return _reject(error_, "insert"); }
+
+   return _send("insert", sArguments, oRequest);
+}
+
+/** ---------------------------------------------------------------------------
+ * Update record
+ * DBRecord sends values changed since last `Snapshot()`, if there are no changes nothing is sent
+ * and result has iCount 0.
+ *
+ * @param {string|Object|DBRecord} record_ - SQL string, record object { table, values, where } or DBRecord
+ * @param {Object} [oValues] - Values for query if record_ is SQL
+ * @param {Object} [oRequest] - Request settings passed to gd.SendToServer
+ * @returns {Promise<gd.db.Result>} Update result, number of updated rows is in iCount
+ */
+oNS.Update = function(record_, oValues, oRequest) {
+   let sArguments;
+   try {
+      if( _is_record(record_) ) {
+         const oWhere = _record_where(record_);
+         const oValue = record_.GetChangedValues();                            // only values edited since last snapshot
+         Object.keys(oWhere).forEach(sKey => { delete oValue[sKey]; });
+         if( Object.keys(oValue).length === 0 ) { return Promise.resolve(new oNS.Result("update", { count: 0 })); } // nothing to update
+         record_ = { table: record_.table, values: oValue, where: oWhere };
+      }
+      sArguments = _record_arguments(record_, oValues);
+   }
+   catch( error_ ) { return _reject(error_, "update"); }
+
+   return _send("update", sArguments, oRequest);
+}
+
+/** ---------------------------------------------------------------------------
+ * Delete record
+ * @param {string|Object|DBRecord} record_ - SQL string, record object { table, where } or DBRecord
+ * @param {Object} [oValues] - Values for query if record_ is SQL
+ * @param {Object} [oRequest] - Request settings passed to gd.SendToServer
+ * @returns {Promise<gd.db.Result>} Delete result, number of deleted rows is in iCount
+ */
+oNS.Delete = function(record_, oValues, oRequest) {
+   let sArguments;
+   try {
+      if( _is_record(record_) ) { record_ = { table: record_.table, where: _record_where(record_) }; }
+      sArguments = _record_arguments(record_, oValues);
+   }
+   catch( error_ ) { return _reject(error_, "delete"); }
+
+   return _send("delete", sArguments, oRequest);
+}
+
+/** ---------------------------------------------------------------------------
+ * Read column information for table from database
+ *
+ * Columns are read with SQLite `pragma_table_info` together with the create statement
+ * for table. Schema for each table is only read once, later calls return cached schema.
+ *
+ * @param {string} sTable - Table name
+ * @param {Object} [oRequest] - Request settings passed to gd.SendToServer
+ * @returns {Promise<Object>} Schema as { sTable, aColumn, sSql }, each column has name, type, notnull, pk and dflt_value
+ */
+oNS.Meta = function(sTable, oRequest) {
+   if( mapSchema.has(sTable) ) { return mapSchema.get(sTable); }
+
+   const sSelect = "SELECT p.name, p.type, p.\"notnull\", p.pk, p.dflt_value, (SELECT m.sql FROM sqlite_master m WHERE m.type = 'table' AND m.name = {table}) sql FROM pragma_table_info({table}) p ORDER BY p.cid";
+   const promise_ = oNS.Select(sSelect, { table: sTable }, oRequest).then(oResult => {
+      if( oResult.iCount === 0 ) { throw new oNS.DbError(`Table ${sTable} not found`, { sCode: "argument", sCommand: "select" }); }
+
+      const aColumn = oResult.AsObjects();
+      const sSql = aColumn[0].sql || "";
+      aColumn.forEach(oColumn => { delete oColumn.sql; });
+      return { sTable, aColumn, sSql };
+   });
+
+   mapSchema.set(sTable, promise_);
+   promise_.catch(() => { mapSchema.delete(sTable); });                      // failed requests are not cached
+   return promise_;
+}
+
+/** ---------------------------------------------------------------------------
+ * Remove cached schema, next call to Meta reads schema from database
+ * @param {string} [sTable] - Table name, if not set all cached schemas are removed
+ */
+oNS.ClearMeta = function(sTable) {
+   if( sTable ) { mapSchema.delete(sTable); }
+   else { mapSchema.clear(); }
+}
+
+/** ---------------------------------------------------------------------------
+ * Send command to database endpoint and return primary result
+ * @param {string} sCommand - Database command, "select", "insert", "update" or "delete"
+ * @param {string} sArguments - Arguments for command
+ * @param {Object} [oRequest] - Request settings passed to gd.SendToServer
+ * @returns {Promise<gd.db.Result>} Result for command, first result if no result match command
+ */
+function _send(sCommand, sArguments, oRequest) {
+   let promise_;
+   try { promise_ = gd.SendToServer("", `${oNS.sEndpoint_s}/${sCommand}`, sArguments, undefined, oRequest); }
+   catch( error_ ) { return _reject(error_, sCommand); }                      // arguments that can't be encoded are thrown synchronously
+
+   return promise_.then(oResponse => {
+      let aResult;
+      try { aResult = oNS.ParseResponse(oResponse); }
+      catch( error_ ) { error_.sCommand = sCommand; throw error_; }
+
+      const oResult = aResult.find(oResult => oResult.sCommand === sCommand) || aResult[0];
+      if( !oResult ) { throw new oNS.DbError(`No result for ${sCommand} in response`, { sCode: "parse", sCommand }); }
+      return oResult;
+   }, error_ => { throw oNS.DbError.From(error_, sCommand); });
+}
+
+/** ---------------------------------------------------------------------------
+ * Reject error found before command is sent, errors are returned as rejected promise and
+ * not thrown so callers only need to handle failures in catch
+ * @param {Error} error_ - Error thrown while building arguments
+ * @param {string} sCommand - Database command
+ * @returns {Promise} Rejected promise with gd.db.DbError
+ */
+function _reject(error_, sCommand) {
+   if( error_ instanceof oNS.DbError ) { error_.sCommand = sCommand; return Promise.reject(error_); }
+   return Promise.reject(new oNS.DbError(error_.message, { sCode: "argument", sCommand, oCause: error_ }));
+}
+
+/** ---------------------------------------------------------------------------
+ * Build arguments for query
+ *
+ * Arguments are separated by newline, line breaks in SQL are replaced with space so that
+ * the query is sent as one argument. Values are json encoded and never contain line breaks.
+ *
+ * @param {string} sSql - SQL query
+ * @param {Object} [oValues] - Values for query
+ * @returns {string} Arguments for SendToServer
+ */
+function _query_arguments(sSql, oValues) {
+   let sArguments = `query=${String(sSql).replace(/\r\n|\r|\n/g, " ")}`;
+   if( oValues ) { sArguments += "\n" + `values=${JSON.stringify(oValues)}`; }
+   return sArguments;
+}
+
+/** ---------------------------------------------------------------------------
+ * Build arguments for SQL string or record object
+ * @param {string|Object} record_ - SQL string or record object
+ * @param {Object} [oValues] - Values for query if record_ is SQL
+ * @returns {string} Arguments for SendToServer
+ */
+function _record_arguments(record_, oValues) {
+   if( typeof record_ === "string" ) { return _query_arguments(record_, oValues); }
+   if( !record_ || typeof record_ !== "object" || !record_.table ) { throw new oNS.DbError("Invalid record, table is missing", { sCode: "argument" }); }
+   return `record=${JSON.stringify(record_)}`;
+}
+
+/** ---------------------------------------------------------------------------
+ * Build where object from key columns in DBRecord
+ * @param {DBRecord} oRecord - Record with key value
+ * @returns {Object} Where object with key column names and values
+ */
+function _record_where(oRecord) {
+   const oWhere = {};
+   oRecord._get_key_columns().forEach(oColumn => { oWhere[oColumn.sName] = oRecord.GetValue(oColumn.sName); });
+   if( Object.keys(oWhere).length === 0 ) { throw new oNS.DbError(`No key columns in record for ${oRecord.table}`, { sCode: "argument" }); }
+   return oWhere;
+}
+
+// Check if object is a DBRecord -----------------------------------------------
+function _is_record(record_) { return typeof DBRecord !== "undefined" && record_ instanceof DBRecord; }
+
+// Parse content in result as json, return text if not json -------------------
+function _parse_value(sText) {
+   try { return JSON.parse(sText); }
+   catch( e_ ) { return sText; }
+}
+
+})(gd.db);
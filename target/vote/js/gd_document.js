@@ -0,0 +1,157 @@
+// @FILE [tag: document] [description: Document object for pages, holds records and tables and tracks if page has unsaved edits] [name: gd_document.js]
+
+/**
+ * CDocument - Holds data for page, records (DBRecord) and tables (Table).
+ *
+ * Document listens to records that are added and is modified when any record
+ * has values that differ from its original values (see `DBRecord.IsDirty`).
+ * Listeners added to document are notified about changes so pages can update
+ * UI, e.g. enable save buttons.
+ *
+ * **Quick Start:**
+ * ```javascript
+ * const oDocument = new CDocument({ bWarnOnUnload: true });
+ * oDocument.AddRecord(oRecord);
+ * oDocument.AddListener((sEvent, oData) => {
+ *    if( sEvent === "modified" ) { eSave.disabled = !oData.bModified; }
+ * });
+ *
+ * // after record is loaded or saved, loaded values are original values
+ * oRecord.Snapshot();
+ * ```
+ *
+ * **Events:**
+ * - "change": value in record changed. oData: { oRecord, sName, value_, previous_ }
+ * - "clear": values in record was cleared. oData: { oRecord }
+ * - "snapshot", "revert": original values stored or restored in record. oData: { oRecord }
+ * - "modified": modified state changed. oData: { bModified }
+ *
+ * @param {Object} [options_={}] - Configuration options.
+ * @param {boolean} [options_.bWarnOnUnload=true] - Warn user when leaving page with unsaved edits.
+ */
+class CDocument {
+
+   static iIdleTimerId_s = null; // Global timer ID for idle callback
+
+   constructor( options_ = {} ) {
+      this.oOptions = Object.assign({ bWarnOnUnload: true }, options_);
+
+      this.bModified = false; // Initialize modified flag to false
+      this.aRecords = [];     // Initialize records array to empty, holds DBRecord objects
+      this.aTable = [];       // Initialize table array to empty, holds Table objects
+      this.oElement = {};     // Cache for DOM elements
+      this.key_ = null;       // Key for active item in page
+      this.aListener = [];    // Listeners for document events
+
+      // ## Bind handlers, these are added to records and window ..............
+      this._fnRecordListener = (sEvent, oData, oRecord) => this._on_record(sEvent, oData, oRecord);
+      this._fnBeforeUnload = (e_) => this._on_before_unload(e_);
+
+      if( this.oOptions.bWarnOnUnload && typeof window !== "undefined" ) {
+         window.addEventListener("beforeunload", this._fnBeforeUnload);
+      }
+   }
+
+   // Check if document has been modified -------------------------------------
+   IsModified() { return this.bModified; }
+
+   /** -----------------------------------------------------------------------
+    * Set modified flag to true or false, "modified" event is sent if state changes
+    * @param {boolean} bModified - New modified state
+    */
+   SetModified(bModified) {
+      bModified = !!bModified;
+      if( this.bModified === bModified ) { return; }
+      this.bModified = bModified;
+      this._notify("modified", { bModified });
+   }
+
+   /** -----------------------------------------------------------------------
+    * Add listener for document events
+    * @param {Function} fnListener - Listener: (sEvent, oData) => void
+    * @returns {Function} Function that removes the listener
+    */
+   AddListener(fnListener) {
+      if( typeof fnListener !== "function" ) { throw new Error("Listener must be a function"); }
+      this.aListener.push(fnListener);
+      return () => this.RemoveListener(fnListener);
+   }
+
+   // Remove listener added with AddListener ----------------------------------
+   RemoveListener(fnListener) {
+      this.aListener = this.aListener.filter(fn_ => fn_ !== fnListener);
+   }
+
+   // Get DOM element by name ------------------------------------------------
+   GetElement(sName) {
+      if(!this.oElement[sName]) { this.oElement[sName] = document.querySelector(`[data-section="${sName}"]`); }
+      return this.oElement[sName];
+   }
+
+   /** -----------------------------------------------------------------------
+    * Add a record to the document, document starts to listen for changes in record
+    * @param {DBRecord} oRecord - Record to add
+    */
+   AddRecord(oRecord) {
+      this.aRecords.push(oRecord);
+      if( typeof oRecord.AddListener === "function" ) { oRecord.AddListener(this._fnRecordListener); }
+   }
+
+   // Get a record by table name ----------------------------------------------
+   GetRecord( sTable ) {
+      return this.aRecords.find(oRecord => oRecord.table === sTable);
+   }
+
+   /** -----------------------------------------------------------------------
+    * Remove record from document
+    * @param {DBRecord|string} record_ - Record or table name for record
+    */
+   RemoveRecord( record_ ) {
+      const oRecord = typeof record_ === "string" ? this.GetRecord(record_) : record_;
+      if( !oRecord ) { return; }
+      if( typeof oRecord.RemoveListener === "function" ) { oRecord.RemoveListener(this._fnRecordListener); }
+      this.aRecords = this.aRecords.filter(oItem => oItem !== oRecord);
+   }
+
+   // Add table, table with same name is replaced -----------------------------
+   AddTable( oTable ) {
+      const iIndex = this.aTable.findIndex(oItem => oItem.name === oTable.name);
+      if( iIndex !== -1 && oTable.name ) { this.aTable[iIndex] = oTable; }
+      else { this.aTable.push(oTable); }
+   }
+
+   // Get a table by name -----------------------------------------------------
+   GetTable( sTable ) {
+      return this.aTable.find(oTable => oTable.name === sTable);
+   }
+
+   /** -----------------------------------------------------------------------
+    * Release document, stops listening to records and window
+    */
+   Destroy() {
+      this.aRecords.forEach(oRecord => { if( typeof oRecord.RemoveListener === "function" ) { oRecord.RemoveListener(this._fnRecordListener); } });
+      if( typeof window !== "undefined" ) { window.removeEventListener("beforeunload", this._fnBeforeUnload); }
+      this.aListener = [];
+   }
+
+   /** -----------------------------------------------------------------------
+    * Handle events from records, document is modified if any record is dirty
+    * @private
+    */
+   _on_record(sEvent, oData, oRecord) {
+      this._notify(sEvent, Object.assign({ oRecord }, oData));
+      this.SetModified(this.aRecords.some(oItem => typeof oItem.IsDirty === "function" && oItem.IsDirty()));
+   }
+
+   // Warn user about unsaved edits when leaving page -------------------------
+   _on_before_unload(e_) {
+      if( !this.bModified ) { return; }
+      e_.preventDefault();
+      e_.returnValue = "";                                                    // needed for older browsers to show dialog
+   }
+
+   // Notify listeners --------------------------------------------------------
+   _notify(sEvent, oData) {
+      this.aListener.forEach(fnListener => { fnListener(sEvent, oData); });
+   }
+}
@@ -0,0 +1,366 @@
+// @FILE [tag: poll] [description: Ballot with answers from voter, validated against poll and stored as votes in one statement] [name: gd_poll_ballot.js]
+
+/**
+ * Ballot - Answers from one voter in poll.
+ *
+ * Ballot collects selected answers and free text for questions, validates them against
+ * question type and sends them to database as rows in TPollVote. All votes in ballot are
+ * inserted with one statement, either all votes are stored or none. Vote counts in
+ * `TPollAnswer.FCount` and `TPoll.FCount` are updated by triggers on TPollVote in the same
+ * statement, so caches always match stored votes.
+ *
+ * **Quick Start:**
+ * ```javascript
+ * UIPollRunner.Load(sPollKey).then(oData => {
+ *    const oBallot = new Ballot(oData, { sVoterKey: sUserKey });
+ *    oBallot.Select(sQuestionKey, sAnswerKey);            // single choice replaces earlier answer
+ *    oBallot.SetText(sTextQuestionKey, "Free text");
+ *
+ *    if( Object.keys(oBallot.Validate()).length === 0 ) {
+ *       oBallot.Submit().then(oResult => console.log(oResult.iCount));
+ *    }
+ * });
+ * ```
+ *
+ * **Question Types:**
+ * `TypeC` for question is matched against `Ballot.oType_s`, pass `oType` in options if codes
+ * in database differ. Codes are in TCode group 11001 (TPollQuestion.TypeC) where FSystemName
+ * is type, read them with `Ballot.LoadType`. Questions without type are single choice.
+ *
+ * **Voter:**
+ * Each voter can only cast one ballot in poll. Anonymous ballots (no `sVoterKey`) use the
+ * ballot key as voter key.
+ *
+ * **Errors:**
+ * `Submit` rejects with `BallotError`, `sCode` tells why ballot was refused so pages can show
+ * their own text. Messages from `Validate` are read from `Ballot.oText_s`, pass `oText` in
+ * options to show them in another language.
+ *
+ * @param {Object} oData - Poll data, { oPoll, aQuestion, aAnswer } as returned by `UIPollRunner.Load`.
+ * @param {Object} [options_={}] - Configuration options.
+ * @param {Object} [options_.oType] - Codes for question types, { iSingle, iMultiple, iText }.
+ * @param {boolean} [options_.bRequired=true] - Choice questions need at least one selected answer.
+ * @param {string} [options_.sVoterKey] - Key for voter as hex string, if not set ballot is anonymous.
+ * @param {Object} [options_.oText] - Messages from Validate, keys as in `Ballot.oText_s`.
+ */
+class Ballot {
+   static oType_s = { iSingle: 1, iMultiple: 2, iText: 3 };                   // TypeC codes, same as FId in TCode group 11001, used if codes are not loaded
+   static iTypeGroup_s = 11001;                                               // TCodeGroup for TPollQuestion.TypeC
+   static aType_s = ["single", "multiple", "text"];                           // question types, FSystemName in TCode group 11001
+   static iMaxText_s = 2000;                                                  // max length for free text, same as TPollVote.FText
+   static oText_s = {                                                         // messages from Validate, {max} is replaced with iMaxText_s
+      not_in_poll: "Question is not in poll",
+      text_only: "Question is answered with text",
+      select_one: "Select one answer",
+      not_in_question: "Answer is not in question",
+      choice_only: "Question is answered by selecting answers",
+      too_long: "Text is longer than {max} characters",
+      required: "Select an answer"
+   };
+
+   constructor(oData, options_ = {}) {
+      if( !oData || !oData.oPoll ) { throw new BallotError('Ballot: Poll data is missing', { sCode: "data" }); }
+
+      this.oPoll = oData.oPoll;
+      this.oOptions = Object.assign({ oType: null, bRequired: true, sVoterKey: null, oText: null }, options_);
+      this.oType = Object.assign({}, Ballot.oType_s, this.oOptions.oType);
+      this.oText = Object.assign({}, Ballot.oText_s, this.oOptions.oText);
+
+      this.sKey = Ballot.CreateKey();                                         // key for ballot, same for all votes in ballot
+      this.sVoterKey = this.oOptions.sVoterKey || this.sKey;
+
+      this.mapQuestion = new Map();                                           // question key -> question
+      this.mapAnswer = new Map();                                             // answer key -> answer
+      this.mapSelected = new Map();                                           // question key -> Set with selected answer keys
+      this.mapText = new Map();                                               // question key -> free text
+
+      (oData.aQuestion ?? []).forEach(oQuestion => this.mapQuestion.set(oQuestion.PollQuestionK, oQuestion));
+      (oData.aAnswer ?? []).forEach(oAnswer => this.mapAnswer.set(oAnswer.PollAnswerK, oAnswer));
+   }
+
+   get sPollKey() { return this.oPoll.PollK; }
+
+   /** -----------------------------------------------------------------------
+    * Select answer for question, answer replaces earlier answer if question is single choice
+    * @param {string} sQuestionKey - Key for question
+    * @param {string} sAnswerKey - Key for answer
+    */
+   Select(sQuestionKey, sAnswerKey) {
+      if( this.GetType(sQuestionKey) !== "multiple" || !this.mapSelected.has(sQuestionKey) ) { this.mapSelected.set(sQuestionKey, new Set()); }
+      this.mapSelected.get(sQuestionKey).add(sAnswerKey);
+   }
+
+   /** -----------------------------------------------------------------------
+    * Remove selected answer for question
+    * @param {string} sQuestionKey - Key for question
+    * @param {string} sAnswerKey - Key for answer
+    */
+   Unselect(sQuestionKey, sAnswerKey) {
+      const setAnswer = this.mapSelected.get(sQuestionKey);
+      if( !setAnswer ) return;
+      setAnswer.delete(sAnswerKey);
+      if( setAnswer.size === 0 ) { this.mapSelected.delete(sQuestionKey); }
+   }
+
+   /** -----------------------------------------------------------------------
+    * Set free text for question, empty text removes answer
+    * @param {string} sQuestionKey - Key for question
+    * @param {string} sText - Text from voter
+    */
+   SetText(sQuestionKey, sText) {
+      const sValue = String(sText ?? "").trim();
+      if( sValue === "" ) { this.mapText.delete(sQuestionKey); }
+      else { this.mapText.set(sQuestionKey, sValue); }
+   }
+
+   /** -----------------------------------------------------------------------
+    * Remove answers
+    * @param {string} [sQuestionKey] - Only remove answers for this question
+    */
+   Clear(sQuestionKey) {
+      if( sQuestionKey ) { this.mapSelected.delete(sQuestionKey); this.mapText.delete(sQuestionKey); }
+      else { this.mapSelected.clear(); this.mapText.clear(); }
+   }
+
+   /** -----------------------------------------------------------------------
+    * Get question type
+    * @param {string} sQuestionKey - Key for question
+    * @returns {string} "single", "multiple" or "text"
+    */
+   GetType(sQuestionKey) { return Ballot.GetType(this.mapQuestion.get(sQuestionKey), this.oType); }
+
+   /** -----------------------------------------------------------------------
+    * Get votes in ballot, one vote for each selected answer and each text
+    * @returns {Array<{sQuestionKey: string, sAnswerKey: string|null, sText: string|null}>}
+    */
+   GetVotes() {
+      const aVote = [];
+      this.mapSelected.forEach((setAnswer, sQuestionKey) => {
+         setAnswer.forEach(sAnswerKey => aVote.push({ sQuestionKey, sAnswerKey, sText: null }));
+      });
+      this.mapText.forEach((sText, sQuestionKey) => aVote.push({ sQuestionKey, sAnswerKey: null, sText }));
+      return aVote;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Check if ballot has any answer
+    * @returns {boolean} True if nothing is answered
+    */
+   IsEmpty() { return this.mapSelected.size === 0 && this.mapText.size === 0; }
+
+   /** -----------------------------------------------------------------------
+    * Validate answers against questions in poll
+    * @returns {Object} Errors for questions, { questionKey: [messages] }, empty object if valid
+    */
+   Validate() {
+      const oError = {};
+      const fnAdd = (sQuestionKey, sTextKey) => { (oError[sQuestionKey] = oError[sQuestionKey] ?? []).push(this.oText[sTextKey].replace("{max}", Ballot.iMaxText_s)); };
+
+      // ## Answered questions .................................................
+      this.mapSelected.forEach((setAnswer, sQuestionKey) => {
+         if( !this.mapQuestion.has(sQuestionKey) ) { fnAdd(sQuestionKey, "not_in_poll"); return; }
+
+         const sType = this.GetType(sQuestionKey);
+         if( sType === "text" ) { fnAdd(sQuestionKey, "text_only"); return; }
+         if( sType === "single" && setAnswer.size > 1 ) { fnAdd(sQuestionKey, "select_one"); }
+         setAnswer.forEach(sAnswerKey => {
+            if( this.mapAnswer.get(sAnswerKey)?.PollQuestionK !== sQuestionKey ) { fnAdd(sQuestionKey, "not_in_question"); }
+         });
+      });
+
+      this.mapText.forEach((sText, sQuestionKey) => {
+         if( !this.mapQuestion.has(sQuestionKey) ) { fnAdd(sQuestionKey, "not_in_poll"); return; }
+         if( this.GetType(sQuestionKey) !== "text" ) { fnAdd(sQuestionKey, "choice_only"); }
+         if( sText.length > Ballot.iMaxText_s ) { fnAdd(sQuestionKey, "too_long"); }
+      });
+
+      // ## Required choice questions ..........................................
+      if( this.oOptions.bRequired ) {
+         this.mapQuestion.forEach((oQuestion, sQuestionKey) => {
+            if( this.GetType(sQuestionKey) !== "text" && !this.mapSelected.has(sQuestionKey) ) { fnAdd(sQuestionKey, "required"); }
+         });
+      }
+
+      return oError;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Store ballot as votes in TPollVote
+    *
+    * All votes are inserted with one statement that also checks that poll is open, that
+    * voter has not voted before and that answers belong to questions in poll. If any check
+    * fails nothing is stored and promise is rejected with `BallotError`, codes are
+    * "invalid", "empty", "not-started", "ended", "voted" and "mismatch".
+    *
+    * @param {Object} [oRequest] - Request settings passed to gd.SendToServer
+    * @returns {Promise<{sBallotKey: string, iCount: number}>} Key for ballot and number of stored votes
+    */
+   Submit(oRequest) {
+      if( Object.keys(this.Validate()).length > 0 ) { return Promise.reject(new BallotError('Ballot: Answers are not valid', { sCode: "invalid" })); }
+
+      const aVote = this.GetVotes();
+      if( aVote.length === 0 ) { return Promise.reject(new BallotError('Ballot: Ballot is empty', { sCode: "empty" })); }
+
+      const oOpen = Ballot.IsOpen(this.oPoll);
+      if( !oOpen.bOpen ) { return Promise.reject(BallotError.FromOpen(oOpen, "Ballot")); }
+
+      // ## Votes are placed in a values list, empty answer and text are NULL ....
+      const oValues = { ballot: this.sKey, poll: this.sPollKey, voter: this.sVoterKey };
+      const aRow = aVote.map((oVote, iVote) => {
+         oValues["q" + iVote] = oVote.sQuestionKey;
+         if( oVote.sAnswerKey !== null ) { oValues["a" + iVote] = oVote.sAnswerKey; }
+         if( oVote.sText !== null ) { oValues["t" + iVote] = oVote.sText; }
+         return `(x{q${iVote}}, ${oVote.sAnswerKey !== null ? `x{a${iVote}}` : "NULL"}, ${oVote.sText !== null ? `{t${iVote}}` : "NULL"})`;
+      });
+
+      const sOpen = Ballot._open_condition();
+      const sInsert = `INSERT INTO TPollVote (BallotK, PollK, PollQuestionK, PollAnswerK, VoterK, CreateD, FText) `
+         + `WITH v_(question, answer, text) AS (VALUES ${aRow.join(", ")}) `
+         + `SELECT x{ballot}, x{poll}, question, answer, x{voter}, datetime('now', 'localtime'), text FROM v_ `
+         + `WHERE ${sOpen} `
+         + `AND NOT EXISTS (SELECT 1 FROM TPollVote WHERE PollK = x{poll} AND VoterK = x{voter}) `
+         + `AND NOT EXISTS (SELECT 1 FROM v_ WHERE NOT EXISTS (SELECT 1 FROM TPollQuestion q_ WHERE q_.PollQuestionK = v_.question AND q_.PollK = x{poll}) `
+         + `OR (v_.answer IS NOT NULL AND NOT EXISTS (SELECT 1 FROM TPollAnswer a_ WHERE a_.PollAnswerK = v_.answer AND a_.PollQuestionK = v_.question)))`;
+
+      // ## Stored votes are counted to find out if ballot was accepted ............
+      const sCheck = "SELECT (SELECT COUNT(*) FROM TPollVote WHERE BallotK = x{ballot}) vote_count, "
+         + "(SELECT COUNT(*) FROM TPollVote WHERE PollK = x{poll} AND VoterK = x{voter} AND BallotK <> x{ballot}) voted, "
+         + `CASE WHEN ${sOpen} THEN 1 ELSE 0 END is_open`;
+
+      return gd.db.Insert(sInsert, oValues, oRequest)
+      .then(() => gd.db.Select(sCheck, oValues, oRequest))
+      .then(oResult => {
+         const oCheck = oResult.AsObjects()[0] ?? {};
+         if( Number(oCheck.vote_count) === aVote.length ) { return { sBallotKey: this.sKey, iCount: aVote.length }; }
+         if( Number(oCheck.is_open) !== 1 ) { throw new BallotError('Ballot: Poll is closed, ballot is not counted', { sCode: "ended" }); }
+         if( Number(oCheck.voted) > 0 ) { throw new BallotError('Ballot: Voter has already voted in poll', { sCode: "voted" }); }
+         throw new BallotError('Ballot: Answers do not match poll, ballot is not counted', { sCode: "mismatch" });
+      });
+   }
+
+   /** -----------------------------------------------------------------------
+    * Get question type from TypeC
+    * @param {Object} [oQuestion] - Question with TypeC
+    * @param {Object} [oType=Ballot.oType_s] - Codes for question types
+    * @returns {string} "single", "multiple" or "text"
+    */
+   static GetType(oQuestion, oType = Ballot.oType_s) {
+      const type_ = oQuestion?.TypeC;
+      const iType = type_ === null || type_ === undefined || type_ === "" ? null : Number(type_);
+      if( iType === oType.iMultiple ) { return "multiple"; }
+      if( iType === oType.iText ) { return "text"; }
+      return "single";
+   }
+
+   /** -----------------------------------------------------------------------
+    * Load codes for question types from TCode, FId is value in TypeC and FSystemName is type
+    * @param {Object} [oRequest] - Request settings passed to gd.SendToServer
+    * @returns {Promise<Object>} Codes as { iSingle, iMultiple, iText }
+    */
+   static LoadType(oRequest) {
+      const sSelect = "SELECT FId, FSystemName FROM TCode WHERE CodeGroupK = {=group} AND FDeleted = 0";
+      return gd.db.Select(sSelect, { group: Ballot.iTypeGroup_s }, oRequest).then(oResult => Ballot.ReadType(oResult.AsObjects()));
+   }
+
+   /** -----------------------------------------------------------------------
+    * Read codes for question types from code rows, types without code keep code in oType_s
+    * @param {Array<Object>} aCode - Codes, { FId, FSystemName }
+    * @returns {Object} Codes as { iSingle, iMultiple, iText }
+    */
+   static ReadType(aCode) {
+      const oType = Object.assign({}, Ballot.oType_s);
+      aCode.forEach(oCode => {
+         const sType = String(oCode.FSystemName ?? "").trim();
+         const iId = Number(oCode.FId);
+         if( !Ballot.aType_s.includes(sType) || oCode.FId === null || oCode.FId === "" || isNaN(iId) ) return;
+         oType["i" + sType.charAt(0).toUpperCase() + sType.slice(1)] = iId;   // "multiple" -> iMultiple
+      });
+      return oType;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Check if poll accepts ballots
+    * @param {Object} oPoll - Poll with FBegin and FEnd
+    * @param {Date} [dateNow=new Date()] - Time to check
+    * @returns {{bOpen: boolean, sReason: string}} sReason is "begin" if poll has not started, "end" if poll has ended
+    */
+   static IsOpen(oPoll, dateNow = new Date()) {
+      const dateBegin = Ballot.ParseDate(oPoll?.FBegin);
+      const dateEnd = Ballot.ParseDate(oPoll?.FEnd);
+
+      if( dateBegin && dateNow < dateBegin ) { return { bOpen: false, sReason: "begin" }; }
+      if( dateEnd && dateNow > dateEnd ) { return { bOpen: false, sReason: "end" }; }
+      return { bOpen: true, sReason: "" };
+   }
+
+   /** -----------------------------------------------------------------------
+    * Parse datetime from database, "YYYY-MM-DD HH:MM[:SS]" or "YYYY-MM-DD" in local time
+    * @param {string|Date|null} date_ - Value to parse
+    * @returns {Date|null} Date or null if value is empty or invalid
+    */
+   static ParseDate(date_) {
+      if( date_ instanceof Date ) { return isNaN(date_.getTime()) ? null : date_; }
+      if( date_ === null || date_ === undefined || String(date_).trim() === "" ) { return null; }
+
+      let sDate = String(date_).trim().replace(" ", "T");
+      if( sDate.length === 10 ) { sDate += "T00:00"; }                        // date only is parsed as UTC by Date
+      const date = new Date(sDate);
+      return isNaN(date.getTime()) ? null : date;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Create random key as hex string, same format as hex() for randomblob(16) in database
+    * @returns {string} 32 hex characters
+    */
+   static CreateKey() {
+      const aByte = new Uint8Array(16);
+      if( globalThis.crypto?.getRandomValues ) { globalThis.crypto.getRandomValues(aByte); }
+      else { for( let i = 0; i < aByte.length; i++ ) { aByte[i] = Math.floor(Math.random() * 256); } }
+      return Array.from(aByte, iByte => iByte.toString(16).padStart(2, "0")).join("").toUpperCase();
+   }
+
+   /** -----------------------------------------------------------------------
+    * SQL condition that is true when poll `x{poll}` accepts ballots, local time is
+    * used because datetime values are stored as local time from forms
+    * @private
+    */
+   static _open_condition() {
+      return "EXISTS (SELECT 1 FROM TPoll p_ WHERE p_.PollK = x{poll} AND COALESCE(p_.FDeleted, 0) = 0 AND (p_.FBegin IS NULL OR p_.FBegin = '' OR p_.FBegin <= datetime('now', 'localtime')) AND (p_.FEnd IS NULL OR p_.FEnd = '' OR p_.FEnd >= datetime('now', 'localtime')))";
+   }
+}
+
+/** ===========================================================================
+ * Error for ballot that is refused, `sCode` tells why
+ *
+ * - "invalid": Answers are not valid, see `Ballot.Validate`
+ * - "empty": Nothing is answered
+ * - "not-started" / "ended": Poll is not open
+ * - "voted": Voter has already voted in poll
+ * - "mismatch": Answers do not match poll in database
+ * - "busy": Ballot is already being sent (UIPollRunner)
+ * - "not-found": Poll is not found or deleted (UIPollRunner)
+ * - "data": Poll data is missing
+ */
+class BallotError extends Error {
+   /**
+    * @param {string} sMessage - Error message
+    * @param {Object} [oOptions_={}] - Error details
+    * @param {string} [oOptions_.sCode="invalid"] - Error code
+    */
+   constructor(sMessage, oOptions_ = {}) {
+      super(sMessage);
+      this.name = "BallotError";
+      this.sCode = oOptions_.sCode || "invalid";
+   }
+
+   /** -----------------------------------------------------------------------
+    * Create error for poll that is not open
+    * @param {{bOpen: boolean, sReason: string}} oOpen - Result from `Ballot.IsOpen`
+    * @param {string} sSource - Class name placed first in message
+    * @returns {BallotError} Error with code "not-started" or "ended"
+    */
+   static FromOpen(oOpen, sSource) {
+      const bBegin = oOpen.sReason === "begin";
+      return new BallotError(`${sSource}: ${bBegin ? "Poll has not started" : "Poll has ended"}, ballot is not counted`, { sCode: bBegin ? "not-started" : "ended" });
+   }
+}
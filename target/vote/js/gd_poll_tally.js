@@ -0,0 +1,429 @@
+// @FILE [tag: poll, tally] [description: Tally for votes in poll with raw and weighted totals for each question and answer] [name: gd_poll_tally.js]
+
+/**
+ * PollTally - Counts votes in poll, both raw and weighted.
+ *
+ * Tally works on vote rows from TPollVote and poll, question and answer rows. Calculation
+ * does not use DOM or database, votes can be loaded with `PollTally.LoadVotes` in browser or
+ * passed from any other source. In Node the class is exported with `module.exports`.
+ *
+ * **Quick Start:**
+ * ```javascript
+ * Promise.all([UIPollRunner.Load(sPollKey), PollTally.LoadVotes(sPollKey), PollTally.LoadTie()]).then(([oData, aVote, oTie]) => {
+ *    const oResult = new PollTally(oData, { oTie }).Calculate(aVote);
+ *    oResult.aQuestion.forEach(oQuestion => console.log(oQuestion.iTotal, oQuestion.dTotal));
+ * });
+ *
+ * // Node
+ * const { PollTally } = require("./js/gd_poll_tally.js");
+ *
+ * // Checks for tally without browser, run from repository root
+ * // node resource/test/gd_poll_tally_check.js
+ * ```
+ *
+ * **Weights:**
+ * - Questions with `TPollQuestion.FWeight` set are qualifying questions. Answer that voter
+ *   selects in a qualifying question gives voter the weight in `TPollAnswer.FWeight`, e.g.
+ *   trainer = 20, athlete = 10 and public = 1. One trainer vote then counts as 20 public votes.
+ * - More than one qualifying question, weights are combined with `sCombine`. If voter selects
+ *   more than one answer in a qualifying question the highest weight is used.
+ * - Voters without answer in qualifying questions and answers without weight get `dDefaultWeight`.
+ * - Weighted vote is `TPoll.FRate * voter weight`, empty FRate is 1.
+ * - Poll is weighted if `TPoll.FWeight` is set (not 0) or if poll has qualifying questions.
+ *   Weighted totals for poll that is not weighted are same as raw totals.
+ *
+ * **Winner and Ties:**
+ * Answer with highest score wins, score is weighted total for weighted polls and vote count
+ * for other polls (`sScore`). When answers share highest score the tie policy decides,
+ * policy is read from `TPoll.FUseTie` or set with `sTie`. Codes for FUseTie are in TCode group
+ * 10606 (TPoll.FUseTie) where FSystemName is policy, read them with `PollTally.LoadTie`.
+ * - "report": no winner, tie is reported (default and used for unknown codes)
+ * - "earliest": tied answer that got its first vote earliest wins, votes are in the order given
+ * - "weighted": tied answers are compared on weighted total and then on vote count
+ * - "random": winner is drawn with seeded random, seed is in result so draw can be repeated
+ * - "runoff": no winner, tied answers are listed for a runoff poll, see `CreateRunoff`
+ *
+ * How each winner was decided is written to `oOutcome` for question in result.
+ *
+ * @param {Object} oData - Poll data, { oPoll, aQuestion, aAnswer } as returned by `UIPollRunner.Load`.
+ * @param {Object} [options_={}] - Configuration options.
+ * @param {Array<string>} [options_.aQualify] - Keys for qualifying questions, if not set questions with FWeight are used.
+ * @param {string} [options_.sCombine="multiply"] - Combine weights from qualifying questions, "multiply", "sum" or "max".
+ * @param {number} [options_.dDefaultWeight=1] - Weight for voter without weighted answer.
+ * @param {boolean} [options_.bWeighted] - Force weighted or unweighted tally, if not set it is read from poll.
+ * @param {string} [options_.sScore] - Score that decides winner, "weighted" or "raw". Default is "weighted" for weighted polls.
+ * @param {string} [options_.sTie] - Tie policy, "report", "earliest", "weighted", "random" or "runoff". If not set it is read from FUseTie.
+ * @param {Object} [options_.oTie] - Codes for tie policies in FUseTie from `PollTally.LoadTie`, { iReport, iEarliest, iWeighted, iRandom, iRunoff }.
+ * @param {number} [options_.iSeed] - Seed for "random" policy, if not set a random seed is used and written to result.
+ */
+class PollTally {
+   static oTie_s = { iReport: 1, iEarliest: 2, iWeighted: 3, iRandom: 4, iRunoff: 5 }; // FUseTie codes, same as FId in TCode group 10606, used if codes are not loaded
+   static iTieGroup_s = 10606;                                                  // TCodeGroup for TPoll.FUseTie
+   static aTie_s = ["report", "earliest", "weighted", "random", "runoff"];
+
+   constructor(oData, options_ = {}) {
+      if( !oData || !oData.oPoll ) { throw new Error('PollTally: Poll data is missing'); }
+
+      this.oPoll = oData.oPoll;
+      this.aQuestion = oData.aQuestion ?? [];
+      this.aAnswer = oData.aAnswer ?? [];
+
+      // ## Apply options with defaults .......................................
+      this.oOptions = Object.assign({ aQualify: null, sCombine: "multiply", dDefaultWeight: 1, bWeighted: null, sScore: null, sTie: null, oTie: null, iSeed: null }, options_);
+      if( !["multiply", "sum", "max"].includes(this.oOptions.sCombine) ) { throw new Error(`PollTally: Unknown combine: ${this.oOptions.sCombine}`); }
+      if( this.oOptions.sScore && !["weighted", "raw"].includes(this.oOptions.sScore) ) { throw new Error(`PollTally: Unknown score: ${this.oOptions.sScore}`); }
+      if( this.oOptions.sTie && !PollTally.aTie_s.includes(this.oOptions.sTie) ) { throw new Error(`PollTally: Unknown tie policy: ${this.oOptions.sTie}`); }
+
+      this.mapAnswer = new Map(this.aAnswer.map(oAnswer => [oAnswer.PollAnswerK, oAnswer]));  // answer key -> answer
+
+      // ## Qualifying questions and if poll is weighted ..........................
+      const aQualify = this.oOptions.aQualify ?? this.aQuestion.filter(oQuestion => PollTally._number(oQuestion.FWeight, 0) !== 0).map(oQuestion => oQuestion.PollQuestionK);
+      this.setQualify = new Set(aQualify);
+      this.bWeighted = this.oOptions.bWeighted ?? (PollTally._number(this.oPoll.FWeight, 0) !== 0 || this.setQualify.size > 0);
+      this.dRate = this.bWeighted ? PollTally._number(this.oPoll.FRate, 1) || 1 : 1;
+
+      // ## Winner and tie policy ................................................
+      this.sScore = this.oOptions.sScore ?? (this.bWeighted ? "weighted" : "raw");
+      this.sTie = this.oOptions.sTie ?? PollTally.GetTiePolicy(this.oPoll, Object.assign({}, PollTally.oTie_s, this.oOptions.oTie));
+   }
+
+   /** -----------------------------------------------------------------------
+    * Get tie policy from FUseTie in poll
+    * @param {Object} oPoll - Poll with FUseTie
+    * @param {Object} [oTie=PollTally.oTie_s] - Codes for tie policies
+    * @returns {string} Tie policy, "report" if FUseTie is empty or unknown
+    */
+   static GetTiePolicy(oPoll, oTie = PollTally.oTie_s) {
+      const iTie = PollTally._number(oPoll?.FUseTie, oTie.iReport);
+      if( iTie === oTie.iEarliest ) { return "earliest"; }
+      if( iTie === oTie.iWeighted ) { return "weighted"; }
+      if( iTie === oTie.iRandom ) { return "random"; }
+      if( iTie === oTie.iRunoff ) { return "runoff"; }
+      return "report";
+   }
+
+   /** -----------------------------------------------------------------------
+    * Load codes for tie policies from TCode, FId is value in FUseTie and FSystemName is policy
+    * @param {Object} [oRequest] - Request settings passed to gd.SendToServer
+    * @returns {Promise<Object>} Codes as { iReport, iEarliest, iWeighted, iRandom, iRunoff }
+    */
+   static LoadTie(oRequest) {
+      const sSelect = "SELECT FId, FSystemName FROM TCode WHERE CodeGroupK = {=group} AND FDeleted = 0";
+      return gd.db.Select(sSelect, { group: PollTally.iTieGroup_s }, oRequest).then(oResult => PollTally.ReadTie(oResult.AsObjects()));
+   }
+
+   /** -----------------------------------------------------------------------
+    * Read codes for tie policies from code rows, policies without code keep code in oTie_s
+    * @param {Array<Object>} aCode - Codes, { FId, FSystemName }
+    * @returns {Object} Codes as { iReport, iEarliest, iWeighted, iRandom, iRunoff }
+    */
+   static ReadTie(aCode) {
+      const oTie = Object.assign({}, PollTally.oTie_s);
+      aCode.forEach(oCode => {
+         const sPolicy = String(oCode.FSystemName ?? "").trim();
+         if( !PollTally.aTie_s.includes(sPolicy) ) return;
+         const sName = "i" + sPolicy.charAt(0).toUpperCase() + sPolicy.slice(1);   // "earliest" -> iEarliest
+         oTie[sName] = PollTally._number(oCode.FId, oTie[sName]);
+      });
+      return oTie;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Load votes for poll from database, ordered by time vote was cast
+    * @param {string} sPollKey - Key for poll as hex string
+    * @param {Object} [oRequest] - Request settings passed to gd.SendToServer
+    * @returns {Promise<Array<Object>>} Votes as { BallotK, VoterK, PollQuestionK, PollAnswerK, CreateD }
+    */
+   static LoadVotes(sPollKey, oRequest) {
+      const sSelect = "SELECT hex(BallotK) BallotK, hex(VoterK) VoterK, hex(PollQuestionK) PollQuestionK, hex(PollAnswerK) PollAnswerK, CreateD FROM TPollVote WHERE PollK = x{poll} ORDER BY CreateD, rowid";
+      return gd.db.Select(sSelect, { poll: sPollKey }, oRequest).then(oResult => oResult.AsObjects());
+   }
+
+   /** -----------------------------------------------------------------------
+    * Check if question is used to set weight for voters
+    * @param {string} sQuestionKey - Key for question
+    * @returns {boolean} True if question is qualifying
+    */
+   IsQualifying(sQuestionKey) { return this.setQualify.has(sQuestionKey); }
+
+   /** -----------------------------------------------------------------------
+    * Get weight for each ballot from answers in qualifying questions
+    * @param {Array<Object>} aVote - Votes, { BallotK, VoterK, PollQuestionK, PollAnswerK }
+    * @returns {Map<string, number>} Ballot key -> voter weight, 1 for all ballots if poll is not weighted
+    */
+   GetVoterWeights(aVote) {
+      const dDefault = this.oOptions.dDefaultWeight;
+      const mapQualify = new Map();                                           // ballot key -> Map(question key -> highest answer weight)
+      const mapWeight = new Map();
+
+      aVote.forEach(oVote => {
+         const sBallotKey = PollTally._ballot_key(oVote);
+         if( !mapWeight.has(sBallotKey) ) { mapWeight.set(sBallotKey, this.bWeighted ? dDefault : 1); }
+         if( !this.bWeighted || !this.IsQualifying(oVote.PollQuestionK) || !oVote.PollAnswerK ) return;
+
+         const oAnswer = this.mapAnswer.get(oVote.PollAnswerK);
+         if( !oAnswer || oAnswer.PollQuestionK !== oVote.PollQuestionK ) return;
+
+         const dAnswer = PollTally._number(oAnswer.FWeight, dDefault);
+         if( !mapQualify.has(sBallotKey) ) { mapQualify.set(sBallotKey, new Map()); }
+         const mapQuestion = mapQualify.get(sBallotKey);
+         mapQuestion.set(oVote.PollQuestionK, Math.max(mapQuestion.get(oVote.PollQuestionK) ?? -Infinity, dAnswer));
+      });
+
+      // ## Combine weights from qualifying questions ...........................
+      mapQualify.forEach((mapQuestion, sBallotKey) => {
+         const aWeight = Array.from(mapQuestion.values());
+         let dWeight;
+         switch( this.oOptions.sCombine ) {
+            case "sum": dWeight = aWeight.reduce((dSum, d) => dSum + d, 0); break;
+            case "max": dWeight = Math.max(...aWeight); break;
+            default: dWeight = aWeight.reduce((dProduct, d) => dProduct * d, 1);
+         }
+         mapWeight.set(sBallotKey, dWeight);
+      });
+
+      return mapWeight;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Count votes for each question and answer
+    *
+    * Votes for questions or answers that are not in poll are not counted, number of
+    * skipped votes is in `iIgnored`. Free text votes are counted in `iText` for question.
+    * Winner for each question is in `oOutcome`, see `_resolve_outcome`.
+    *
+    * @param {Array<Object>} aVote - Votes, { BallotK, VoterK, PollQuestionK, PollAnswerK, CreateD }, in the order votes were cast
+    * @returns {Object} Result as { sPollKey, bWeighted, dRate, sScore, sTie, iSeed, iBallot, dBallot, iIgnored, oVoterWeight, aQuestion }
+    *   aQuestion: [{ sQuestionKey, oQuestion, bQualify, iBallot, iTotal, dTotal, iText, oOutcome,
+    *   aAnswer: [{ sAnswerKey, oAnswer, iCount, dWeight, dPercent, dWeightPercent, iFirstVote, sFirstVote }] }]
+    */
+   Calculate(aVote = []) {
+      const mapWeight = this.GetVoterWeights(aVote);
+
+      // ## Result for each question with all answers, answers without votes are included
+      const mapQuestion = new Map();
+      const aQuestion = this.aQuestion.map(oQuestion => {
+         const oResult = {
+            sQuestionKey: oQuestion.PollQuestionK, oQuestion, bQualify: this.IsQualifying(oQuestion.PollQuestionK),
+            iBallot: 0, iTotal: 0, dTotal: 0, iText: 0,
+            aAnswer: this.aAnswer.filter(oAnswer => oAnswer.PollQuestionK === oQuestion.PollQuestionK)
+               .map(oAnswer => ({ sAnswerKey: oAnswer.PollAnswerK, oAnswer, iCount: 0, dWeight: 0, dPercent: 0, dWeightPercent: 0, iFirstVote: -1, sFirstVote: null })),
+            setBallot: new Set()
+         };
+         mapQuestion.set(oQuestion.PollQuestionK, oResult);
+         return oResult;
+      });
+
+      // ## Add votes ................................................................
+      let iIgnored = 0;
+      aVote.forEach((oVote, iVote) => {
+         const oResult = mapQuestion.get(oVote.PollQuestionK);
+         if( !oResult ) { iIgnored++; return; }
+
+         const sBallotKey = PollTally._ballot_key(oVote);
+         if( !oVote.PollAnswerK ) {                                           // free text
+            oResult.iText++;
+            oResult.setBallot.add(sBallotKey);
+            return;
+         }
+
+         const oAnswer = oResult.aAnswer.find(oAnswer => oAnswer.sAnswerKey === oVote.PollAnswerK);
+         if( !oAnswer ) { iIgnored++; return; }
+
+         const dWeight = this.dRate * mapWeight.get(sBallotKey);
+         if( oAnswer.iFirstVote === -1 ) { oAnswer.iFirstVote = iVote; oAnswer.sFirstVote = oVote.CreateD ?? null; }
+         oAnswer.iCount++;
+         oAnswer.dWeight += dWeight;
+         oResult.iTotal++;
+         oResult.dTotal += dWeight;
+         oResult.setBallot.add(sBallotKey);
+      });
+
+      // ## Percent and winner for answers ..........................................
+      const iSeed = this.oOptions.iSeed ?? Math.floor(Math.random() * 4294967296);
+      const fnRandom = PollTally._random(iSeed);                              // same seed and votes give same draws
+      aQuestion.forEach(oResult => {
+         oResult.aAnswer.forEach(oAnswer => {
+            oAnswer.dPercent = oResult.iTotal > 0 ? oAnswer.iCount * 100 / oResult.iTotal : 0;
+            oAnswer.dWeightPercent = oResult.dTotal > 0 ? oAnswer.dWeight * 100 / oResult.dTotal : 0;
+         });
+         oResult.iBallot = oResult.setBallot.size;
+         delete oResult.setBallot;
+         oResult.oOutcome = this._resolve_outcome(oResult, fnRandom, iSeed);
+      });
+
+      const oVoterWeight = Object.fromEntries(mapWeight);
+      const dBallot = Array.from(mapWeight.values()).reduce((dSum, dWeight) => dSum + this.dRate * dWeight, 0);
+      return {
+         sPollKey: this.oPoll.PollK, bWeighted: this.bWeighted, dRate: this.dRate, sScore: this.sScore, sTie: this.sTie,
+         iSeed: this.sTie === "random" ? iSeed : null, iBallot: mapWeight.size, dBallot, iIgnored, oVoterWeight, aQuestion
+      };
+   }
+
+   /** -----------------------------------------------------------------------
+    * Create runoff poll for tied answers in question
+    *
+    * Runoff poll is a copy of poll with SuperK set to poll, it has the tied question with only
+    * the tied answers and qualifying questions with all their answers so voters are weighted
+    * the same way. FBegin and FEnd are not copied, they are set when runoff is opened.
+    * Sections for poll are read first and each section gets new key, runoff is then created in one
+    * statement with view VPollRunoff. Trigger for view copies poll, sections used by copied questions,
+    * questions and answers so nothing is left if insert fails.
+    * Needs gd_db_client.js and gd_poll_ballot.js (keys).
+    *
+    * @param {Object} oQuestionResult - Result for question from Calculate, oOutcome.aRunoff has tied answers
+    * @param {Object} [oRequest] - Request settings passed to gd.SendToServer
+    * @returns {Promise<string>} Key for runoff poll as hex string
+    */
+   CreateRunoff(oQuestionResult, oRequest) {
+      const aRunoff = oQuestionResult?.oOutcome?.aRunoff ?? [];
+      if( aRunoff.length < 2 ) { return Promise.reject(new Error('PollTally: Question has no tie for runoff')); }
+
+      const sQuestionKey = oQuestionResult.sQuestionKey;
+      const aQualify = Array.from(this.setQualify).filter(sKey => sKey !== sQuestionKey);
+      const oValues = { runoff: Ballot.CreateKey(), poll: this.oPoll.PollK, question: sQuestionKey, copy: Ballot.CreateKey() };
+      const sSection = "SELECT hex(PollSectionK) PollSectionK FROM TPollSection WHERE PollK = x{poll}";
+      const sCheck = "SELECT COUNT(*) poll_count FROM TPoll WHERE PollK = x{runoff}";
+
+      // ## Rows to copy, tied answers are listed and qualifying questions get all answers (answer is NULL)
+      const aRow = aRunoff.map((sAnswerKey, iAnswer) => { oValues["a" + iAnswer] = sAnswerKey; return `(x{question}, x{copy}, x{a${iAnswer}})`; });
+      aQualify.forEach((sKey, iQuestion) => {
+         oValues["q" + iQuestion] = sKey;
+         oValues["c" + iQuestion] = Ballot.CreateKey();
+         aRow.push(`(x{q${iQuestion}}, x{c${iQuestion}}, NULL)`);
+      });
+
+      return gd.db.Select(sSection, oValues, oRequest)
+      .then(oResult => {
+         // ## New key for each section, copied question gets new key for its section (NULL if no section)
+         const aSection = oResult.AsObjects().map((oSection, iSection) => {
+            oValues["s" + iSection] = oSection.PollSectionK;
+            oValues["n" + iSection] = Ballot.CreateKey();
+            return `(x{s${iSection}}, x{n${iSection}})`;
+         });
+         if( aSection.length === 0 ) { aSection.push("(NULL, NULL)"); }
+
+         // Trigger refuses answer that is not in question and poll, then nothing is created
+         const sInsert = "INSERT INTO VPollRunoff (PollK, SuperK, PollQuestionK, PollSectionK, FromQuestionK, FromAnswerK) "
+            + `WITH v_(question, copy, answer) AS (VALUES ${aRow.join(", ")}), s_(section, copy) AS (VALUES ${aSection.join(", ")}) `
+            + "SELECT x{runoff}, x{poll}, v_.copy, s_.copy, v_.question, COALESCE(v_.answer, a_.PollAnswerK) FROM v_ "
+            + "LEFT JOIN TPollAnswer a_ ON v_.answer IS NULL AND a_.PollQuestionK = v_.question "
+            + "LEFT JOIN TPollQuestion q_ ON q_.PollQuestionK = v_.question "
+            + "LEFT JOIN s_ ON s_.section = q_.PollSectionK "
+            + "WHERE v_.answer IS NOT NULL OR a_.PollAnswerK IS NOT NULL";
+         return gd.db.Insert(sInsert, oValues, oRequest);
+      })
+      .then(() => gd.db.Select(sCheck, oValues, oRequest))
+      .then(oResult => {
+         if( Number(oResult.GetValue(0, "poll_count")) !== 1 ) { throw new Error('PollTally: Runoff poll was not created'); }
+         return oValues.runoff;
+      });
+   }
+
+   /** -----------------------------------------------------------------------
+    * Find winner for question and resolve tie with tie policy
+    *
+    * Outcome: { sScore, sPolicy, sResolution, sWinnerKey, aLeader, bTie, sNote } and for some
+    * policies { sFirstVote, iSeed, aRunoff }. sResolution is "none" (no votes), "winner" (no tie),
+    * "tie" (tie is reported or could not be broken) or name of policy that broke tie.
+    *
+    * @param {Object} oResult - Result for question with counted answers
+    * @param {Function} fnRandom - Seeded random generator
+    * @param {number} iSeed - Seed used for fnRandom
+    * @returns {Object} Outcome for question
+    * @private
+    */
+   _resolve_outcome(oResult, fnRandom, iSeed) {
+      const fnScore = this.sScore === "weighted" ? (oAnswer => oAnswer.dWeight) : (oAnswer => oAnswer.iCount);
+      const oOutcome = { sScore: this.sScore, sPolicy: this.sTie, sResolution: "none", sWinnerKey: null, aLeader: [], bTie: false, sNote: "" };
+
+      const dTop = Math.max(0, ...oResult.aAnswer.map(fnScore));
+      if( dTop === 0 ) { oOutcome.sNote = "No votes"; return oOutcome; }
+
+      let aLeader = oResult.aAnswer.filter(oAnswer => PollTally._is_same(fnScore(oAnswer), dTop));
+      oOutcome.aLeader = aLeader.map(oAnswer => oAnswer.sAnswerKey);
+      const sLeader = oOutcome.aLeader.join(", ");
+
+      if( aLeader.length === 1 ) {
+         oOutcome.sResolution = "winner";
+         oOutcome.sWinnerKey = aLeader[0].sAnswerKey;
+         oOutcome.sNote = `Highest ${this.sScore} score`;
+         return oOutcome;
+      }
+
+      // ## Tie between answers with highest score ...................................
+      oOutcome.bTie = true;
+      const fnWinner = (oAnswer, sNote) => {
+         oOutcome.sResolution = this.sTie;
+         oOutcome.sWinnerKey = oAnswer.sAnswerKey;
+         oOutcome.sNote = `Tie between ${sLeader}, ${sNote}`;
+      };
+
+      switch( this.sTie ) {
+         case "earliest": {
+            const oFirst = aLeader.reduce((oFirst, oAnswer) => oAnswer.iFirstVote < oFirst.iFirstVote ? oAnswer : oFirst);
+            oOutcome.sFirstVote = oFirst.sFirstVote;
+            fnWinner(oFirst, `broken by earliest vote${oFirst.sFirstVote ? " at " + oFirst.sFirstVote : ""}`);
+            return oOutcome;
+         }
+         case "weighted": {
+            const dWeight = Math.max(...aLeader.map(oAnswer => oAnswer.dWeight));
+            aLeader = aLeader.filter(oAnswer => PollTally._is_same(oAnswer.dWeight, dWeight));
+            const iCount = Math.max(...aLeader.map(oAnswer => oAnswer.iCount));
+            aLeader = aLeader.filter(oAnswer => oAnswer.iCount === iCount);
+            if( aLeader.length === 1 ) { fnWinner(aLeader[0], "broken by weighted score"); return oOutcome; }
+            oOutcome.sResolution = "tie";
+            oOutcome.sNote = `Tie between ${sLeader}, weighted score and vote count are equal`;
+            return oOutcome;
+         }
+         case "random": {
+            const dRandom = fnRandom();
+            const oWinner = aLeader[Math.floor(dRandom * aLeader.length)];
+            oOutcome.iSeed = iSeed;
+            fnWinner(oWinner, `drawn with seed ${iSeed}`);
+            return oOutcome;
+         }
+         case "runoff":
+            oOutcome.sResolution = "runoff";
+            oOutcome.aRunoff = oOutcome.aLeader.slice();
+            oOutcome.sNote = `Tie between ${sLeader}, runoff poll decides`;
+            return oOutcome;
+      }
+
+      oOutcome.sResolution = "tie";
+      oOutcome.sNote = `Tie between ${sLeader}`;
+      return oOutcome;
+   }
+
+   // Compare scores, weighted scores are sums of decimal numbers -----------------
+   static _is_same(d1, d2) { return Math.abs(d1 - d2) < 1e-9; }
+
+   /** -----------------------------------------------------------------------
+    * Random generator with seed (mulberry32), returns numbers from 0 to less than 1
+    * @param {number} iSeed - 32 bit seed
+    * @returns {Function} Function that returns next number
+    * @private
+    */
+   static _random(iSeed) {
+      let iState = iSeed >>> 0;
+      return function() {
+         iState = (iState + 0x6D2B79F5) >>> 0;
+         let i = iState;
+         i = Math.imul(i ^ (i >>> 15), i | 1);
+         i ^= i + Math.imul(i ^ (i >>> 7), i | 61);
+         return ((i ^ (i >>> 14)) >>> 0) / 4294967296;
+      };
+   }
+
+   // Key that groups votes from one voter, ballot key or voter key --------------
+   static _ballot_key(oVote) { return oVote.BallotK || oVote.VoterK || ""; }
+
+   // Convert value from database to number, empty or invalid value gives default
+   static _number(value_, dDefault) {
+      if( value_ === null || value_ === undefined || value_ === "" ) { return dDefault; }
+      const dValue = Number(value_);
+      return isNaN(dValue) ? dDefault : dValue;
+   }
+}
+
+if( typeof module !== "undefined" && module.exports ) { module.exports = { PollTally }; }
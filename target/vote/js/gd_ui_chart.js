@@ -0,0 +1,241 @@
+// @FILE [tag: chart] [description: Bar, pie and stacked charts drawn as SVG without dependencies] [name: gd_ui_chart.js]
+
+/**
+ * UIChart - Draws simple charts as SVG in parent element.
+ *
+ * Chart shows one value for each item, labels can show absolute value, percentage of total
+ * or both. Charts are drawn with a viewBox and scale to width of parent.
+ *
+ * **Quick Start:**
+ * ```javascript
+ * const uiChart = new UIChart(document.getElementById("idChart"), { sType: "pie" });
+ * uiChart.Render([{ sLabel: "Yes", dValue: 12 }, { sLabel: "No", dValue: 8 }]);
+ *
+ * uiChart.SetType("bar");                        // chart is drawn again with same items
+ * ```
+ *
+ * **Types:**
+ * - "bar": one horizontal bar for each item, longest bar is item with highest value
+ * - "pie": one slice for each item with legend
+ * - "stacked": one bar where each item takes its share of total, with legend
+ *
+ * @param {HTMLElement|string} parent_ - The parent container element or selector.
+ * @param {Object} [options_={}] - Configuration options.
+ * @param {string} [options_.sType="bar"] - Chart type, "bar", "pie" or "stacked".
+ * @param {boolean} [options_.bValue=true] - Show absolute value in labels.
+ * @param {boolean} [options_.bPercent=true] - Show percentage of total in labels.
+ * @param {number} [options_.iWidth=400] - Width for viewBox, height is calculated from items.
+ * @param {string} [options_.sTitle] - Title for chart, used by screen readers.
+ * @param {string} [options_.sEmpty="No votes"] - Text shown when total is 0.
+ * @param {Array<string>} [options_.aColor] - Colors for items, repeated if there are more items than colors.
+ */
+class UIChart {
+   static aColor_s = ["#4e79a7", "#f28e2b", "#e15759", "#76b7b2", "#59a14f", "#edc948", "#b07aa1", "#ff9da7", "#9c755f", "#bab0ac"];
+   static sNamespace_s = "http://www.w3.org/2000/svg";
+
+   constructor(parent_, options_ = {}) {
+      // ## Resolve parent element ............................................
+      const eParent = typeof parent_ === "string"
+         ? document.querySelector(parent_) ?? document.getElementById(parent_)
+         : parent_;
+
+      if(!eParent) { throw new Error('UIChart: Parent element not found'); }
+
+      this.eParent = eParent;
+
+      // ## Apply options with defaults .......................................
+      this.oOptions = Object.assign({ sType: "bar", bValue: true, bPercent: true, iWidth: 400, sTitle: "", sEmpty: "No votes", aColor: UIChart.aColor_s }, options_);
+
+      this.eSvg = null;
+      this.aItem = [];                                                        // items in last render, used when type is changed
+   }
+
+   /** -----------------------------------------------------------------------
+    * Draw chart for items, earlier chart is replaced
+    * @param {Array<{sLabel: string, dValue: number}>} aItem - Items to draw, negative values are drawn as 0
+    * @returns {SVGElement} The svg element
+    */
+   Render(aItem) {
+      this._remove();
+      this.aItem = (aItem ?? []).map(oItem => ({ sLabel: String(oItem.sLabel ?? ""), dValue: Math.max(Number(oItem.dValue) || 0, 0) }));
+
+      const dTotal = this.aItem.reduce((dSum, oItem) => dSum + oItem.dValue, 0);
+      const sType = this.oOptions.sType;
+
+      this.eSvg = this._create('svg', { role: "img", class: `chart chart-${sType}`, preserveAspectRatio: "xMinYMin meet" });
+      if( this.oOptions.sTitle ) { this.eSvg.appendChild(this._create('title', {}, this.oOptions.sTitle)); }
+
+      let iHeight;
+      if( dTotal === 0 ) { iHeight = this._draw_empty(); }
+      else if( sType === "pie" ) { iHeight = this._draw_pie(dTotal); }
+      else if( sType === "stacked" ) { iHeight = this._draw_stacked(dTotal); }
+      else { iHeight = this._draw_bar(dTotal); }
+
+      this.eSvg.setAttribute('viewBox', `0 0 ${this.oOptions.iWidth} ${iHeight}`);
+      this.eParent.appendChild(this.eSvg);
+      return this.eSvg;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Change chart type and draw chart again with same items
+    * @param {string} sType - Chart type, "bar", "pie" or "stacked"
+    */
+   SetType(sType) {
+      this.oOptions.sType = sType;
+      if( this.eSvg ) { this.Render(this.aItem); }
+   }
+
+   /** -----------------------------------------------------------------------
+    * Get text for value with absolute value and/or percentage
+    * @param {number} dValue - Value for item
+    * @param {number} dTotal - Total for all items
+    * @returns {string} Text like "12 (40%)"
+    */
+   GetValueText(dValue, dTotal) {
+      const sValue = UIChart.FormatNumber(dValue);
+      const sPercent = UIChart.FormatNumber(dTotal > 0 ? dValue * 100 / dTotal : 0) + "%";
+      if( this.oOptions.bValue && this.oOptions.bPercent ) { return `${sValue} (${sPercent})`; }
+      if( this.oOptions.bPercent ) { return sPercent; }
+      return this.oOptions.bValue ? sValue : "";
+   }
+
+   /** -----------------------------------------------------------------------
+    * Format number with at most one decimal
+    * @param {number} dValue - Number to format
+    * @returns {string} Formatted number
+    */
+   static FormatNumber(dValue) { return String(Math.round(dValue * 10) / 10); }
+
+   /** -----------------------------------------------------------------------
+    * Get the svg element.
+    * @returns {SVGElement|null} The svg element or null if not rendered.
+    */
+   GetElement() { return this.eSvg; }
+
+   /** -----------------------------------------------------------------------
+    * Destroy chart and remove it from DOM
+    */
+   Destroy() {
+      this._remove();
+      this.eParent = null;
+   }
+
+   // Remove rendered chart ----------------------------------------------------
+   _remove() {
+      this.eSvg?.parentNode?.removeChild(this.eSvg);
+      this.eSvg = null;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Draw one horizontal bar for each item, label is placed above bar
+    * @returns {number} Height for chart
+    * @private
+    */
+   _draw_bar(dTotal) {
+      const iWidth = this.oOptions.iWidth;
+      const iBarWidth = iWidth - 90;                                          // room for value text after bar
+      const dMax = Math.max(...this.aItem.map(oItem => oItem.dValue));
+      const iRow = 36;
+
+      this.aItem.forEach((oItem, iItem) => {
+         const iY = iItem * iRow;
+         const dWidth = dMax > 0 ? oItem.dValue / dMax * iBarWidth : 0;
+         this.eSvg.appendChild(this._create('text', { x: 0, y: iY + 12, class: "chart-label" }, oItem.sLabel));
+         this.eSvg.appendChild(this._create('rect', { x: 0, y: iY + 16, width: dWidth.toFixed(2), height: 14, fill: this._get_color(iItem) }));
+         this.eSvg.appendChild(this._create('text', { x: (dWidth + 6).toFixed(2), y: iY + 27, class: "chart-value" }, this.GetValueText(oItem.dValue, dTotal)));
+      });
+
+      return this.aItem.length * iRow;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Draw pie with one slice for each item and legend to the right
+    * @returns {number} Height for chart
+    * @private
+    */
+   _draw_pie(dTotal) {
+      const iRadius = 80, iX = 90, iY = 90;
+      let dAngle = -Math.PI / 2;                                              // first slice starts at top
+
+      this.aItem.forEach((oItem, iItem) => {
+         if( oItem.dValue === 0 ) return;
+         const sColor = this._get_color(iItem);
+
+         // ## Item with all values is a circle, arc can not be drawn from point to same point
+         if( oItem.dValue === dTotal ) {
+            this.eSvg.appendChild(this._create('circle', { cx: iX, cy: iY, r: iRadius, fill: sColor }));
+            return;
+         }
+
+         const dEnd = dAngle + oItem.dValue / dTotal * Math.PI * 2;
+         const sStart = `${(iX + iRadius * Math.cos(dAngle)).toFixed(2)} ${(iY + iRadius * Math.sin(dAngle)).toFixed(2)}`;
+         const sEnd = `${(iX + iRadius * Math.cos(dEnd)).toFixed(2)} ${(iY + iRadius * Math.sin(dEnd)).toFixed(2)}`;
+         const iLarge = dEnd - dAngle > Math.PI ? 1 : 0;
+         this.eSvg.appendChild(this._create('path', { d: `M ${iX} ${iY} L ${sStart} A ${iRadius} ${iRadius} 0 ${iLarge} 1 ${sEnd} Z`, fill: sColor }));
+         dAngle = dEnd;
+      });
+
+      const iLegend = this._draw_legend(iX + iRadius + 20, 10, dTotal);
+      return Math.max(iY * 2, iLegend);
+   }
+
+   /** -----------------------------------------------------------------------
+    * Draw one bar where each item takes its share of total, legend is placed below
+    * @returns {number} Height for chart
+    * @private
+    */
+   _draw_stacked(dTotal) {
+      const iWidth = this.oOptions.iWidth;
+      let dX = 0;
+
+      this.aItem.forEach((oItem, iItem) => {
+         const dWidth = oItem.dValue / dTotal * iWidth;
+         if( dWidth === 0 ) return;
+         this.eSvg.appendChild(this._create('rect', { x: dX.toFixed(2), y: 0, width: dWidth.toFixed(2), height: 28, fill: this._get_color(iItem) }));
+         dX += dWidth;
+      });
+
+      return this._draw_legend(0, 40, dTotal);
+   }
+
+   /** -----------------------------------------------------------------------
+    * Draw legend with color, label and value for each item
+    * @param {number} iX - Left position for legend
+    * @param {number} iY - Top position for legend
+    * @returns {number} Bottom position for legend
+    * @private
+    */
+   _draw_legend(iX, iY, dTotal) {
+      const iRow = 20;
+      this.aItem.forEach((oItem, iItem) => {
+         const iTop = iY + iItem * iRow;
+         this.eSvg.appendChild(this._create('rect', { x: iX, y: iTop, width: 12, height: 12, fill: this._get_color(iItem) }));
+         const sValue = this.GetValueText(oItem.dValue, dTotal);
+         this.eSvg.appendChild(this._create('text', { x: iX + 18, y: iTop + 11, class: "chart-label" }, sValue ? `${oItem.sLabel} ${sValue}` : oItem.sLabel));
+      });
+      return iY + this.aItem.length * iRow;
+   }
+
+   // Draw text for chart without values ------------------------------------------
+   _draw_empty() {
+      this.eSvg.appendChild(this._create('text', { x: 0, y: 16, class: "chart-empty" }, this.oOptions.sEmpty));
+      return 24;
+   }
+
+   // Get color for item, colors are repeated ----------------------------------
+   _get_color(iItem) {
+      const aColor = this.oOptions.aColor;
+      return aColor[iItem % aColor.length];
+   }
+
+   /** -----------------------------------------------------------------------
+    * Create svg element with attributes and text
+    * @private
+    */
+   _create(sTag, oAttribute = {}, sText) {
+      const eElement = document.createElementNS(UIChart.sNamespace_s, sTag);
+      for( const [sName, value_] of Object.entries(oAttribute) ) { eElement.setAttribute(sName, String(value_)); }
+      if( sText !== undefined ) { eElement.textContent = sText; }
+      return eElement;
+   }
+}
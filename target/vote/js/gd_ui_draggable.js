@@ -22,9 +22,11 @@ class UIDraggable {
     * @param {Object} [oOptions_.oBounds.oPadding={top:0,right:0,bottom:0,left:0}] - Padding from bounds
     * @param {boolean} [oOptions_.bSnapToGrid=false] - Enable grid snapping
     * @param {number} [oOptions_.iGridSize=10] - Grid size for snapping
+    * @param {boolean} [oOptions_.bMove=true] - Move element, if false only callbacks are called with pointer position
+    * @param {string} [oOptions_.sIgnoreSelector=null] - Pointer down on element matching selector inside handle do not start drag
     * @param {Function} [oOptions_.fnOnDragStart] - Callback when dragging starts
-    * @param {Function} [oOptions_.fnOnDragMove] - Callback during dragging
-    * @param {Function} [oOptions_.fnOnDragEnd] - Callback when dragging ends
+    * @param {Function} [oOptions_.fnOnDragMove] - Callback during dragging, iDeltaX and iDeltaY is distance from drag start
+    * @param {Function} [oOptions_.fnOnDragEnd] - Callback when dragging ends, iDeltaX and iDeltaY is distance from drag start
     */
    constructor(element_, oOptions_ = {}) {
       let eElement;
@@ -49,6 +51,8 @@ class UIDraggable {
          oBounds: null,        // If set this element is used as bounds
          bSnapToGrid: false,   // Snap to grid
          iGridSize: 10,        // Grid size for snapping
+         bMove: true,          // Move element, false = only track pointer
+         sIgnoreSelector: null,// Elements in handle that do not start drag
          fnOnDragStart: null,  // Callback when drag starts
          fnOnDragMove: null,   // Callback when drag moves
          fnOnDragEnd: null     // Callback when drag ends
@@ -88,6 +92,10 @@ class UIDraggable {
       this.bDragging = false;
       this.iInitialX = 0;
       this.iInitialY = 0;
+      this.iStartClientX = 0;                                                 // pointer position when drag starts
+      this.iStartClientY = 0;
+      this.iDeltaX = 0;                                                       // pointer distance from drag start
+      this.iDeltaY = 0;
 
       // We set the current position to the CSS values so the first drag
       // starts from where the element actually is.
@@ -166,6 +174,7 @@ class UIDraggable {
    _on_pointer_down(eEvent_) {
       const eTarget = eEvent_.target || eEvent_.touches?.[0]?.target;         // Only handle if target is drag handle or a child of it
       if( !this.eDragHandle.contains(eTarget) && this.eDragHandle !== eTarget ) { return; }
+      if( this.oOptions.sIgnoreSelector && eTarget.closest?.(this.oOptions.sIgnoreSelector) ) { return; } // pressed element has its own pointer handling
 
       if( eEvent_.cancelable ) {  eEvent_.preventDefault(); }                  // Prevent default for touch events to avoid scrolling
 
@@ -176,9 +185,12 @@ class UIDraggable {
       // ## Store initial position ...........................................
       this.iInitialX = iClientX - this.iXOffset;
       this.iInitialY = iClientY - this.iYOffset;
+      this.iStartClientX = iClientX;
+      this.iStartClientY = iClientY;
+      this.iDeltaX = this.iDeltaY = 0;
       this.dragging = true;
 
-      Object.assign(this.eElement.style, this.oDraggingStyles);
+      if( this.oOptions.bMove ) { Object.assign(this.eElement.style, this.oDraggingStyles); }
       this.eDragHandle.style.cursor = 'grabbing';                             // Apply dragging styles inline
 
       // ## Trigger callback if provided ......................................
@@ -210,6 +222,14 @@ class UIDraggable {
       // ## Calculate new position ............................................
       let iNewX = iClientX - this.iInitialX;
       let iNewY = iClientY - this.iInitialY;
+      this.iDeltaX = iClientX - this.iStartClientX;
+      this.iDeltaY = iClientY - this.iStartClientY;
+
+      // ## Only track pointer, element is not moved ...........................
+      if( !this.oOptions.bMove ) {
+         if( this.oOptions.fnOnDragMove ) { this.oOptions.fnOnDragMove({ eElement: this.eElement, iX: iNewX, iY: iNewY, iDeltaX: this.iDeltaX, iDeltaY: this.iDeltaY }); }
+         return;
+      }
 
       // ## Apply grid snapping if enabled ....................................
       if( this.oOptions.bSnapToGrid ) {
@@ -237,7 +257,9 @@ class UIDraggable {
          this.oOptions.fnOnDragMove({
             eElement: this.eElement,
             iX: iNewX,
-            iY: iNewY
+            iY: iNewY,
+            iDeltaX: this.iDeltaX,
+            iDeltaY: this.iDeltaY
          });
       }
    }
@@ -249,6 +271,14 @@ class UIDraggable {
       if( !this.dragging ) return;                                         // Return early if not dragging
 
       this.dragging = false;
+
+      // ## Only track pointer, element keeps its position ......................
+      if( !this.oOptions.bMove ) {
+         this.eDragHandle.style.cursor = 'grab';
+         if( this.oOptions.fnOnDragEnd ) { this.oOptions.fnOnDragEnd({ eElement: this.eElement, iX: this.iCurrentX, iY: this.iCurrentY, iDeltaX: this.iDeltaX, iDeltaY: this.iDeltaY }); }
+         return;
+      }
+
       this.iInitialX = this.iCurrentX;                                        // Initialize initial position
       this.iInitialY = this.iCurrentY;                                        // Initialize initial position
 
@@ -272,7 +302,9 @@ class UIDraggable {
          this.oOptions.fnOnDragEnd({
             eElement: this.eElement,
             iX: this.iCurrentX,
-            iY: this.iCurrentY
+            iY: this.iCurrentY,
+            iDeltaX: this.iDeltaX,
+            iDeltaY: this.iDeltaY
          });
       }
    }
@@ -0,0 +1,386 @@
+// @FILE [tag: form] [description: Edit form generated from DBRecord columns with two-way binding to record values] [name: gd_ui_form.js]
+
+/**
+ * UIForm - Generates edit form from column information in DBRecord.
+ *
+ * Form and record are bound in both directions, edits in form are set in record and
+ * values set in record (load, clear, revert) are shown in form. Pages do not need
+ * their own read and write callbacks for record.
+ *
+ * **Quick Start:**
+ * ```javascript
+ * const oRecord = new DBRecord([], "TUser");
+ * oRecord.AddColumn([
+ *    { sName: "UserK", bKey: true },
+ *    { sName: "FAlias", sLabel: "Alias", bRequired: true, iMaxLength: 100, iCols: 2 },
+ *    { sName: "FMail", sLabel: "Email", iCols: 2 },
+ *    { sName: "RoleC", sLabel: "Role", aMatch: [{ value: 1, text: "Admin" }, { value: 2, text: "User" }] },
+ *    { sName: "FDescription", sLabel: "Description", sType: "text" }
+ * ]);
+ *
+ * const uiForm = new UIForm(document.getElementById("idUserForm"), oRecord);
+ * uiForm.Render();
+ *
+ * oRecord.SetValue("FAlias", "admin");            // value is shown in form
+ * const oError = uiForm.Validate();                // errors are shown next to fields
+ * ```
+ *
+ * **Field Types:**
+ * - Column with `aMatch`: select, items are values or { value, text } objects
+ * - sType "boolean": checkbox, stored as 1 or 0
+ * - sType "date" and "datetime": date pickers, datetime is stored as "YYYY-MM-DD HH:MM"
+ * - sType "text": textarea
+ * - sType "number", "integer" and "decimal": number input
+ * - Other types: input with type from `sInput` on column (e.g. "password") or "text"
+ *
+ * **Layout:**
+ * Each field is placed in a row. A column with `iCols` starts a grid row with that many
+ * columns and following columns with `iCols` are placed in the same row. `iSpan` sets how
+ * many grid columns the field uses. Key columns and columns without label are not rendered.
+ *
+ * @param {HTMLElement|string} parent_ - The parent container element or selector.
+ * @param {DBRecord} oRecord - Record that form edits.
+ * @param {Object} [options_={}] - Configuration options.
+ * @param {Array<string>} [options_.aColumns=null] - Column names to render (null = all columns with label).
+ * @param {boolean} [options_.bValidate=true] - Validate field and show errors when field is edited.
+ * @param {boolean} [options_.bMarkModified=true] - Mark fields with values that differ from original values.
+ * @param {Function} [options_.fnCallback] - Callback for customization: (sCommand, oData) => any.
+ *   Commands:
+ *   - "field": Field is created. oData: { oColumn, eInput, eLabel }
+ *   - "change": Value is edited in form. oData: { sName, value_ }
+ */
+class UIForm {
+
+   constructor(parent_, oRecord, options_ = {}) {
+      // ## Resolve parent element ............................................
+      const eParent = typeof parent_ === "string"
+         ? document.querySelector(parent_) ?? document.getElementById(parent_)
+         : parent_;
+
+      if(!eParent) { throw new Error('UIForm: Parent element not found'); }
+      if( !(oRecord instanceof DBRecord) ) { throw new Error('UIForm: Invalid DBRecord instance'); }
+
+      this.eParent = eParent;
+      this.oRecord = oRecord;
+
+      // ## Apply options with defaults .......................................
+      this.oOptions = Object.assign({ aColumns: null, bValidate: true, bMarkModified: true, fnCallback: null }, options_);
+
+      this.eForm = null;                                                      // element with all fields
+      this.mapField = new Map();                                              // column name -> { eInput, oColumn }
+      this._bWriting = false;                                                 // true while form sets value in record
+      this._fnRemoveListener = null;
+
+      this._fnRecordListener = (sEvent, oData) => this._on_record(sEvent, oData);
+      this._fnInput = (e_) => this._on_input(e_);
+   }
+
+   /** -----------------------------------------------------------------------
+    * Render form into parent container, values from record are written to fields
+    * @returns {HTMLElement} Element holding the form fields
+    */
+   Render() {
+      this._remove();
+
+      this.eForm = document.createElement('div');
+      this.eForm.dataset.table = this.oRecord.table;
+
+      // ## Create rows and fields ............................................
+      let eRow = null;
+      let bCols = false;
+      this._get_columns().forEach(oColumn => {
+         if( !oColumn.iCols || bCols === false ) {
+            eRow = this._create_row(oColumn);
+            this.eForm.appendChild(eRow);
+         }
+         bCols = !!oColumn.iCols;
+
+         eRow.appendChild(this._create_field(oColumn));
+      });
+
+      // ## Bind form and record ..............................................
+      this.eForm.addEventListener('input', this._fnInput);
+      this.eForm.addEventListener('change', this._fnInput);
+      this._fnRemoveListener = this.oRecord.AddListener(this._fnRecordListener);
+
+      this.eParent.appendChild(this.eForm);
+      this.WriteValues();
+
+      return this.eForm;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Write values from record to fields
+    */
+   WriteValues() {
+      this.mapField.forEach((oField, sName) => {
+         this._write_input(oField.eInput, oField.oColumn, this.oRecord.GetValue(sName));
+         this._mark_modified(sName);
+      });
+   }
+
+   /** -----------------------------------------------------------------------
+    * Read values from fields and set them in record
+    */
+   ReadValues() {
+      this.mapField.forEach((oField, sName) => { this._set_record_value(sName, this._read_input(oField.eInput, oField.oColumn)); });
+   }
+
+   /** -----------------------------------------------------------------------
+    * Validate record and show errors next to fields
+    * @returns {Object} Errors from DBRecord.Validate, empty object if valid
+    */
+   Validate() {
+      const oError = this.oRecord.Validate();
+      this.ShowErrors(oError);
+      return oError;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Show error messages next to fields
+    * @param {Object} oError - Errors for columns, { column: [messages] }
+    * @param {string} [sName] - Only replace errors for this column, if not set all errors are replaced
+    */
+   ShowErrors(oError, sName) {
+      if( !this.eForm ) { return; }
+      this.ClearErrors(sName);
+
+      for( const [sField, aError] of Object.entries(oError) ) {
+         const oField = this.mapField.get(sField);
+         if( !oField ) continue;
+
+         const eError = document.createElement('small');
+         eError.className = 'help-text error';
+         eError.dataset.error = sField;
+         eError.textContent = aError.join(', ');
+         oField.eInput.closest('label').appendChild(eError);
+      }
+   }
+
+   /** -----------------------------------------------------------------------
+    * Remove error messages
+    * @param {string} [sName] - Only remove errors for this column
+    */
+   ClearErrors(sName) {
+      if( !this.eForm ) { return; }
+      const sSelector = sName ? `[data-error="${sName}"]` : '[data-error]';
+      this.eForm.querySelectorAll(sSelector).forEach(eError => eError.remove());
+   }
+
+   /** -----------------------------------------------------------------------
+    * Get input element for column
+    * @param {string} sName - Column name
+    * @returns {HTMLElement|null} Input element or null if column is not in form
+    */
+   GetField(sName) { return this.mapField.get(sName)?.eInput ?? null; }
+
+   /** -----------------------------------------------------------------------
+    * Get the form element.
+    * @returns {HTMLElement|null} The form element or null if not rendered.
+    */
+   GetElement() { return this.eForm; }
+
+   /** -----------------------------------------------------------------------
+    * Destroy form, remove it from DOM and stop listening to record
+    */
+   Destroy() {
+      this._remove();
+      this.oRecord = null;
+      this.eParent = null;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Remove rendered form and listener in record
+    * @private
+    */
+   _remove() {
+      if( this._fnRemoveListener ) { this._fnRemoveListener(); this._fnRemoveListener = null; }
+      this.eForm?.parentNode?.removeChild(this.eForm);
+      this.eForm = null;
+      this.mapField.clear();
+   }
+
+   /** -----------------------------------------------------------------------
+    * Get columns to render, key columns and columns without label are skipped
+    * @returns {Array<Object>} Columns from record
+    * @private
+    */
+   _get_columns() {
+      const aName = this.oOptions.aColumns;
+      return this.oRecord.aColumn.filter(oColumn => {
+         if( aName ) { return aName.includes(oColumn.sName) && !oColumn.is_key(); }
+         return !oColumn.is_key() && oColumn.sLabel;
+      });
+   }
+
+   /** -----------------------------------------------------------------------
+    * Create row element for field, grid row if column has iCols
+    * @param {Object} oColumn - Column that starts row
+    * @returns {HTMLElement} Row element
+    * @private
+    */
+   _create_row(oColumn) {
+      const eRow = document.createElement('div');
+      eRow.className = 'grid-row';
+      if( typeof oColumn.iCols === 'number' && oColumn.iCols > 1 ) { eRow.classList.add(`cols-${oColumn.iCols}`); }
+      eRow.style.marginTop = '20px';
+      return eRow;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Create label with input element for column
+    * @param {Object} oColumn - Column to create field for
+    * @returns {HTMLElement} Label element with input and label text
+    * @private
+    */
+   _create_field(oColumn) {
+      let eInput;
+      const sType = UIForm._input_type(oColumn);
+
+      // ## Create input element based on type ................................
+      if( sType === 'select' ) {
+         eInput = document.createElement('select');
+         if( !oColumn.is_required() ) { eInput.appendChild(new Option('', '')); }
+         oColumn.aMatch.forEach(match_ => {
+            const bObject = match_ !== null && typeof match_ === 'object';
+            const value_ = bObject ? match_.value : match_;
+            eInput.appendChild(new Option(bObject ? (match_.text ?? value_) : value_, value_));
+         });
+      }
+      else if( sType === 'textarea' ) {
+         eInput = document.createElement('textarea');
+         eInput.rows = 3;
+      }
+      else {
+         eInput = document.createElement('input');
+         eInput.type = sType;
+      }
+
+      if( sType !== 'checkbox' && sType !== 'select' ) { eInput.placeholder = ' '; }
+      eInput.required = oColumn.is_required();
+      if( oColumn.iMaxLength > 0 && (sType === 'text' || sType === 'textarea' || sType === 'password') ) { eInput.maxLength = oColumn.iMaxLength; }
+      if( oColumn.sDescription ) { eInput.title = oColumn.sDescription; }
+      eInput.dataset.field = oColumn.sName;
+
+      // ## Create label, checkbox is placed before text .........................
+      const eLabel = document.createElement('label');
+      eLabel.className = sType === 'checkbox' ? 'checkbox' : 'floating';
+      if( oColumn.iSpan ) { eLabel.classList.add(`col-span-${oColumn.iSpan}`); }
+
+      const eSpan = document.createElement('span');
+      eSpan.textContent = oColumn.sLabel || oColumn.sName;
+
+      eLabel.appendChild(eInput);
+      eLabel.appendChild(eSpan);
+
+      this.mapField.set(oColumn.sName, { eInput, oColumn });
+      this._get_callback_result('field', { oColumn, eInput, eLabel });
+
+      return eLabel;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Handle edits in form, value is set in record
+    * @private
+    */
+   _on_input(e_) {
+      const sName = e_.target.dataset.field;
+      const oField = this.mapField.get(sName);
+      if( !oField || oField.eInput !== e_.target ) return;
+
+      const value_ = this._read_input(oField.eInput, oField.oColumn);
+      this._set_record_value(sName, value_);
+      this._mark_modified(sName);
+
+      if( this.oOptions.bValidate ) { this.ShowErrors(this.oRecord.Validate(sName), sName); }
+
+      this._get_callback_result('change', { sName, value_ });
+   }
+
+   /** -----------------------------------------------------------------------
+    * Handle events from record, values set in record are shown in form
+    * @private
+    */
+   _on_record(sEvent, oData) {
+      if( sEvent === 'change' ) {
+         if( this._bWriting ) return;                                         // value is from form
+         const oField = this.mapField.get(oData.sName);
+         if( oField ) { this._write_input(oField.eInput, oField.oColumn, this.oRecord.GetValue(oData.sName)); }
+         this._mark_modified(oData.sName);
+      }
+      else if( sEvent === 'clear' || sEvent === 'revert' || sEvent === 'snapshot' ) {
+         if( sEvent !== 'snapshot' ) { this.WriteValues(); }
+         else { this.mapField.forEach((oField, sName) => this._mark_modified(sName)); }
+         if( sEvent === 'clear' ) { this.ClearErrors(); }
+      }
+   }
+
+   // Set value in record without writing it back to form --------------------
+   _set_record_value(sName, value_) {
+      this._bWriting = true;
+      try { this.oRecord.SetValue(sName, value_); }
+      finally { this._bWriting = false; }
+   }
+
+   // Mark field if value differs from original value in record ---------------
+   _mark_modified(sName) {
+      const oField = this.mapField.get(sName);
+      if( !oField || !this.oOptions.bMarkModified ) return;
+      oField.eInput.classList.toggle('modified', this.oRecord.IsDirty(sName));
+   }
+
+   /** -----------------------------------------------------------------------
+    * Read value from input element converted for record
+    * @private
+    */
+   _read_input(eInput, oColumn) {
+      if( eInput.type === 'checkbox' ) { return eInput.checked ? 1 : 0; }
+      const sValue = eInput.value;
+      if( sValue === '' ) { return null; }
+      if( eInput.type === 'number' ) { return isNaN(Number(sValue)) ? sValue : Number(sValue); }
+      if( eInput.type === 'datetime-local' ) { return sValue.replace('T', ' '); }
+      return sValue;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Write record value to input element, converted to format used by input
+    * @private
+    */
+   _write_input(eInput, oColumn, value_) {
+      if( eInput.type === 'checkbox' ) {
+         eInput.checked = value_ === true || value_ === 1 || value_ === '1' || String(value_).toLowerCase() === 'true';
+         return;
+      }
+
+      let sValue = value_ === null || value_ === undefined ? '' : String(value_);
+      if( sValue !== '' && eInput.type === 'datetime-local' ) { sValue = sValue.replace(' ', 'T').slice(0, 16); }
+      else if( sValue !== '' && eInput.type === 'date' ) { sValue = sValue.slice(0, 10); }
+      eInput.value = sValue;
+   }
+
+   // Helper to safely call the callback
+   _get_callback_result(command, data) {
+      if(!this.oOptions.fnCallback) return undefined;                         // return early if no callback provided
+      return this.oOptions.fnCallback(command, data);
+   }
+
+   /** -----------------------------------------------------------------------
+    * Get input type for column
+    * @param {Object} oColumn - Column
+    * @returns {string} "select", "textarea" or type for input element
+    * @private
+    */
+   static _input_type(oColumn) {
+      if( Array.isArray(oColumn.aMatch) && oColumn.aMatch.length > 0 ) { return 'select'; }
+      if( oColumn.sInput ) { return oColumn.sInput; }
+
+      switch( oColumn.sType ) {
+         case 'text': return 'textarea';
+         case 'boolean': return 'checkbox';
+         case 'date': return 'date';
+         case 'datetime': return 'datetime-local';
+         case 'number': case 'integer': case 'decimal': return 'number';
+      }
+      return 'text';
+   }
+}
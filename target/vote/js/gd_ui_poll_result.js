@@ -0,0 +1,334 @@
+// @FILE [tag: poll, chart] [description: Results for poll with votes counted per question and answer and drawn as charts] [name: gd_ui_poll_result.js]
+
+/**
+ * UIPollResult - Shows results for poll, one chart for each question.
+ *
+ * Votes in TPollVote are counted per question and answer. Chart type is selected from
+ * `TPoll.ChartC`, codes are matched against `UIPollResult.oChart_s` or codes read from TCode
+ * group 10604 (TPoll.ChartC) with `UIPollResult.LoadChart`. Free text questions
+ * show number of text answers. While poll is open results can be refreshed with a timer.
+ *
+ * **Quick Start:**
+ * ```javascript
+ * Promise.all([UIPollResult.Load(sPollKey), UIPollResult.LoadChart(), Ballot.LoadType()]).then(([oData, oChart, oType]) => {
+ *    const uiResult = new UIPollResult(document.getElementById("idResult"), oData, { oChart, oType, iRefresh: 10000 });
+ *    uiResult.Render();
+ *    uiResult.StartRefresh();                    // stops by itself when poll is closed
+ * });
+ * ```
+ *
+ * **Dependencies:** gd_db_client.js, gd_poll_ballot.js, gd_ui_poll_runner.js (Load) and gd_ui_chart.js
+ *
+ * @param {HTMLElement|string} parent_ - The parent container element or selector.
+ * @param {Object} oData - Poll data from `UIPollResult.Load`, { oPoll, aQuestion, aAnswer, aCount, iBallot }.
+ * @param {Object} [options_={}] - Configuration options.
+ * @param {string} [options_.sChart] - Chart type for all questions, if not set type is read from ChartC.
+ * @param {Object} [options_.oChart] - Codes for chart types, { iBar, iPie, iStacked }.
+ * @param {Object} [options_.oType] - Codes for question types, same as for Ballot.
+ * @param {number} [options_.iRefresh=0] - Milliseconds between refresh while poll is open, 0 = no refresh.
+ * @param {Object} [options_.oChartOptions] - Options passed to UIChart, e.g. { bPercent: false }.
+ * @param {Function} [options_.fnCallback] - Callback for customization: (sCommand, oData) => any.
+ *   Commands:
+ *   - "question": Result for question is created. oData: { oResult, eQuestion }
+ *   - "refresh": Counts are read again. oData: { aResult, iBallot }
+ *   - "error": Refresh failed. oData: { error_ }
+ */
+class UIPollResult {
+   static oChart_s = { iBar: 1, iPie: 2, iStacked: 3 };                       // ChartC codes, same as FId in TCode group 10604, used if codes are not loaded
+   static iChartGroup_s = 10604;                                              // TCodeGroup for TPoll.ChartC
+   static aChart_s = ["bar", "pie", "stacked"];                               // chart types, FSystemName in TCode group 10604
+
+   constructor(parent_, oData, options_ = {}) {
+      // ## Resolve parent element ............................................
+      const eParent = typeof parent_ === "string"
+         ? document.querySelector(parent_) ?? document.getElementById(parent_)
+         : parent_;
+
+      if(!eParent) { throw new Error('UIPollResult: Parent element not found'); }
+      if( !oData || !oData.oPoll ) { throw new Error('UIPollResult: Poll data is missing'); }
+
+      this.eParent = eParent;
+      this.oPoll = oData.oPoll;
+      this.aQuestion = oData.aQuestion ?? [];
+      this.aAnswer = oData.aAnswer ?? [];
+      this.aCount = oData.aCount ?? [];
+      this.iBallot = oData.iBallot ?? 0;
+
+      // ## Apply options with defaults .......................................
+      this.oOptions = Object.assign({ sChart: null, oChart: null, oType: null, iRefresh: 0, oChartOptions: null, fnCallback: null }, options_);
+      this.oChart = Object.assign({}, UIPollResult.oChart_s, this.oOptions.oChart);
+      this.oType = Object.assign({}, Ballot.oType_s, this.oOptions.oType);
+
+      this.eResult = null;                                                    // element with all results
+      this.mapChart = new Map();                                              // question key -> UIChart, only choice questions
+      this.iRefreshId = null;                                                 // timer for refresh
+   }
+
+   /** -----------------------------------------------------------------------
+    * Load poll with questions, answers and vote counts
+    * @param {string} sPollKey - Key for poll as hex string
+    * @param {Object} [oRequest] - Request settings passed to gd.SendToServer
+    * @returns {Promise<Object>} Poll data as { oPoll, aSection, aQuestion, aAnswer, aCount, iBallot }
+    */
+   static Load(sPollKey, oRequest) {
+      return Promise.all([UIPollRunner.Load(sPollKey, oRequest), UIPollResult.LoadCount(sPollKey, oRequest)])
+      .then(([oData, oCount]) => Object.assign(oData, oCount));
+   }
+
+   /** -----------------------------------------------------------------------
+    * Load codes for chart types from TCode, FId is value in ChartC and FSystemName is chart type
+    * @param {Object} [oRequest] - Request settings passed to gd.SendToServer
+    * @returns {Promise<Object>} Codes as { iBar, iPie, iStacked }
+    */
+   static LoadChart(oRequest) {
+      const sSelect = "SELECT FId, FSystemName FROM TCode WHERE CodeGroupK = {=group} AND FDeleted = 0";
+      return gd.db.Select(sSelect, { group: UIPollResult.iChartGroup_s }, oRequest).then(oResult => UIPollResult.ReadChart(oResult.AsObjects()));
+   }
+
+   /** -----------------------------------------------------------------------
+    * Read codes for chart types from code rows, chart types without code keep code in oChart_s
+    * @param {Array<Object>} aCode - Codes, { FId, FSystemName }
+    * @returns {Object} Codes as { iBar, iPie, iStacked }
+    */
+   static ReadChart(aCode) {
+      const oChart = Object.assign({}, UIPollResult.oChart_s);
+      aCode.forEach(oCode => {
+         const sChart = String(oCode.FSystemName ?? "").trim();
+         const iId = Number(oCode.FId);
+         if( !UIPollResult.aChart_s.includes(sChart) || oCode.FId === null || oCode.FId === "" || isNaN(iId) ) return;
+         oChart["i" + sChart.charAt(0).toUpperCase() + sChart.slice(1)] = iId;   // "pie" -> iPie
+      });
+      return oChart;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Load number of votes for each answer and number of ballots in poll
+    *
+    * Free text votes are counted with empty answer key.
+    *
+    * @param {string} sPollKey - Key for poll as hex string
+    * @param {Object} [oRequest] - Request settings passed to gd.SendToServer
+    * @returns {Promise<Object>} Counts as { aCount: [{ PollQuestionK, PollAnswerK, vote_count }], iBallot }
+    */
+   static LoadCount(sPollKey, oRequest) {
+      const oValues = { poll: sPollKey };
+      const sCount = "SELECT hex(PollQuestionK) PollQuestionK, hex(PollAnswerK) PollAnswerK, COUNT(*) vote_count FROM TPollVote WHERE PollK = x{poll} GROUP BY PollQuestionK, PollAnswerK";
+      const sBallot = "SELECT COUNT(DISTINCT BallotK) ballot_count FROM TPollVote WHERE PollK = x{poll}";
+
+      return Promise.all([gd.db.Select(sCount, oValues, oRequest), gd.db.Select(sBallot, oValues, oRequest)])
+      .then(([oCount, oBallot]) => ({ aCount: oCount.AsObjects(), iBallot: Number(oBallot.GetValue(0, "ballot_count")) || 0 }));
+   }
+
+   /** -----------------------------------------------------------------------
+    * Count votes per question and answer
+    *
+    * Answers without votes are included with count 0. Percent is share of votes for
+    * question, for multiple choice questions percentages add up to 100 for all selections.
+    *
+    * @param {Array<Object>} aQuestion - Questions in poll
+    * @param {Array<Object>} aAnswer - Answers in poll
+    * @param {Array<Object>} aCount - Counts from `LoadCount`
+    * @param {Object} [oType=Ballot.oType_s] - Codes for question types
+    * @returns {Array<Object>} One result for each question, { oQuestion, sType, iTotal, iText, aAnswer: [{ oAnswer, iCount, dPercent }] }
+    */
+   static Aggregate(aQuestion, aAnswer, aCount, oType = Ballot.oType_s) {
+      const mapCount = new Map();                                             // "question:answer" -> count
+      aCount.forEach(oCount => mapCount.set(`${oCount.PollQuestionK}:${oCount.PollAnswerK ?? ""}`, Number(oCount.vote_count) || 0));
+
+      return aQuestion.map(oQuestion => {
+         const sQuestionKey = oQuestion.PollQuestionK;
+         const aResultAnswer = aAnswer.filter(oAnswer => oAnswer.PollQuestionK === sQuestionKey)
+            .map(oAnswer => ({ oAnswer, iCount: mapCount.get(`${sQuestionKey}:${oAnswer.PollAnswerK}`) ?? 0, dPercent: 0 }));
+
+         const iTotal = aResultAnswer.reduce((iSum, oResult) => iSum + oResult.iCount, 0);
+         aResultAnswer.forEach(oResult => { oResult.dPercent = iTotal > 0 ? oResult.iCount * 100 / iTotal : 0; });
+
+         return { oQuestion, sType: Ballot.GetType(oQuestion, oType), iTotal, iText: mapCount.get(`${sQuestionKey}:`) ?? 0, aAnswer: aResultAnswer };
+      });
+   }
+
+   /** -----------------------------------------------------------------------
+    * Get chart type for poll
+    * @param {Object} oPoll - Poll with ChartC
+    * @param {Object} [oChart=UIPollResult.oChart_s] - Codes for chart types
+    * @returns {string} "bar", "pie" or "stacked", "bar" if ChartC is not set or unknown
+    */
+   static GetChartType(oPoll, oChart = UIPollResult.oChart_s) {
+      const iChart = Number(oPoll?.ChartC);
+      if( iChart === oChart.iPie ) { return "pie"; }
+      if( iChart === oChart.iStacked ) { return "stacked"; }
+      return "bar";
+   }
+
+   /** -----------------------------------------------------------------------
+    * Render results into parent container
+    * @returns {HTMLElement} Element holding the results
+    */
+   Render() {
+      this._remove();
+
+      this.eResult = document.createElement('div');
+      this.eResult.className = 'poll-result';
+      this.eResult.dataset.poll = this.oPoll.PollK;
+
+      // ## Poll header with number of ballots ..................................
+      const eHeader = document.createElement('header');
+      eHeader.appendChild(this._create_text('h2', this.oPoll.FHeader || this.oPoll.FName || ""));
+      const eBallot = this._create_text('p', "", 'poll-description');
+      eBallot.dataset.ballot = "";
+      eHeader.appendChild(eBallot);
+      this.eResult.appendChild(eHeader);
+
+      const sChart = this.oOptions.sChart ?? UIPollResult.GetChartType(this.oPoll, this.oChart);
+      UIPollResult.Aggregate(this.aQuestion, this.aAnswer, this.aCount, this.oType).forEach(oResult => {
+         this.eResult.appendChild(this._create_question(oResult, sChart));
+      });
+
+      this._update_ballot();
+      this.eParent.appendChild(this.eResult);
+      return this.eResult;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Read vote counts again and draw charts with new values
+    * @returns {Promise<Array<Object>>} Results from `Aggregate`
+    */
+   Refresh() {
+      return UIPollResult.LoadCount(this.oPoll.PollK, { sCancelKey: `poll-result-${this.oPoll.PollK}` }).then(oCount => {
+         this.aCount = oCount.aCount;
+         this.iBallot = oCount.iBallot;
+
+         const aResult = UIPollResult.Aggregate(this.aQuestion, this.aAnswer, this.aCount, this.oType);
+         if( this.eResult ) {
+            aResult.forEach(oResult => this._update_question(oResult));
+            this._update_ballot();
+         }
+
+         this._get_callback_result('refresh', { aResult, iBallot: this.iBallot });
+         return aResult;
+      });
+   }
+
+   /** -----------------------------------------------------------------------
+    * Refresh results with interval from iRefresh while poll is open. Timer is also started
+    * for poll that has not started, results are refreshed when poll opens. When poll has
+    * ended results are refreshed one last time and timer is stopped.
+    * @param {number} [iRefresh] - Milliseconds between refresh, default is iRefresh in options
+    */
+   StartRefresh(iRefresh = this.oOptions.iRefresh) {
+      this.StopRefresh();
+      if( !(iRefresh > 0) || Ballot.IsOpen(this.oPoll).sReason === "end" ) { return; }
+
+      this.iRefreshId = setInterval(() => {
+         const sReason = Ballot.IsOpen(this.oPoll).sReason;
+         if( sReason === "begin" ) { return; }                                // no votes before poll starts
+         if( sReason === "end" ) { this.StopRefresh(); }                      // last refresh, votes cast before poll was closed
+         this.Refresh().catch(error_ => {
+            if( gd.IsCancelled(error_) ) return;
+            this._get_callback_result('error', { error_ });
+         });
+      }, iRefresh);
+   }
+
+   /** -----------------------------------------------------------------------
+    * Stop refresh timer
+    */
+   StopRefresh() {
+      if( this.iRefreshId !== null ) { clearInterval(this.iRefreshId); this.iRefreshId = null; }
+   }
+
+   /** -----------------------------------------------------------------------
+    * Check if results are refreshed with timer
+    * @returns {boolean} True if refresh timer is active
+    */
+   IsRefreshing() { return this.iRefreshId !== null; }
+
+   /** -----------------------------------------------------------------------
+    * Get the result element.
+    * @returns {HTMLElement|null} The result element or null if not rendered.
+    */
+   GetElement() { return this.eResult; }
+
+   /** -----------------------------------------------------------------------
+    * Destroy results, stop refresh and remove from DOM
+    */
+   Destroy() {
+      this.StopRefresh();
+      this._remove();
+      this.eParent = null;
+   }
+
+   // Remove rendered results ---------------------------------------------------
+   _remove() {
+      this.mapChart.forEach(uiChart => uiChart.Destroy());
+      this.mapChart.clear();
+      this.eResult?.parentNode?.removeChild(this.eResult);
+      this.eResult = null;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Create result for question, chart for choice questions and count for free text
+    * @param {Object} oResult - Result for question from Aggregate
+    * @param {string} sChart - Chart type
+    * @returns {HTMLElement} Element with result for question
+    * @private
+    */
+   _create_question(oResult, sChart) {
+      const eQuestion = document.createElement('section');
+      eQuestion.className = 'poll-question';
+      eQuestion.dataset.question = oResult.oQuestion.PollQuestionK;
+
+      eQuestion.appendChild(this._create_text('h3', oResult.oQuestion.FName || ""));
+      const eTotal = this._create_text('small', "", 'help-text');
+      eTotal.dataset.total = "";
+      eQuestion.appendChild(eTotal);
+
+      if( oResult.sType !== "text" ) {
+         const eChart = document.createElement('div');
+         eChart.className = 'poll-chart';
+         eQuestion.appendChild(eChart);
+
+         this.mapChart.set(oResult.oQuestion.PollQuestionK, new UIChart(eChart, Object.assign({ sType: sChart, sTitle: oResult.oQuestion.FName || "" }, this.oOptions.oChartOptions)));
+      }
+
+      this._update_question(oResult, eQuestion);
+      this._get_callback_result('question', { oResult, eQuestion });
+      return eQuestion;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Write counts for question to total text and chart
+    * @private
+    */
+   _update_question(oResult, eQuestion) {
+      const sQuestionKey = oResult.oQuestion.PollQuestionK;
+      eQuestion = eQuestion ?? this.eResult.querySelector(`[data-question="${sQuestionKey}"]`);
+      if( !eQuestion ) return;
+
+      eQuestion.querySelector('[data-total]').textContent = oResult.sType === "text"
+         ? `${oResult.iText} text answers`
+         : `${oResult.iTotal} votes`;
+
+      this.mapChart.get(sQuestionKey)?.Render(oResult.aAnswer.map(oAnswer => ({ sLabel: oAnswer.oAnswer.FName || "", dValue: oAnswer.iCount })));
+   }
+
+   // Write number of ballots in header --------------------------------------------
+   _update_ballot() {
+      const eBallot = this.eResult?.querySelector('[data-ballot]');
+      if( eBallot ) { eBallot.textContent = `${this.iBallot} ballots`; }
+   }
+
+   // Create element with text --------------------------------------------------
+   _create_text(sTag, sText, sClass) {
+      const eText = document.createElement(sTag);
+      if( sClass ) { eText.className = sClass; }
+      eText.textContent = sText;
+      return eText;
+   }
+
+   // Helper to safely call the callback
+   _get_callback_result(command, data) {
+      if(!this.oOptions.fnCallback) return undefined;                         // return early if no callback provided
+      return this.oOptions.fnCallback(command, data);
+   }
+}
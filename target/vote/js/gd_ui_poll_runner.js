@@ -0,0 +1,345 @@
+// @FILE [tag: poll] [description: Poll runner where voter answers questions in poll and submits ballot] [name: gd_ui_poll_runner.js]
+
+/**
+ * UIPollRunner - Renders poll for voter and submits ballot with selected answers.
+ *
+ * Poll is loaded with sections, questions and answers from database. Sections are ordered
+ * by `FIndex`, questions and answers by `FOrder`. Each question is rendered based on its
+ * `TypeC`, single choice is shown as radio buttons, multiple choice as checkboxes and free
+ * text as textarea.
+ *
+ * **Quick Start:**
+ * ```javascript
+ * UIPollRunner.Load(sPollKey).then(oData => {
+ *    const uiRunner = new UIPollRunner(document.getElementById("idPoll"), oData);
+ *    uiRunner.Render();
+ *
+ *    // later, when voter clicks send
+ *    uiRunner.Submit().then(() => console.log("Ballot sent")).catch(error_ => console.log(error_.message));
+ * });
+ * ```
+ *
+ * **Poll Window:**
+ * Ballots are only accepted between `FBegin` and `FEnd` in TPoll, empty value means that
+ * poll has no limit in that direction. `Submit` checks the window before anything is sent
+ * and the statement that stores ballot checks it again, ballots sent after poll is closed
+ * are refused by database.
+ *
+ * **Ballot:**
+ * Answers selected in form are collected in a `Ballot` (gd_poll_ballot.js), ballot validates
+ * answers and stores them as votes. Question types are read with `Ballot.GetType`, pass
+ * `oType` in options if codes in database differ from `Ballot.oType_s`. `Load` and `Submit`
+ * reject with `BallotError` so page can show text for `sCode` to voter.
+ *
+ * @param {HTMLElement|string} parent_ - The parent container element or selector.
+ * @param {Object} oData - Poll data from `UIPollRunner.Load`, { oPoll, aSection, aQuestion, aAnswer }.
+ * @param {Object} [options_={}] - Configuration options.
+ * @param {Object} [options_.oType] - Codes for question types, { iSingle, iMultiple, iText }.
+ * @param {boolean} [options_.bRequired=true] - Choice questions need at least one selected answer.
+ * @param {string} [options_.sVoterKey] - Key for voter as hex string, if not set ballot is anonymous.
+ * @param {Object} [options_.oText] - Texts shown to voter, `label` for free text and messages from `Ballot.Validate`.
+ * @param {Function} [options_.fnSubmit] - Send ballot to server: (oBallot) => Promise. Default is `oBallot.Submit()`.
+ * @param {Function} [options_.fnCallback] - Callback for customization: (sCommand, oData) => any.
+ *   Commands:
+ *   - "question": Question is created. oData: { oQuestion, eQuestion }
+ *   - "change": Voter changed answer. oData: { sQuestionKey }
+ *   - "submit": Ballot is about to be sent, return false to stop. oData: { oBallot }
+ *   - "submitted": Ballot is sent. oData: { oBallot, oResult }
+ */
+class UIPollRunner {
+
+   constructor(parent_, oData, options_ = {}) {
+      // ## Resolve parent element ............................................
+      const eParent = typeof parent_ === "string"
+         ? document.querySelector(parent_) ?? document.getElementById(parent_)
+         : parent_;
+
+      if(!eParent) { throw new Error('UIPollRunner: Parent element not found'); }
+      if( typeof Ballot === "undefined" ) { throw new Error('UIPollRunner: Ballot is required, include gd_poll_ballot.js'); }
+      if( !oData || !oData.oPoll ) { throw new Error('UIPollRunner: Poll data is missing'); }
+
+      this.eParent = eParent;
+      this.oPoll = oData.oPoll;
+      this.aSection = oData.aSection ?? [];
+      this.aQuestion = oData.aQuestion ?? [];
+      this.aAnswer = oData.aAnswer ?? [];
+
+      // ## Apply options with defaults .......................................
+      this.oOptions = Object.assign({ oType: null, bRequired: true, sVoterKey: null, oText: null, fnSubmit: null, fnCallback: null }, options_);
+      this.oType = Object.assign({}, Ballot.oType_s, this.oOptions.oType);
+      this.oText = Object.assign({ label: "Answer" }, this.oOptions.oText);
+
+      this.eRunner = null;                                                    // element with all sections
+      this.mapQuestion = new Map();                                           // question key -> { oQuestion, eQuestion, sType }
+      this.bSubmitting = false;                                               // true while ballot is sent
+
+      this._fnInput = (e_) => this._on_input(e_);
+   }
+
+   /** -----------------------------------------------------------------------
+    * Load poll with sections, questions and answers from database
+    *
+    * Keys are returned as hex strings. Poll that is deleted or not found is rejected with code "not-found".
+    *
+    * @param {string} sPollKey - Key for poll as hex string
+    * @param {Object} [oRequest] - Request settings passed to gd.SendToServer
+    * @returns {Promise<Object>} Poll data as { oPoll, aSection, aQuestion, aAnswer }
+    */
+   static Load(sPollKey, oRequest) {
+      const oValues = { poll: sPollKey };
+      const sPoll = "SELECT hex(PollK) PollK, TypeC, StateC, ChartC, FName, FHeader, FDescription, FBegin, FEnd, FRate, FWeight, FUseTie FROM TPoll WHERE PollK = x{poll} AND COALESCE(FDeleted, 0) = 0";
+      const sSection = "SELECT hex(PollSectionK) PollSectionK, FIndex, FDescription FROM TPollSection WHERE PollK = x{poll} ORDER BY FIndex";
+      const sQuestion = "SELECT hex(PollQuestionK) PollQuestionK, hex(PollSectionK) PollSectionK, TypeC, FName, FLabel, FDescription, FWeight, FOrder FROM TPollQuestion WHERE PollK = x{poll} ORDER BY FOrder";
+      const sAnswer = "SELECT hex(PollAnswerK) PollAnswerK, hex(PollQuestionK) PollQuestionK, TypeC, FName, FLabel, FDescription, FWeight, FScore, FOrder FROM TPollAnswer WHERE PollK = x{poll} ORDER BY FOrder";
+
+      return Promise.all([
+         gd.db.Select(sPoll, oValues, oRequest),
+         gd.db.Select(sSection, oValues, oRequest),
+         gd.db.Select(sQuestion, oValues, oRequest),
+         gd.db.Select(sAnswer, oValues, oRequest)
+      ]).then(([oPoll, oSection, oQuestion, oAnswer]) => {
+         if( oPoll.iCount === 0 ) { throw new BallotError(`UIPollRunner: Poll ${sPollKey} not found`, { sCode: "not-found" }); }
+         return { oPoll: oPoll.AsObjects()[0], aSection: oSection.AsObjects(), aQuestion: oQuestion.AsObjects(), aAnswer: oAnswer.AsObjects() };
+      });
+   }
+
+   /** -----------------------------------------------------------------------
+    * Render poll into parent container
+    * @returns {HTMLElement} Element holding the poll
+    */
+   Render() {
+      this._remove();
+
+      this.eRunner = document.createElement('div');
+      this.eRunner.className = 'poll-runner';
+      this.eRunner.dataset.poll = this.oPoll.PollK;
+
+      // ## Poll header ........................................................
+      const eHeader = document.createElement('header');
+      const eTitle = document.createElement('h2');
+      eTitle.textContent = this.oPoll.FHeader || this.oPoll.FName || "";
+      eHeader.appendChild(eTitle);
+      if( this.oPoll.FDescription ) { eHeader.appendChild(this._create_text('p', this.oPoll.FDescription, 'poll-description')); }
+      this.eRunner.appendChild(eHeader);
+
+      // ## Sections with questions, questions without section are placed first
+      const mapSection = new Map([["", []]]);
+      this.aSection.forEach(oSection => mapSection.set(oSection.PollSectionK, []));
+      this.aQuestion.forEach(oQuestion => {
+         const sSection = mapSection.has(oQuestion.PollSectionK || "") ? (oQuestion.PollSectionK || "") : "";
+         mapSection.get(sSection).push(oQuestion);
+      });
+
+      mapSection.forEach((aQuestion, sSection) => {
+         if( aQuestion.length === 0 ) return;
+         const oSection = this.aSection.find(oSection => oSection.PollSectionK === sSection) ?? null;
+         this.eRunner.appendChild(this._create_section(oSection, aQuestion));
+      });
+
+      this.eRunner.addEventListener('change', this._fnInput);
+      this.eRunner.addEventListener('input', this._fnInput);
+
+      this.eParent.appendChild(this.eRunner);
+      return this.eRunner;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Get ballot with answers selected by voter
+    * @returns {Ballot} Ballot with selected answers and free text
+    */
+   GetBallot() {
+      const oBallot = new Ballot({ oPoll: this.oPoll, aQuestion: this.aQuestion, aAnswer: this.aAnswer }, { oType: this.oType, bRequired: this.oOptions.bRequired, sVoterKey: this.oOptions.sVoterKey, oText: this.oText });
+
+      this.mapQuestion.forEach((oItem, sQuestionKey) => {
+         if( oItem.sType === "text" ) {
+            oBallot.SetText(sQuestionKey, oItem.eQuestion.querySelector('textarea').value);
+            return;
+         }
+
+         oItem.eQuestion.querySelectorAll('input').forEach(eInput => {
+            if( eInput.checked ) { oBallot.Select(sQuestionKey, eInput.value); }
+         });
+      });
+
+      return oBallot;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Validate answers and show errors next to questions
+    * @returns {Object} Errors from Ballot.Validate, { questionKey: [messages] }, empty object if valid
+    */
+   Validate() {
+      const oError = this.GetBallot().Validate();
+      this.ShowErrors(oError);
+      return oError;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Show error messages next to questions
+    * @param {Object} oError - Errors for questions, { questionKey: [messages] }
+    */
+   ShowErrors(oError) {
+      if( !this.eRunner ) { return; }
+      this.eRunner.querySelectorAll('[data-error]').forEach(eError => eError.remove());
+
+      for( const [sQuestionKey, aError] of Object.entries(oError) ) {
+         const oItem = this.mapQuestion.get(sQuestionKey);
+         if( !oItem ) continue;
+
+         const eError = this._create_text('small', aError.join(', '), 'help-text error');
+         eError.dataset.error = sQuestionKey;
+         oItem.eQuestion.appendChild(eError);
+      }
+   }
+
+   /** -----------------------------------------------------------------------
+    * Validate and send ballot, ballots outside poll window are refused
+    * @returns {Promise<Object|null>} Result from fnSubmit or `Ballot.Submit`, null if stopped in callback
+    */
+   Submit() {
+      if( this.bSubmitting ) { return Promise.reject(new BallotError('UIPollRunner: Ballot is already being sent', { sCode: "busy" })); }
+
+      const oOpen = Ballot.IsOpen(this.oPoll);
+      if( !oOpen.bOpen ) { return Promise.reject(BallotError.FromOpen(oOpen, "UIPollRunner")); }
+
+      if( Object.keys(this.Validate()).length > 0 ) { return Promise.reject(new BallotError('UIPollRunner: Answer all questions', { sCode: "invalid" })); }
+
+      const oBallot = this.GetBallot();
+      if( this._get_callback_result('submit', { oBallot }) === false ) { return Promise.resolve(null); }
+
+      const fnSubmit = this.oOptions.fnSubmit ?? ((oBallot) => oBallot.Submit());
+      this.bSubmitting = true;
+      return Promise.resolve().then(() => fnSubmit(oBallot)).then(oResult => {
+         this._get_callback_result('submitted', { oBallot, oResult });
+         return oResult;
+      }).finally(() => { this.bSubmitting = false; });
+   }
+
+   /** -----------------------------------------------------------------------
+    * Get the runner element.
+    * @returns {HTMLElement|null} The runner element or null if not rendered.
+    */
+   GetElement() { return this.eRunner; }
+
+   /** -----------------------------------------------------------------------
+    * Destroy runner and remove it from DOM
+    */
+   Destroy() {
+      this._remove();
+      this.eParent = null;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Remove rendered poll
+    * @private
+    */
+   _remove() {
+      if( this.eRunner ) {
+         this.eRunner.removeEventListener('change', this._fnInput);
+         this.eRunner.removeEventListener('input', this._fnInput);
+      }
+      this.eRunner?.parentNode?.removeChild(this.eRunner);
+      this.eRunner = null;
+      this.mapQuestion.clear();
+   }
+
+   /** -----------------------------------------------------------------------
+    * Create section element with questions
+    * @param {Object|null} oSection - Section, null for questions without section
+    * @param {Array<Object>} aQuestion - Questions in section
+    * @returns {HTMLElement} Section element
+    * @private
+    */
+   _create_section(oSection, aQuestion) {
+      const eSection = document.createElement('section');
+      eSection.className = 'poll-section';
+      if( oSection ) {
+         eSection.dataset.pollSection = oSection.PollSectionK;
+         if( oSection.FDescription ) { eSection.appendChild(this._create_text('h3', oSection.FDescription)); }
+      }
+
+      aQuestion.forEach(oQuestion => eSection.appendChild(this._create_question(oQuestion)));
+      return eSection;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Create question with answers, input depends on question type
+    * @param {Object} oQuestion - Question
+    * @returns {HTMLElement} Fieldset for question
+    * @private
+    */
+   _create_question(oQuestion) {
+      const sQuestionKey = oQuestion.PollQuestionK;
+      const sType = Ballot.GetType(oQuestion, this.oType);
+
+      const eQuestion = document.createElement('fieldset');
+      eQuestion.className = 'poll-question';
+      eQuestion.dataset.question = sQuestionKey;
+      eQuestion.dataset.type = sType;
+
+      eQuestion.appendChild(this._create_text('legend', oQuestion.FName || ""));
+      if( oQuestion.FDescription ) { eQuestion.appendChild(this._create_text('p', oQuestion.FDescription, 'poll-description')); }
+
+      // ## Free text, label for question is used as label for textarea .......
+      if( sType === "text" ) {
+         const eLabel = document.createElement('label');
+         eLabel.className = 'floating';
+         const eText = document.createElement('textarea');
+         eText.rows = 3;
+         eText.placeholder = ' ';
+         eText.maxLength = Ballot.iMaxText_s;
+         eLabel.appendChild(eText);
+         eLabel.appendChild(this._create_text('span', oQuestion.FLabel || this.oText.label));
+         eQuestion.appendChild(eLabel);
+      }
+      // ## Single or multiple choice ...........................................
+      else {
+         if( oQuestion.FLabel ) { eQuestion.appendChild(this._create_text('small', oQuestion.FLabel, 'help-text')); }
+         this.aAnswer.filter(oAnswer => oAnswer.PollQuestionK === sQuestionKey).forEach(oAnswer => {
+            const eLabel = document.createElement('label');
+            eLabel.className = 'checkbox';
+            const eInput = document.createElement('input');
+            eInput.type = sType === "multiple" ? 'checkbox' : 'radio';
+            eInput.name = `question-${sQuestionKey}`;
+            eInput.value = oAnswer.PollAnswerK;
+            if( oAnswer.FDescription ) { eLabel.title = oAnswer.FDescription; }
+            eLabel.appendChild(eInput);
+            eLabel.appendChild(this._create_text('span', oAnswer.FName || ""));
+            eQuestion.appendChild(eLabel);
+         });
+      }
+
+      this.mapQuestion.set(sQuestionKey, { oQuestion, eQuestion, sType });
+      this._get_callback_result('question', { oQuestion, eQuestion });
+
+      return eQuestion;
+   }
+
+   // Create element with text --------------------------------------------------
+   _create_text(sTag, sText, sClass) {
+      const eText = document.createElement(sTag);
+      if( sClass ) { eText.className = sClass; }
+      eText.textContent = sText;
+      return eText;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Handle changes in answers, errors for question are removed
+    * @private
+    */
+   _on_input(e_) {
+      const eQuestion = e_.target.closest('[data-question]');
+      if( !eQuestion ) return;
+
+      const sQuestionKey = eQuestion.dataset.question;
+      eQuestion.querySelectorAll('[data-error]').forEach(eError => eError.remove());
+      this._get_callback_result('change', { sQuestionKey });
+   }
+
+   // Helper to safely call the callback
+   _get_callback_result(command, data) {
+      if(!this.oOptions.fnCallback) return undefined;                         // return early if no callback provided
+      return this.oOptions.fnCallback(command, data);
+   }
+
+}
@@ -16,6 +16,18 @@
  * });
  *
  * uiTable.Render();
+ *
+ * // Sort by name, rows with same name sorted by age descending. Same as click on
+ * // "Name" and shift-click twice on "Age"
+ * uiTable.SetSortKeys([{ iColumn: 0 }, { iColumn: 1, bDescending: true }]);
+ *
+ * // Paging with rows loaded from server, page is fetched when page is changed
+ * const uiPaged = new UITableLite(eResult, new Table(), {
+ *    iPageSize: 20,
+ *    fnProvider: (oPage) => gd.db.SelectPage(sSelect, null, { iLimit: oPage.iPageSize, iOffset: oPage.iOffset, aOrder: oPage.aSort })
+ *       .then(oResult => ({ table: Table.FromDbResult(oResult), iTotal: oResult.iTotal }))
+ * });
+ * uiPaged.Search("john");                           // loads first page with rows matching search
  * ```
  *
  * **Key Concepts:**
@@ -23,11 +35,52 @@
  * - **Row Callbacks:** Customize rendering with callbacks that receive row data
  * - **Class Customization:** Set CSS classes for table, rows, cells, and headers
  * - **Auto-Update:** Refresh table content when source data changes
+ * - **Filtering:** With `bFilter` a filter row is added under header. Number columns get min and max,
+ *   columns with few distinct values get a select list and other columns a text that is contained
+ *   in value. `bQuickSearch` adds a search box above table that searches all columns. Rows are
+ *   found with `Table.FindAll` and passed to `GetData` in `aRows`. Typing waits for a pause
+ *   (`UITableLite.iInputDelay_s`) before table is filtered, with `fnProvider` each filter is a request.
+ *   With `fnProvider` filter type is selected from rows in current page, set `oFilterType` to keep it.
+ * - **Virtual Scrolling:** With `bVirtual` the table is placed in a viewport with fixed height and
+ *   only visible rows (and `iBuffer` rows before and after) are created. Rows must have the same
+ *   height, set with `iRowHeight`. Callbacks for rows and cells are called for rendered rows only.
+ * - **Selection:** With `sSelect` rows are selected with click, ctrl-click toggles row and shift-click
+ *   selects range. Arrow keys, Home and End moves focus, Space toggles and Enter selects focused row.
+ *   Table gets ARIA grid roles, selected rows are marked with `aria-selected`.
+ * - **Editing:** With `bEditable` double-click on cell opens editor for column type. Enter or leaving
+ *   the editor writes value to Table with `SetCellValue`, Escape cancels. Use "cell_edit" callback to
+ *   validate or save value.
+ * - **Sorting:** Click on header sorts ascending, descending and then removes sort. Shift-click
+ *   adds column as secondary sort key. Active sort is shown with arrow in header.
+ * - **Paging:** With `iPageSize` rows are shown in pages with navigation below table. Without
+ *   `fnProvider` the Table is paged in browser, with `fnProvider` each page is loaded when needed.
+ * - **Column Layout:** With `bResize` column width is changed by dragging right edge of header, with
+ *   `bReorder` grip in header is dragged to new position and `bChooser` adds menu above table to hide and
+ *   show columns. Pointer handling is done by `UIDraggable` (gd_ui_draggable.js). Layout is stored
+ *   with column names in localStorage under table name (or `sLayoutKey`) and is restored next time
+ *   table with same name is rendered.
  *
  * **Common Methods:**
  * - `Render()` - Render or re-render the table
  * - `Update()` - Refresh table content from source data
  * - `SetColumns(columns)` - Change which columns are displayed
+ * - `ToggleSort(column, add)` - Same as click on header, `add` is true for shift-click
+ * - `SetSortKeys(sort)` - Sort by columns, array with { iColumn, bDescending }
+ * - `GetSelectedRows()` - Original row indices for selected rows
+ * - `SelectRows(rows, add)` - Select rows with original row indices
+ * - `ClearSelection()` - Remove selection
+ * - `SetFilter(column, filter)` - Filter rows on column, text, { dMin, dMax } or { aValue }
+ * - `ClearFilter()` - Remove all filters
+ * - `ScrollToRow(row)` - Scroll row with original row index into view
+ * - `EditCell(row, column)` - Open editor for cell, same as double-click on cell
+ * - `SetColumnVisible(column, visible)` - Hide or show column, same as checkbox in column menu
+ * - `MoveColumn(column, before)` - Move column before other column, null moves column last
+ * - `SetColumnWidth(column, width)` - Set column width in pixels
+ * - `ResetLayout()` - Remove stored layout, columns are shown as configured
+ * - `CancelEdit()` - Close editor without changing value
+ * - `SetPage(page)` - Show page, first page is 0
+ * - `Search(text)` - Show rows matching search text, starts at first page
+ * - `Load()` - Load current page from fnProvider and render
  * - `Destroy()` - Remove table from DOM and clean up
  *
  * @param {HTMLElement|string} parent_ - The parent container element or selector.
@@ -38,12 +91,42 @@
  * @param {boolean} [options_.bIndex=false] - Whether to include row index column.
  * @param {boolean} [options_.bIndices=false] - Whether to retrieve and pass original row indices to callbacks.
  * @param {number} [options_.iSort=0] - Column to sort by (positive=ascending, negative=descending).
+ * @param {Array<Object>} [options_.aSort=[]] - Sort keys, { iColumn, bDescending } where iColumn is column in table. Used instead of iSort.
+ * @param {boolean} [options_.bSortable=true] - Sort when header is clicked.
+ * @param {boolean} [options_.bEditable=false] - Edit cell value on double-click.
+ * @param {boolean} [options_.bFilter=false] - Add filter row under header, needs bHeader.
+ * @param {Object} [options_.oFilterType] - Filter type for columns, column name -> 'text', 'range' or 'select'. Type is selected from column if not set, with fnProvider only rows in current page are used.
+ * @param {number} [options_.iFilterList=20] - Max number of distinct values for column to get select list.
+ * @param {boolean} [options_.bQuickSearch=false] - Add search box above table.
+ * @param {boolean} [options_.bVirtual=false] - Only create rows that are visible in viewport.
+ * @param {number} [options_.iRowHeight=28] - Height in pixels for each row with bVirtual.
+ * @param {number} [options_.iViewportHeight=400] - Height in pixels for viewport with bVirtual.
+ * @param {number} [options_.iBuffer=10] - Number of rows created before and after visible rows with bVirtual.
+ * @param {string} [options_.sSelect='none'] - Row selection, 'none', 'single' or 'multiple'.
+ * @param {boolean} [options_.bCheckbox=false] - Add column with checkbox for selection, header checkbox selects all rows in page for 'multiple'.
+ * @param {number} [options_.iPageSize=0] - Number of rows in each page, 0 = no paging.
+ * @param {boolean} [options_.bResize=false] - Change column width by dragging right edge of header, needs bHeader and UIDraggable.
+ * @param {boolean} [options_.bReorder=false] - Move column by dragging grip at start of header, needs bHeader and UIDraggable.
+ * @param {boolean} [options_.bChooser=false] - Add menu above table to hide and show columns.
+ * @param {string} [options_.sLayoutKey=null] - Key for layout in localStorage, null = table name, empty string = layout is not stored.
+ * @param {Function} [options_.fnProvider] - Loads page from server: (oPage) => Promise<{ table, iTotal }>.
+ *   oPage: { iPage, iPageSize, iOffset, iSort, sSort, bDescending, aSort, sSearch, aFilter }, sSort is name of first
+ *   sort column and aSort has all sort keys as { iColumn, sName, bDescending }. aFilter has filters as
+ *   { iColumn, sName, sText } or { iColumn, sName, dMin, dMax } or { iColumn, sName, aValue }.
+ *   Returned table has rows for page only and iTotal is number of rows in all pages.
  * @param {Function} [options_.fnCallback] - Single callback for all customization: (sCommand, oData) => any.
  *   Commands:
  *   - "row": Customize row element. oData: { aRow, iIndex, iOriginalIndex, eRow }
  *   - "cell": Customize cell content. oData: { value, iColumn, iRow, iOriginalIndex, eCell }. Return string/HTMLElement to override content.
  *   - "row_class": Set row classes. oData: { aRow, iIndex, iOriginalIndex }. Return string|Array<string>.
  *   - "cell_class": Set cell classes. oData: { value, iColumn, iRow, iOriginalIndex }. Return string|Array<string>.
+ *   - "pager": Customize page navigation. oData: { ePager, iPage, iPageCount, iTotal }
+ *   - "selection": Selected rows changed. oData: { aSelected, iOriginalIndex } where aSelected has original
+ *     row indices and iOriginalIndex is the row that was clicked or selected with keyboard (-1 if none).
+ *   - "cell_edit": Cell value is edited. oData: { value, valueOld, iColumn, iRow, iOriginalIndex, iTableColumn, sColumn, eCell }.
+ *     Return false to reject value. Return Promise to save value, value is written when promise is resolved
+ *     with other than false, rejected promise or false restores cell.
+ *   - "layout": Column layout changed. oData: { oLayout } where oLayout is { aOrder, aHidden, oWidth } with column names.
  * @param {Object} [options_.oStyle] - CSS class names for styling.
  * @param {string} [options_.oStyle.table=''] - Class for table element.
  * @param {string} [options_.oStyle.thead=''] - Class for thead element.
@@ -51,8 +134,31 @@
  * @param {string} [options_.oStyle.tr=''] - Class for tr elements.
  * @param {string} [options_.oStyle.th=''] - Class for th elements.
  * @param {string} [options_.oStyle.td=''] - Class for td elements.
+ * @param {string} [options_.oStyle.pager='table-pager'] - Class for page navigation element.
+ * @param {string} [options_.oStyle.editor='table-editor'] - Class for cell editor.
+ * @param {string} [options_.oStyle.selected='selected'] - Class for selected rows.
+ * @param {string} [options_.oStyle.viewport='table-viewport'] - Class for viewport element with bVirtual.
+ * @param {string} [options_.oStyle.filter='table-filter'] - Class for filter row.
+ * @param {string} [options_.oStyle.search='table-search'] - Class for quick search box.
+ * @param {string} [options_.oStyle.resize='table-resize'] - Class for resize handle in header cell.
+ * @param {string} [options_.oStyle.reorder='table-reorder'] - Class for grip that moves column in header cell.
+ * @param {string} [options_.oStyle.chooser='table-chooser'] - Class for column menu.
+ * @param {Object} [options_.oText] - Texts shown in table, defaults are in `UITableLite.oText_s`.
+ * @param {string} [options_.oText.rows='{count} rows'] - Total in page navigation, {count} is replaced with number of rows.
+ * @param {string} [options_.oText.select_row='Select row'] - Label for checkbox in row.
+ * @param {string} [options_.oText.select_all='Select all rows'] - Label for checkbox in header.
+ * @param {string} [options_.oText.filter='Filter'] - Label for filter input, column name is added.
+ * @param {string} [options_.oText.min='min'] - Placeholder for lowest value in range filter.
+ * @param {string} [options_.oText.max='max'] - Placeholder for highest value in range filter.
+ * @param {string} [options_.oText.search='Search'] - Placeholder for quick search box.
+ * @param {string} [options_.oText.search_label='Search in table'] - Label for quick search box.
+ * @param {string} [options_.oText.columns='Columns'] - Button that opens column menu.
+ * @param {string} [options_.oText.reset='Reset'] - Button in column menu that restores layout.
  */
 class UITableLite {
+   static iMinWidth_s = 30; // smallest width in pixels for resized column
+   static iInputDelay_s = 300; // milliseconds typing in filter or search box waits before rows are filtered
+   static oText_s = { rows: '{count} rows', select_row: 'Select row', select_all: 'Select all rows', filter: 'Filter', min: 'min', max: 'max', search: 'Search', search_label: 'Search in table', columns: 'Columns', reset: 'Reset' }; // texts shown in table
 
    constructor(parent_, table_, options_ = {}) {
       // ## Resolve parent element ............................................
@@ -62,6 +168,7 @@ class UITableLite {
 
       if(!eParent) { throw new Error('UITableLite: Parent element not found'); }
       if( !(table_ instanceof Table) ) { throw new Error('UITableLite: Invalid Table instance'); }
+      if( (options_.bResize || options_.bReorder) && typeof UIDraggable === 'undefined' ) { throw new Error('UITableLite: UIDraggable is needed for bResize and bReorder'); }
 
       // Store references
       this.eParent = eParent;
@@ -70,17 +177,55 @@ class UITableLite {
       // ## Apply options with defaults .......................................
       this.oOptions = Object.assign({
          // null = all columns
-         aColumns: null, bHeader: false, bIndex: false, iSort: 0, fnCallback: null,
-         oStyle: { table: '', thead: '', tbody: '', tr: '', th: '', td: '' }
+         aColumns: null, bHeader: false, bIndex: false, iSort: 0, aSort: [], bSortable: true, bEditable: false, bFilter: false, oFilterType: {}, iFilterList: 20, bQuickSearch: false, bVirtual: false, iRowHeight: 28, iViewportHeight: 400, iBuffer: 10, sSelect: 'none', bCheckbox: false, iPageSize: 0, bResize: false, bReorder: false, bChooser: false, sLayoutKey: null, fnProvider: null, fnCallback: null,
+         oStyle: { table: '', thead: '', tbody: '', tr: '', th: '', td: '', pager: 'table-pager', editor: 'table-editor', selected: 'selected', viewport: 'table-viewport', filter: 'table-filter', search: 'table-search', resize: 'table-resize', reorder: 'table-reorder', chooser: 'table-chooser' },
+         oText: UITableLite.oText_s
       }, options_);
 
       // Merge style options
       if( options_.oStyle ) {
-         Object.assign(this.oOptions.oStyle, options_.oStyle);
+         this.oOptions.oStyle = Object.assign({ table: '', thead: '', tbody: '', tr: '', th: '', td: '', pager: 'table-pager', editor: 'table-editor', selected: 'selected', viewport: 'table-viewport', filter: 'table-filter', search: 'table-search', resize: 'table-resize', reorder: 'table-reorder', chooser: 'table-chooser' }, options_.oStyle);
+      }
+
+      // Merge text options
+      if( options_.oText ) {
+         this.oOptions.oText = Object.assign({}, UITableLite.oText_s, options_.oText);
       }
 
       // Store table element reference
       this.eTable = null;
+
+      // ## Paging state ......................................................
+      this.ePager = null;     // page navigation element
+      this.iPage = 0;         // active page, first page is 0
+      this.iTotal = 0;        // number of rows in all pages
+      this.sSearch = "";      // search text, rows that do not match are not shown
+      this.iRequest = 0;      // id for latest provider request, older responses are ignored
+      this.mapFilter = new Map(); // filters, column index in table -> { sText } | { dMin, dMax } | { aValue }
+      this.eSearch = null;    // quick search box
+      this.mapInputTimer = new Map(); // timers for filter and search input that wait for typing to pause, column index or 'search' -> timer
+
+      // ## Rendered rows and cell editor .....................................
+      this.aIndices = [];     // original row index in table for each row in page
+      this.mapRow = new Map(); // original row index -> row element for rows in DOM
+      this.oEdit = null;      // active cell editor, { eCell, eEditor, iColumn, iRow, iOriginalIndex, iTableColumn, valueOld }
+
+      // ## Selection state, rows are original row indices in table ..........
+      this.setSelected = new Set(); // selected rows
+      this.iAnchor = -1;      // row where shift-click range starts
+      this.iFocus = -1;       // row with keyboard focus
+
+      // ## Virtual scrolling ..................................................
+      this.eViewport = null;  // scroll container, table is placed in viewport
+      this.oVirtual = null;   // rows for virtual rendering, { aData, iStart, aIndices, iFirst, iLast }
+      this.iFrame = 0;        // pending animation frame for scroll
+
+      // ## Column layout, columns are stored with name ......................
+      this.oLayout = null;    // { aOrder, aHidden, oWidth }, loaded when table is rendered
+      this.sLayoutKey = null; // key that layout was loaded for
+      this.aDraggable = [];   // UIDraggable for header cells, removed when header is created again
+      this.bDragged = false;  // header was dragged, click that ends drag do not sort
+      this.eChooser = null;   // column menu
    }
 
    /** -----------------------------------------------------------------------
@@ -94,29 +239,60 @@ class UITableLite {
 
       // ## Remove existing table if present ..................................
       this.eTable?.parentNode?.removeChild(this.eTable);
+      this.ePager?.parentNode?.removeChild(this.ePager);
+      this.ePager = null;
+      this.oEdit = null;                                                      // editor is removed with table
+      this.oVirtual = null;
+      this.mapRow.clear();
+      this._destroy_draggable();
+
+      if( this.oOptions.bQuickSearch ) { this._create_search(); }
+      if( this.oOptions.bChooser ) { this._create_chooser(); }
 
       // ## Create table element ..............................................
       this.eTable = document.createElement('table');
       if( this.oOptions.oStyle.table ) {  this._add_classes(this.eTable, this.oOptions.oStyle.table); }
 
+      if( this._is_selectable() ) {
+         this.eTable.setAttribute('role', 'grid');
+         if( this.oOptions.sSelect === 'multiple' ) { this.eTable.setAttribute('aria-multiselectable', 'true'); }
+         this.eTable.addEventListener('keydown', (e_) => this._on_keydown(e_));
+      }
+
       // ## Get data from Table instance ......................................
+      const bProvider = typeof this.oOptions.fnProvider === 'function';
       const oGetDataOptions = {
          bHeader: this.oOptions.bHeader,
          bIndex: this.oOptions.bIndex,
-         iSort: this.oOptions.iSort,
-         aColumn: this.oOptions.aColumns,
-         bIndices: this.oOptions.bIndices,
+         iSort: bProvider ? 0 : this.oOptions.iSort,                         // rows from provider are sorted by server
+         aSort: bProvider ? null : this._get_sort_keys(oTable),
+         aColumn: this._get_columns(oTable),
+         bIndices: true,
       };
 
-      const aGetDataResult = oTable.GetData(oGetDataOptions);
+      // ### Only rows that match search text if table is searched in browser
+      if( !bProvider && (this.sSearch !== "" || this.mapFilter.size > 0) ) { oGetDataOptions.aRows = this._find_rows(oTable); }
+
+      let [aData, aIndices] = oTable.GetData(oGetDataOptions);
+
+      // ## Select rows for active page ......................................
+      if( this.oOptions.iPageSize > 0 && !bProvider ) {
+         const iHeader = this.oOptions.bHeader ? 1 : 0;
+         this.iTotal = aData.length - iHeader;
+         this.iPage = Math.max(0, Math.min(this.iPage, this.GetPageCount() - 1));
+         const iBegin = this.iPage * this.oOptions.iPageSize;
+         const iEnd = iBegin + this.oOptions.iPageSize;
+         aData = aData.slice(0, iHeader).concat(aData.slice(iHeader + iBegin, iHeader + iEnd));
+         aIndices = aIndices.slice(iBegin, iEnd);
+      }
 
-      // Check if GetData returned two arrays (data and indices) or one (just data)
-      const aData = this.oOptions.bIndices ? aGetDataResult[0] : aGetDataResult;
-      const aIndices = this.oOptions.bIndices ? aGetDataResult[1] : null;
+      this.aIndices = aIndices;                                               // always kept, needed to edit cells
+      if( !this.oOptions.bIndices ) { aIndices = null; }
 
       if( aData.length === 0 ) {
          // Empty table
-         this.eParent.appendChild(this.eTable);
+         this._get_container().appendChild(this.eTable);
+         this._render_pager();
          return this.eTable;
       }
 
@@ -132,18 +308,88 @@ class UITableLite {
       const eTbody = this._create_tbody(aData, iStart, aIndices);
       this.eTable.appendChild(eTbody);
 
-      // ## Append to parent ..................................................
-      this.eParent.appendChild(this.eTable);
+      // ## Append to parent, viewport if virtual .............................
+      this._get_container().appendChild(this.eTable);
+      if( this.oVirtual ) { this._render_virtual(true); }                    // viewport height is known when table is in DOM
+      this._render_pager();
 
       return this.eTable;
    }
 
    /** -----------------------------------------------------------------------
     * Update the table content by re-rendering with current data.
-    * Useful when the underlying Table data has changed.
-    * @returns {HTMLElement} The updated table element.
+    * Useful when the underlying Table data has changed. With fnProvider the
+    * active page is loaded again.
+    * @returns {HTMLElement|Promise<HTMLElement>} The updated table element, Promise if page is loaded from fnProvider.
+    */
+   Update() {
+      if( typeof this.oOptions.fnProvider === 'function' ) { return this.Load(); }
+      return this.Render();
+   }
+
+   /** -----------------------------------------------------------------------
+    * Load active page from fnProvider and render it. If a new page is requested
+    * before the response arrives the older response is ignored. Selected rows
+    * are removed when new rows are loaded.
+    * @returns {Promise<HTMLElement>} Promise with the rendered table element.
+    */
+   Load() {
+      if( typeof this.oOptions.fnProvider !== 'function' ) { return Promise.resolve(this.Render()); }
+
+      const iRequest = ++this.iRequest;
+      const oPage = this._get_page_request();
+
+      return Promise.resolve(this.oOptions.fnProvider(oPage)).then(oResult => {
+         if( iRequest !== this.iRequest || !this.eParent ) { return this.eTable; } // a newer page is loading or table is destroyed
+
+         if( !(oResult?.table instanceof Table) ) { throw new Error('Load: Provider must return { table, iTotal }'); }
+         if( this.table !== oResult.table ) { this._reset_selection(); }   // rows in new page are not the same rows
+         this.table = oResult.table;
+         this.iTotal = typeof oResult.iTotal === 'number' ? oResult.iTotal : oPage.iOffset + oResult.table.GetData({ bHeader: false }).length;
+
+         // ## Page is outside rows, e.g. rows was deleted, load last page ....
+         const iPageCount = this.GetPageCount();
+         if( this.iPage > 0 && this.iPage >= iPageCount ) {
+            this.iPage = Math.max(0, iPageCount - 1);
+            return this.Load();
+         }
+
+         return this.Render();
+      });
+   }
+
+   /** -----------------------------------------------------------------------
+    * Show page, page number is limited to pages that exist.
+    * @param {number} iPage - Page to show, first page is 0.
+    * @returns {HTMLElement|Promise<HTMLElement>} The updated table element, Promise if page is loaded from fnProvider.
     */
-   Update() { return this.Render(); }
+   SetPage(iPage) {
+      this.iPage = Math.max(0, Math.min(iPage, this.GetPageCount() - 1));
+      if( this.eViewport ) { this.eViewport.scrollTop = 0; }                  // new rows are shown from top
+      return this.Update();
+   }
+
+   /** -----------------------------------------------------------------------
+    * Get number of pages, there is always at least one page.
+    * @returns {number} Number of pages.
+    */
+   GetPageCount() {
+      if( !(this.oOptions.iPageSize > 0) ) { return 1; }
+      return Math.max(1, Math.ceil(this.iTotal / this.oOptions.iPageSize));
+   }
+
+   /** -----------------------------------------------------------------------
+    * Show rows that match search text, first page is shown.
+    * With fnProvider the search text is passed to provider in sSearch.
+    * @param {string} sSearch - Text to search for, empty string shows all rows.
+    * @returns {HTMLElement|Promise<HTMLElement>} The updated table element, Promise if page is loaded from fnProvider.
+    */
+   Search(sSearch) {
+      this.sSearch = sSearch ?? "";
+      this.iPage = 0;
+      if( this.eViewport ) { this.eViewport.scrollTop = 0; }                  // new rows are shown from top
+      return this.Update();
+   }
 
    /** -----------------------------------------------------------------------
     * Set which columns to display and re-render.
@@ -158,11 +404,199 @@ class UITableLite {
    /** -----------------------------------------------------------------------
     * Set sorting column and re-render.
     * @param {number} iSort - Column index to sort by (positive=asc, negative=desc, 0=none).
-    * @returns {HTMLElement} The updated table element.
+    * @returns {HTMLElement|Promise<HTMLElement>} The updated table element, Promise if page is loaded from fnProvider.
     */
    SetSort(iSort) {
       this.oOptions.iSort = iSort;
-      return this.Render();
+      this.oOptions.aSort = [];
+      this.iPage = 0;                                                         // sorted rows starts at first page
+      if( this.eViewport ) { this.eViewport.scrollTop = 0; }                  // new rows are shown from top
+      return this.Update();
+   }
+
+   /** -----------------------------------------------------------------------
+    * Set sort keys and re-render, sort keys replaces iSort.
+    * @param {Array<Object>} aSort - Sort keys, { iColumn, bDescending } where iColumn is index or name for column in table. Empty array removes sort.
+    * @returns {HTMLElement|Promise<HTMLElement>} The updated table element, Promise if page is loaded from fnProvider.
+    */
+   SetSortKeys(aSort) {
+      this.oOptions.aSort = (aSort || []).map(oSort => ({ iColumn: oSort.iColumn, bDescending: oSort.bDescending === true }));
+      this.oOptions.iSort = 0;
+      this.iPage = 0;                                                         // sorted rows starts at first page
+      if( this.eViewport ) { this.eViewport.scrollTop = 0; }                  // new rows are shown from top
+      return this.Update();
+   }
+
+   /** -----------------------------------------------------------------------
+    * Get active sort keys.
+    * @returns {Array<Object>} Sort keys, { iColumn, bDescending }.
+    */
+   GetSortKeys() { return this.oOptions.aSort.map(oSort => Object.assign({}, oSort)); }
+
+   /** -----------------------------------------------------------------------
+    * Change sort for column, this is what happens when header is clicked.
+    * Sort for column goes from ascending to descending and then it is removed.
+    * Without bAdd the column is the only sort key, with bAdd (shift-click) the
+    * column is added after active sort keys.
+    * @param {number|string} column_ - Index or name for column in table.
+    * @param {boolean} [bAdd=false] - Keep other sort keys.
+    * @returns {HTMLElement|Promise<HTMLElement>} The updated table element, Promise if page is loaded from fnProvider.
+    */
+   ToggleSort(column_, bAdd = false) {
+      const iColumn = this.table.GetColumnIndex(column_);
+      let aSort = this.oOptions.aSort.filter(oSort => this.table.GetColumnIndex(oSort.iColumn) !== iColumn);
+      const oSort = this.oOptions.aSort.find(oSort => this.table.GetColumnIndex(oSort.iColumn) === iColumn);
+
+      if( !bAdd ) { aSort = []; }
+
+      // ## Ascending -> descending -> no sort ................................
+      if( !oSort ) { aSort.push({ iColumn, bDescending: false }); }
+      else if( oSort.bDescending === false ) {
+         const oNext = { iColumn, bDescending: true };
+         if( bAdd ) { aSort.splice(this.oOptions.aSort.indexOf(oSort), 0, oNext); } // keep position for sort key
+         else { aSort.push(oNext); }
+      }
+
+      return this.SetSortKeys(aSort);
+   }
+
+   /** -----------------------------------------------------------------------
+    * Get selected rows.
+    * @returns {Array<number>} Original row indices in table for selected rows, sorted.
+    */
+   GetSelectedRows() { return Array.from(this.setSelected).sort((a, b) => a - b); }
+
+   /** -----------------------------------------------------------------------
+    * Select rows, "selection" callback is called.
+    * @param {number|Array<number>} rows_ - Original row index or array with indices in table.
+    * @param {boolean} [bAdd=false] - Add rows to selected rows, otherwise rows replaces selection.
+    */
+   SelectRows(rows_, bAdd = false) {
+      const aRows = Array.isArray(rows_) ? rows_ : [rows_];
+      const aSelect = bAdd ? this.GetSelectedRows().concat(aRows) : aRows;
+      this._set_selection(aSelect, aRows.length > 0 ? aRows[aRows.length - 1] : -1);
+   }
+
+   /** -----------------------------------------------------------------------
+    * Remove selection, "selection" callback is called if rows was selected.
+    */
+   ClearSelection() {
+      if( this.setSelected.size === 0 ) return;
+      this._set_selection([], -1);
+   }
+
+   /** -----------------------------------------------------------------------
+    * Filter rows on column, filters for different columns must all match.
+    * @example
+    * uiTable.SetFilter("name", "an");                  // name contains "an"
+    * uiTable.SetFilter("age", { dMin: 18, dMax: 65 });  // age from 18 to 65
+    * uiTable.SetFilter("city", { aValue: ["Oslo", "Lund"] });
+    * uiTable.SetFilter("city", null);                  // remove filter for city
+    * @param {number|string} column_ - Index or name for column in table.
+    * @param {string|Object|null} filter_ - Text, { dMin, dMax }, { aValue } or null to remove filter.
+    * @returns {HTMLElement|Promise<HTMLElement>} The updated table element, Promise if page is loaded from fnProvider.
+    */
+   SetFilter(column_, filter_) {
+      const iColumn = this.table.GetColumnIndex(column_);
+      if( typeof iColumn !== 'number' || iColumn < 0 ) { throw new Error(`SetFilter: Column not found: ${column_}`); }
+
+      const oFilter = UITableLite._normalize_filter(filter_);
+      if( oFilter ) { this.mapFilter.set(iColumn, oFilter); }
+      else { this.mapFilter.delete(iColumn); }
+
+      this.iPage = 0;
+      if( this.eViewport ) { this.eViewport.scrollTop = 0; }                  // new rows are shown from top
+      return this.Update();
+   }
+
+   /** -----------------------------------------------------------------------
+    * Remove all filters.
+    * @returns {HTMLElement|Promise<HTMLElement>} The updated table element, Promise if page is loaded from fnProvider.
+    */
+   ClearFilter() {
+      this.mapFilter.clear();
+      this.iPage = 0;
+      return this.Update();
+   }
+
+   /** -----------------------------------------------------------------------
+    * Get active filters.
+    * @returns {Array<Object>} Filters with column name, { iColumn, sName, ...filter }.
+    */
+   GetFilter() {
+      return Array.from(this.mapFilter, ([iColumn, oFilter]) => Object.assign({ iColumn, sName: this.table.aColumn[iColumn]?.sName ?? "" }, oFilter));
+   }
+
+   /** -----------------------------------------------------------------------
+    * Scroll row into view. With bVirtual rows around row are created.
+    * @param {number} iOriginalIndex - Row index in table.
+    * @returns {HTMLElement|null} Row element, null if row is not in page.
+    */
+   ScrollToRow(iOriginalIndex) {
+      const iRow = this.aIndices.indexOf(iOriginalIndex);
+      if( iRow === -1 ) return null;
+
+      if( this.oVirtual && this.eViewport ) {
+         const iRowHeight = this.oOptions.iRowHeight;
+         const iTop = iRow * iRowHeight;
+         const iHeight = this.eViewport.clientHeight || this.oOptions.iViewportHeight;
+         const iHeader = this.eTable?.tHead?.offsetHeight || 0;            // sticky header covers first row
+
+         if( iTop < this.eViewport.scrollTop ) { this.eViewport.scrollTop = iTop; }
+         else if( iTop + iRowHeight + iHeader > this.eViewport.scrollTop + iHeight ) { this.eViewport.scrollTop = iTop + iRowHeight + iHeader - iHeight; }
+         this._render_virtual(false);
+         return this.mapRow.get(iOriginalIndex) ?? null;
+      }
+
+      const eTr = this.mapRow.get(iOriginalIndex) ?? null;
+      eTr?.scrollIntoView?.({ block: 'nearest' });
+      return eTr;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Open editor for cell. Editor type is selected from column type, number
+    * and date columns get matching input and boolean columns a checkbox.
+    * @param {number} iOriginalIndex - Row index in table.
+    * @param {number|string} column_ - Index or name for column in table.
+    * @returns {HTMLElement|null} Editor element, null if cell is not rendered.
+    */
+   EditCell(iOriginalIndex, column_) {
+      const iTableColumn = this.table.GetColumnIndex(column_);
+      const iRow = this.aIndices.indexOf(iOriginalIndex);
+      if( iRow === -1 ) return null;
+
+      // ## Find rendered cell for column, row is created if virtual .........
+      if( this.oVirtual && !this.mapRow.has(iOriginalIndex) ) { this.ScrollToRow(iOriginalIndex); }
+      const eTr = this.mapRow.get(iOriginalIndex);
+      let iColumn = -1;
+      for( let i = 0; eTr && i < eTr.children.length; i++ ) {
+         if( this._get_table_column(i) === iTableColumn ) { iColumn = i; break; }
+      }
+      if( iColumn === -1 ) return null;
+
+      this.CancelEdit();
+
+      const eCell = eTr.children[iColumn + (this._has_checkbox() ? 1 : 0)];  // checkbox column is first cell
+      const valueOld = this.table.GetCellValue(iOriginalIndex, iTableColumn);
+      const eEditor = this._create_editor(this.table.GetColumnType(iTableColumn), valueOld);
+
+      this.oEdit = { eCell, eEditor, iColumn, iRow, iOriginalIndex, iTableColumn, valueOld };
+
+      eCell.textContent = '';
+      eCell.appendChild(eEditor);
+      eEditor.focus();
+      return eEditor;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Close active editor and restore cell value.
+    */
+   CancelEdit() {
+      const oEdit = this.oEdit;
+      if( !oEdit ) return;
+
+      this.oEdit = null;
+      this._render_cell(oEdit);
    }
 
    /** -----------------------------------------------------------------------
@@ -175,6 +609,96 @@ class UITableLite {
       return this.Render();
    }
 
+   /** -----------------------------------------------------------------------
+    * Get column layout, columns are identified with name.
+    * @returns {Object} Copy of layout, { aOrder, aHidden, oWidth }.
+    */
+   GetLayout() {
+      const oLayout = this._get_layout();
+      return { aOrder: [...oLayout.aOrder], aHidden: [...oLayout.aHidden], oWidth: Object.assign({}, oLayout.oWidth) };
+   }
+
+   /** -----------------------------------------------------------------------
+    * Hide or show column, last visible column can not be hidden.
+    * @param {number|string} column_ - Column index or name in table.
+    * @param {boolean} bVisible - True to show column, false to hide.
+    * @returns {HTMLElement|null} The updated table element, null if column is not found or is last visible column.
+    */
+   SetColumnVisible(column_, bVisible) {
+      const sName = this._get_column_name(column_);
+      if( sName === null ) return null;
+
+      const oLayout = this._get_layout();
+      const bHidden = oLayout.aHidden.includes(sName);
+      if( bHidden === !bVisible ) return this.eTable;
+
+      if( bVisible ) { oLayout.aHidden = oLayout.aHidden.filter(s_ => s_ !== sName); }
+      else {
+         if( this._get_columns(this.table).length <= 1 ) return null;        // table needs one column
+         oLayout.aHidden.push(sName);
+      }
+
+      this._save_layout();
+      return this.Render();
+   }
+
+   /** -----------------------------------------------------------------------
+    * Move column before other column.
+    * @param {number|string} column_ - Column index or name in table to move.
+    * @param {number|string|null} before_ - Column that moved column is placed before, null places column last.
+    * @returns {HTMLElement|null} The updated table element, null if column is not found.
+    */
+   MoveColumn(column_, before_ = null) {
+      const sName = this._get_column_name(column_);
+      if( sName === null ) return null;
+      const sBefore = before_ === null ? null : this._get_column_name(before_);
+
+      // ## Order for all columns, also hidden, with moved column removed ......
+      const oLayout = this._get_layout();
+      const aOrder = this._get_ordered_columns(this.table).map(iColumn => this.table.aColumn[iColumn].sName).filter(s_ => s_ !== sName);
+      const iBefore = sBefore === null ? -1 : aOrder.indexOf(sBefore);
+      if( iBefore === -1 ) { aOrder.push(sName); }
+      else { aOrder.splice(iBefore, 0, sName); }
+
+      oLayout.aOrder = aOrder;
+      this._save_layout();
+      return this.Render();
+   }
+
+   /** -----------------------------------------------------------------------
+    * Set column width.
+    * @param {number|string} column_ - Column index or name in table.
+    * @param {number|null} iWidth - Width in pixels, null removes width.
+    * @returns {HTMLElement|null} The updated table element, null if column is not found.
+    */
+   SetColumnWidth(column_, iWidth) {
+      const sName = this._get_column_name(column_);
+      if( sName === null ) return null;
+
+      const oLayout = this._get_layout();
+      if( typeof iWidth === 'number' && iWidth > 0 ) { oLayout.oWidth[sName] = Math.round(iWidth); }
+      else { delete oLayout.oWidth[sName]; }
+
+      this._save_layout();
+      return this.Render();
+   }
+
+   /** -----------------------------------------------------------------------
+    * Remove stored layout, columns are shown in configured order without width.
+    * @returns {HTMLElement} The updated table element.
+    */
+   ResetLayout() {
+      const sKey = this._get_layout_key();
+      if( sKey ) {
+         try { localStorage.removeItem(sKey); } catch( error_ ) { console.warn('UITableLite: Failed to remove layout', error_); }
+      }
+
+      this.oLayout = { aOrder: [], aHidden: [], oWidth: {} };
+      this.sLayoutKey = sKey;
+      this._get_callback_result("layout", { oLayout: this.GetLayout() });
+      return this.Render();
+   }
+
    /** -----------------------------------------------------------------------
     * Get the table element.
     * @returns {HTMLElement|null} The table element or null if not rendered.
@@ -188,9 +712,26 @@ class UITableLite {
       if( this.eTable && this.eTable.parentNode ) {
          this.eTable.parentNode.removeChild(this.eTable);
       }
+      this.ePager?.parentNode?.removeChild(this.ePager);
+      this.eViewport?.parentNode?.removeChild(this.eViewport);
+      this.eSearch?.parentNode?.removeChild(this.eSearch);
+      this.eSearch = null;
+      this.mapInputTimer.forEach(iTimer => clearTimeout(iTimer));
+      this.mapInputTimer.clear();
+      this._close_chooser();
+      this.eChooser?.parentNode?.removeChild(this.eChooser);
+      this.eChooser = null;
+      this._destroy_draggable();
+      if( this.iFrame && typeof cancelAnimationFrame === 'function' ) { cancelAnimationFrame(this.iFrame); }
 
       // Clear references
+      this.oEdit = null;
+      this.oVirtual = null;
+      this.eViewport = null;
+      this.mapRow.clear();
+      this.setSelected.clear();
       this.eTable = null;
+      this.ePager = null;
       this.table = null;
       this.eParent = null;
    }
@@ -208,6 +749,9 @@ class UITableLite {
       const eTr = document.createElement('tr');
       if( this.oOptions.oStyle.tr ) { this._add_classes(eTr, this.oOptions.oStyle.tr); }
 
+      if( this._is_selectable() ) { eTr.setAttribute('role', 'row'); }
+      if( this._has_checkbox() ) { eTr.appendChild(this._create_select_all()); }
+
       // ## Create header cells ...............................................
       for( let i = 0; i < aHeader.length; i++ ) {
          const eTh = document.createElement('th');
@@ -216,13 +760,49 @@ class UITableLite {
          }
 
          eTh.textContent = aHeader[i];
+         if( this._is_selectable() ) { eTh.setAttribute('role', 'columnheader'); }
+         this._apply_header_sort(eTh, i);
+         this._apply_header_layout(eTh, i);
          eTr.appendChild(eTh);
       }
 
       eThead.appendChild(eTr);
+      if( this.oOptions.bFilter ) { eThead.appendChild(this._create_filter_row(aHeader.length)); }
       return eThead;
    }
 
+   /** -----------------------------------------------------------------------
+    * Make header cell clickable for sorting and mark active sort with arrow.
+    * If more than one column is sorted the arrow is followed by sort order.
+    * @param {HTMLElement} eTh - Header cell.
+    * @param {number} iPosition - Position for header cell in rendered row.
+    * @private
+    */
+   _apply_header_sort(eTh, iPosition) {
+      const iColumn = this._get_table_column(iPosition);
+      if( !this.oOptions.bSortable || iColumn < 0 ) return;                  // index column is not sorted
+
+      eTh.dataset.sortColumn = String(iColumn);
+      eTh.addEventListener('click', (e_) => {
+         if( this.bDragged ) { this.bDragged = false; return; }              // click ends drag for header
+         const result_ = this.ToggleSort(iColumn, e_.shiftKey === true);
+         if( result_ instanceof Promise ) { result_.catch(error_ => console.error('UITableLite: Failed to load sorted page', error_)); }
+      });
+
+      const aSort = this.oOptions.aSort;
+      const iSort = aSort.findIndex(oSort => this.table.GetColumnIndex(oSort.iColumn) === iColumn);
+      if( iSort === -1 ) return;
+
+      const bDescending = aSort[iSort].bDescending;
+      eTh.dataset.sort = bDescending ? 'desc' : 'asc';
+      eTh.setAttribute('aria-sort', bDescending ? 'descending' : 'ascending');
+
+      const eArrow = document.createElement('span');
+      eArrow.dataset.sortArrow = '';
+      eArrow.textContent = (bDescending ? ' \u25bc' : ' \u25b2') + (aSort.length > 1 ? String(iSort + 1) : '');
+      eTh.appendChild(eArrow);
+   }
+
    /** -----------------------------------------------------------------------
     * Create tbody element with data rows.
     * @param {Array<Array>} aData - 2D array of table data.
@@ -235,34 +815,1134 @@ class UITableLite {
       const eTbody = document.createElement('tbody');
       if(this.oOptions.oStyle.tbody) { this._add_classes(eTbody, this.oOptions.oStyle.tbody);  }
 
+      // ## Virtual, rows are created when table is in viewport ...............
+      if( this.oOptions.bVirtual ) {
+         this.oVirtual = { aData, iStart, aIndices, iFirst: -1, iLast: -1 };
+         return eTbody;
+      }
+
       for(let iRow = iStart; iRow < aData.length; iRow++) {
-         const aRow = aData[iRow];
-         const iActualRow = iRow - iStart;
-         const iOriginalIndex = aIndices ? aIndices[iRow - iStart] : iActualRow;
+         eTbody.appendChild(this._create_row(aData[iRow], iRow - iStart, aIndices));
+      }
+
+      this._apply_tab_row();
+      return eTbody;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Create row element with cells, callbacks for row and cells are called.
+    * @param {Array} aRow - Row data.
+    * @param {number} iActualRow - Index for row in rendered data.
+    * @param {Array<number>|null} aIndices - Array of original row indices passed to callbacks (null if not available).
+    * @returns {HTMLElement} The tr element.
+    * @private
+    */
+   _create_row(aRow, iActualRow, aIndices) {
+      const iOriginalIndex = aIndices ? aIndices[iActualRow] : iActualRow;
+      const iTableRow = this.aIndices[iActualRow];                            // row in table, also when bIndices is false
 
-         const eTr = document.createElement('tr'); // create table row element
-         this._add_classes(eTr, this.oOptions.oStyle.tr);
+      const eTr = document.createElement('tr'); // create table row element
+      this._add_classes(eTr, this.oOptions.oStyle.tr);
+      if( this.oOptions.bVirtual ) { eTr.style.height = `${this.oOptions.iRowHeight}px`; }
 
-         this._apply_row_classes(eTr, aRow, iActualRow, iOriginalIndex);
+      this._apply_row_classes(eTr, aRow, iActualRow, iOriginalIndex);
+      if( this._is_selectable() ) { this._apply_row_select(eTr, iTableRow); }
 
-         for(let iCol = 0; iCol < aRow.length; iCol++) {
-            const eTd = document.createElement('td'); // create table cell element
-            this._add_classes(eTd, this.oOptions.oStyle.td);
+      for(let iCol = 0; iCol < aRow.length; iCol++) {
+         const eTd = document.createElement('td'); // create table cell element
+         this._add_classes(eTd, this.oOptions.oStyle.td);
 
-            this._apply_cell_classes(eTd, aRow[iCol], iCol, iActualRow, iOriginalIndex);
-            this._apply_cell_content(eTd, aRow[iCol], iCol, iActualRow, iOriginalIndex);
+         this._apply_cell_classes(eTd, aRow[iCol], iCol, iActualRow, iOriginalIndex);
+         this._apply_cell_content(eTd, aRow[iCol], iCol, iActualRow, iOriginalIndex);
+         if( this._is_selectable() ) { eTd.setAttribute('role', 'gridcell'); }
 
-            eTr.appendChild(eTd);
+         if( this.oOptions.bEditable && this._get_table_column(iCol) >= 0 ) {
+            const iTableColumn = this._get_table_column(iCol);
+            eTd.addEventListener('dblclick', () => { this.EditCell(iTableRow, iTableColumn); });
          }
 
-         this._get_callback_result("row", { aRow, iIndex: iActualRow, iOriginalIndex, eRow: eTr });
+         eTr.appendChild(eTd);
+      }
+
+      this._get_callback_result("row", { aRow, iIndex: iActualRow, iOriginalIndex, eRow: eTr });
+
+      this.mapRow.set(iTableRow, eTr);
+      return eTr;
+   }
+
+   // One row can be reached with tab, focused row or first row in DOM
+   _apply_tab_row() {
+      if( !this._is_selectable() || this.mapRow.size === 0 || this.mapRow.has(this.iFocus) ) return;
+      this.mapRow.values().next().value.tabIndex = 0;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Get element that table is added to, viewport is created for bVirtual.
+    * @returns {HTMLElement} Parent element or viewport.
+    * @private
+    */
+   _get_container() {
+      if( !this.oOptions.bVirtual ) return this.eParent;
 
-         eTbody.appendChild(eTr);
+      if( !this.eViewport ) {
+         this.eViewport = document.createElement('div');
+         this._add_classes(this.eViewport, this.oOptions.oStyle.viewport);
+         this.eViewport.style.height = `${this.oOptions.iViewportHeight}px`;
+         this.eViewport.style.overflowY = 'auto';
+         this.eViewport.addEventListener('scroll', () => {
+            if( typeof requestAnimationFrame !== 'function' ) { this._render_virtual(false); return; }
+            if( this.iFrame ) return;                                         // render once for each frame
+            this.iFrame = requestAnimationFrame(() => { this.iFrame = 0; this._render_virtual(false); });
+         });
+         this.eParent.appendChild(this.eViewport);
       }
 
-      return eTbody;
+      return this.eViewport;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Create rows that are visible in viewport. Rows before and after visible
+    * rows are replaced with spacer rows that has the height for those rows.
+    * @param {boolean} bForce - Render rows even if visible rows are the same.
+    * @private
+    */
+   _render_virtual(bForce) {
+      const oVirtual = this.oVirtual;
+      const eTbody = this.eTable?.tBodies[0];
+      if( !oVirtual || !eTbody || !this.eViewport ) return;
+
+      // ## Find visible rows .................................................
+      const iRowHeight = this.oOptions.iRowHeight;
+      const iCount = oVirtual.aData.length - oVirtual.iStart;
+      const iHeight = this.eViewport.clientHeight || this.oOptions.iViewportHeight;
+      const iBuffer = this.oOptions.iBuffer;
+      const iFirst = Math.max(0, Math.floor(this.eViewport.scrollTop / iRowHeight) - iBuffer);
+      const iLast = Math.min(iCount, Math.ceil((this.eViewport.scrollTop + iHeight) / iRowHeight) + iBuffer);
+
+      if( !bForce && iFirst === oVirtual.iFirst && iLast === oVirtual.iLast ) return;
+      oVirtual.iFirst = iFirst;
+      oVirtual.iLast = iLast;
+
+      if( this.oEdit ) { this._commit_edit(); }                               // edited row could be removed
+
+      // ## Replace rows, spacers keeps height for rows that are not created ..
+      eTbody.textContent = '';
+      this.mapRow.clear();
+
+      if( iFirst > 0 ) { eTbody.appendChild(this._create_spacer(iFirst * iRowHeight)); }
+      for( let i = iFirst; i < iLast; i++ ) {
+         eTbody.appendChild(this._create_row(oVirtual.aData[oVirtual.iStart + i], i, oVirtual.aIndices));
+      }
+      if( iLast < iCount ) { eTbody.appendChild(this._create_spacer((iCount - iLast) * iRowHeight)); }
+
+      this._apply_tab_row();
+   }
+
+   /** -----------------------------------------------------------------------
+    * Create empty row used as space for rows that are not created.
+    * @param {number} iHeight - Height in pixels.
+    * @returns {HTMLElement} The tr element.
+    * @private
+    */
+   _create_spacer(iHeight) {
+      const eTr = document.createElement('tr');
+      eTr.dataset.spacer = '';
+      eTr.setAttribute('aria-hidden', 'true');
+      eTr.style.height = `${iHeight}px`;
+      return eTr;
+   }
+
+   // Check if rows can be selected
+   _is_selectable() { return this.oOptions.sSelect === 'single' || this.oOptions.sSelect === 'multiple'; }
+
+   // Check if first column has checkbox for selection
+   _has_checkbox() { return this._is_selectable() && this.oOptions.bCheckbox === true; }
+
+   /** -----------------------------------------------------------------------
+    * Set ARIA attributes, selected class and listeners for row that can be selected.
+    * @param {HTMLElement} eTr - Row element.
+    * @param {number} iRow - Original row index in table.
+    * @private
+    */
+   _apply_row_select(eTr, iRow) {
+      const bSelected = this.setSelected.has(iRow);
+      eTr.setAttribute('role', 'row');
+      eTr.setAttribute('aria-selected', String(bSelected));
+      eTr.tabIndex = iRow === this.iFocus ? 0 : -1;
+      if( bSelected ) { this._add_classes(eTr, this.oOptions.oStyle.selected); }
+
+      if( this._has_checkbox() ) {
+         const eTd = document.createElement('td');
+         eTd.setAttribute('role', 'gridcell');
+         eTd.dataset.select = '';
+         const eCheckbox = document.createElement('input');
+         eCheckbox.type = 'checkbox';
+         eCheckbox.tabIndex = -1;                                             // row has focus, space toggles
+         eCheckbox.checked = bSelected;
+         eCheckbox.setAttribute('aria-label', this.oOptions.oText.select_row);
+         eCheckbox.addEventListener('click', (e_) => {
+            e_.stopPropagation();
+            this._select_from_input(iRow, { bToggle: true, bRange: e_.shiftKey === true });
+         });
+         eTd.appendChild(eCheckbox);
+         eTr.appendChild(eTd);
+      }
+
+      eTr.addEventListener('click', (e_) => {
+         this._select_from_input(iRow, { bToggle: e_.ctrlKey === true || e_.metaKey === true, bRange: e_.shiftKey === true });
+      });
+   }
+
+   /** -----------------------------------------------------------------------
+    * Create header cell with checkbox that selects all rows in page.
+    * @returns {HTMLElement} Header cell.
+    * @private
+    */
+   _create_select_all() {
+      const eTh = document.createElement('th');
+      eTh.setAttribute('role', 'columnheader');
+      eTh.dataset.select = '';
+      if( this.oOptions.sSelect !== 'multiple' ) return eTh;
+
+      const eCheckbox = document.createElement('input');
+      eCheckbox.type = 'checkbox';
+      eCheckbox.setAttribute('aria-label', this.oOptions.oText.select_all);
+      eCheckbox.checked = this.aIndices.length > 0 && this.aIndices.every(iRow => this.setSelected.has(iRow));
+      eCheckbox.addEventListener('click', (e_) => {
+         e_.stopPropagation();
+         this._set_selection(eCheckbox.checked ? this.GetSelectedRows().concat(this.aIndices) : this.GetSelectedRows().filter(iRow => !this.aIndices.includes(iRow)), -1);
+      });
+      eTh.appendChild(eCheckbox);
+      return eTh;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Select row from click or key, rules for toggle and range depends on sSelect.
+    * @param {number} iRow - Original row index in table.
+    * @param {Object} [oSelect] - { bToggle, bRange }, bToggle adds or removes row and bRange selects from anchor row.
+    * @private
+    */
+   _select_from_input(iRow, oSelect = {}) {
+      this._set_focus(iRow, false);
+
+      if( this.oOptions.sSelect !== 'multiple' ) {
+         this.iAnchor = iRow;
+         this._set_selection([iRow], iRow);
+         return;
+      }
+
+      // ## Range from anchor, toggle keeps rows selected before range ........
+      if( oSelect.bRange && this.aIndices.includes(this.iAnchor) ) {
+         const iFrom = this.aIndices.indexOf(this.iAnchor);
+         const iTo = this.aIndices.indexOf(iRow);
+         const aRange = this.aIndices.slice(Math.min(iFrom, iTo), Math.max(iFrom, iTo) + 1);
+         this._set_selection(oSelect.bToggle ? this.GetSelectedRows().concat(aRange) : aRange, iRow);
+         return;
+      }
+
+      this.iAnchor = iRow;
+      if( oSelect.bToggle ) {
+         const aSelected = this.GetSelectedRows();
+         this._set_selection(this.setSelected.has(iRow) ? aSelected.filter(i_ => i_ !== iRow) : aSelected.concat([iRow]), iRow);
+         return;
+      }
+
+      this._set_selection([iRow], iRow);
+   }
+
+   /** -----------------------------------------------------------------------
+    * Replace selected rows, update rendered rows and call "selection" callback.
+    * @param {Array<number>} aRows - Original row indices in table.
+    * @param {number} iOriginalIndex - Row that caused the change, -1 if none.
+    * @private
+    */
+   _set_selection(aRows, iOriginalIndex) {
+      if( !this._is_selectable() ) return;
+      if( this.oOptions.sSelect === 'single' && aRows.length > 1 ) { aRows = aRows.slice(-1); } // last row wins
+
+      this.setSelected = new Set(aRows);
+
+      // ## Update rendered rows ..............................................
+      const sSelected = this.oOptions.oStyle.selected;
+      for( const [iRow, eTr] of this.mapRow ) {
+         const bSelected = this.setSelected.has(iRow);
+         eTr.setAttribute('aria-selected', String(bSelected));
+         if( sSelected ) { eTr.classList.toggle(sSelected, bSelected); }
+         if( this._has_checkbox() ) { eTr.children[0].children[0].checked = bSelected; }
+      }
+
+      const eSelectAll = this._has_checkbox() ? this.eTable?.tHead?.querySelector('th[data-select] input') : null;
+      if( eSelectAll ) { eSelectAll.checked = this.aIndices.length > 0 && this.aIndices.every(iRow => this.setSelected.has(iRow)); }
+
+      this._get_callback_result("selection", { aSelected: this.GetSelectedRows(), iOriginalIndex });
+   }
+
+   // Remove selection without callback, used when rows in table are replaced
+   _reset_selection() {
+      this.setSelected.clear();
+      this.iAnchor = -1;
+      this.iFocus = -1;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Move keyboard focus to row, only focused row can be reached with tab.
+    * @param {number} iRow - Original row index in table.
+    * @param {boolean} [bFocus=true] - Set focus to row element.
+    * @private
+    */
+   _set_focus(iRow, bFocus = true) {
+      this.iFocus = iRow;
+      if( bFocus && this.oVirtual && !this.mapRow.has(iRow) ) { this.ScrollToRow(iRow); } // create row before it gets focus
+
+      for( const [iRow_, eTr] of this.mapRow ) {
+         eTr.tabIndex = iRow_ === iRow ? 0 : -1;
+         if( bFocus && iRow_ === iRow ) { eTr.focus(); }
+      }
+   }
+
+   /** -----------------------------------------------------------------------
+    * Keyboard navigation for rows. Arrow keys, Home and End moves focus, in
+    * 'single' selection follows focus. Shift extends range in 'multiple'.
+    * Space toggles focused row and Enter selects it.
+    * @param {KeyboardEvent} e_ - Key event from table.
+    * @private
+    */
+   _on_keydown(e_) {
+      if( this.aIndices.length === 0 ) return;
+      if( e_.target && e_.target.tagName !== 'TR' ) return;                   // keys in filter or inputs in cells
+
+      let iPosition = this.aIndices.indexOf(this.iFocus);
+      const iLast = this.aIndices.length - 1;
+
+      // ## Find row to move focus to .........................................
+      let iMove = null;
+      if( e_.key === 'ArrowDown' ) { iMove = iPosition === -1 ? 0 : Math.min(iLast, iPosition + 1); }
+      else if( e_.key === 'ArrowUp' ) { iMove = iPosition === -1 ? 0 : Math.max(0, iPosition - 1); }
+      else if( e_.key === 'Home' ) { iMove = 0; }
+      else if( e_.key === 'End' ) { iMove = iLast; }
+
+      if( iMove !== null ) {
+         e_.preventDefault();
+         const iRow = this.aIndices[iMove];
+         this._set_focus(iRow);
+         if( this.oOptions.sSelect === 'single' ) { this._select_from_input(iRow); }
+         else if( e_.shiftKey ) { this._select_from_input(iRow, { bRange: true }); }
+         else if( this.iAnchor === -1 ) { this.iAnchor = iRow; }
+         return;
+      }
+
+      if( iPosition === -1 ) { iPosition = 0; }                               // first row is reached with tab before any row has focus
+      const iRow = this.aIndices[iPosition];
+
+      if( e_.key === ' ' ) {
+         e_.preventDefault();                                                 // space scrolls page
+         this._select_from_input(iRow, { bToggle: true });
+      }
+      else if( e_.key === 'Enter' ) {
+         e_.preventDefault();
+         this._select_from_input(iRow);
+      }
    }
 
+   /** -----------------------------------------------------------------------
+    * Create editor for cell value based on column type.
+    * @param {string} sType - Column type.
+    * @param {*} value_ - Value to edit.
+    * @returns {HTMLElement} Editor element.
+    * @private
+    */
+   _create_editor(sType, value_) {
+      const eEditor = document.createElement('input');
+      this._add_classes(eEditor, this.oOptions.oStyle.editor);
+
+      if( sType === 'boolean' ) {
+         eEditor.type = 'checkbox';
+         eEditor.checked = value_ === true || value_ === 1 || value_ === '1' || value_ === 'true';
+      }
+      else {
+         eEditor.type = sType === 'number' ? 'number' : sType === 'date' ? 'date' : 'text';
+         if( value_ instanceof Date ) {                                      // local date, toISOString is UTC and may show other day
+            const fnPad = (i_) => String(i_).padStart(2, '0');
+            value_ = `${value_.getFullYear()}-${fnPad(value_.getMonth() + 1)}-${fnPad(value_.getDate())}`;
+         }
+         eEditor.value = value_ === null || value_ === undefined ? '' : String(value_);
+      }
+
+      // ## Enter and blur writes value, Escape cancels ........................
+      eEditor.addEventListener('keydown', (e_) => {
+         e_.stopPropagation();                                                // keys in editor do not move row focus
+         if( e_.key === 'Enter' ) { e_.preventDefault(); this._commit_edit(); }
+         else if( e_.key === 'Escape' ) { e_.preventDefault(); this.CancelEdit(); }
+      });
+      eEditor.addEventListener('blur', () => { this._commit_edit(); });
+      eEditor.addEventListener('click', (e_) => { e_.stopPropagation(); });  // click in editor is not a click on row
+      eEditor.addEventListener('dblclick', (e_) => { e_.stopPropagation(); });
+
+      return eEditor;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Read value from active editor and write it to table if accepted by "cell_edit" callback.
+    * @private
+    */
+   _commit_edit() {
+      const oEdit = this.oEdit;
+      if( !oEdit || oEdit.bSaving ) return;
+
+      const value_ = this._read_editor(oEdit.eEditor, this.table.GetColumnType(oEdit.iTableColumn), oEdit.valueOld);
+      if( UITableLite._is_same_value(value_, oEdit.valueOld) ) { this.CancelEdit(); return; } // nothing changed
+
+      const oColumn = this.table.aColumn[oEdit.iTableColumn];
+      const result_ = this._get_callback_result("cell_edit", {
+         value: value_, valueOld: oEdit.valueOld, iColumn: oEdit.iColumn, iRow: oEdit.iRow, iOriginalIndex: oEdit.iOriginalIndex,
+         iTableColumn: oEdit.iTableColumn, sColumn: oColumn.sName, eCell: oEdit.eCell
+      });
+
+      const fnWrite = (bWrite) => {
+         if( this.oEdit !== oEdit ) return;                                   // table was rendered while saving
+         this.oEdit = null;
+         if( bWrite ) { this.table.SetCellValue(oEdit.iOriginalIndex, oEdit.iTableColumn, value_); }
+         this._render_cell(oEdit);
+      };
+
+      // ## Promise, wait for value to be saved ...............................
+      if( result_ instanceof Promise ) {
+         oEdit.bSaving = true;
+         oEdit.eEditor.disabled = true;
+         result_.then(result_ => fnWrite(result_ !== false)).catch(error_ => {
+            console.error('UITableLite: Failed to save cell', error_);
+            fnWrite(false);
+         });
+         return;
+      }
+
+      fnWrite(result_ !== false);
+   }
+
+   /** -----------------------------------------------------------------------
+    * Read value from editor, value is converted to column type.
+    * Empty editor returns null. Boolean and date values are returned in same form as value before edit
+    * (1/0, '1'/'0' or 'true'/'false' for boolean, date string for date if old value was a string).
+    * @param {HTMLElement} eEditor - Editor element.
+    * @param {string} sType - Column type.
+    * @param {*} valueOld - Value before edit.
+    * @returns {*} Value from editor.
+    * @private
+    */
+   _read_editor(eEditor, sType, valueOld) {
+      if( sType === 'boolean' ) {
+         const bChecked = eEditor.checked;
+         if( typeof valueOld === 'number' ) { return bChecked ? 1 : 0; }
+         if( valueOld === '1' || valueOld === '0' ) { return bChecked ? '1' : '0'; }
+         if( valueOld === 'true' || valueOld === 'false' ) { return bChecked ? 'true' : 'false'; }
+         return bChecked;
+      }
+      const sValue = eEditor.value;
+      if( sValue.trim() === '' ) return null;
+      if( sType === 'number' ) {
+         const dValue = Number(sValue);
+         return isNaN(dValue) ? sValue : dValue;
+      }
+      if( sType === 'date' && typeof valueOld !== 'string' ) {
+         const aPart = /^(\d{4})-(\d{2})-(\d{2})$/.exec(sValue);
+         if( aPart ) { return new Date(Number(aPart[1]), Number(aPart[2]) - 1, Number(aPart[3])); } // local date, not UTC
+      }
+      return sValue;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Render value from table in cell that was edited.
+    * @param {Object} oEdit - Edited cell, { eCell, iColumn, iRow, iOriginalIndex, iTableColumn }.
+    * @private
+    */
+   _render_cell(oEdit) {
+      const eCell = oEdit.eCell;
+      eCell.textContent = '';
+      const value_ = this.table.GetCellValue(oEdit.iOriginalIndex, oEdit.iTableColumn);
+      this._apply_cell_content(eCell, value_, oEdit.iColumn, oEdit.iRow, oEdit.iOriginalIndex);
+   }
+
+   /** -----------------------------------------------------------------------
+    * Render page navigation after table, only rendered when paging is active.
+    * @private
+    */
+   _render_pager() {
+      if( !(this.oOptions.iPageSize > 0) ) return;
+
+      const iPageCount = this.GetPageCount();
+      const ePager = document.createElement('div');
+      this._add_classes(ePager, this.oOptions.oStyle.pager);
+
+      // ## Total count and page buttons ......................................
+      const eTotal = document.createElement('span');
+      eTotal.dataset.pager = 'total';
+      eTotal.textContent = this.oOptions.oText.rows.replace('{count}', this.iTotal);
+      ePager.appendChild(eTotal);
+
+      const aButton = [
+         { sPage: 'first', sText: '\u00ab', iPage: 0 },
+         { sPage: 'previous', sText: '\u2039', iPage: this.iPage - 1 },
+         { sPage: 'page', iPage: this.iPage },
+         { sPage: 'next', sText: '\u203a', iPage: this.iPage + 1 },
+         { sPage: 'last', sText: '\u00bb', iPage: iPageCount - 1 }
+      ];
+
+      aButton.forEach(oButton => {
+         if( oButton.sPage === 'page' ) {
+            const ePage = document.createElement('span');
+            ePage.dataset.pager = 'page';
+            ePage.textContent = `${this.iPage + 1} / ${iPageCount}`;
+            ePager.appendChild(ePage);
+            return;
+         }
+
+         const eButton = document.createElement('button');
+         eButton.type = 'button';                                              // tables are placed in forms, do not submit
+         eButton.dataset.pager = oButton.sPage;
+         eButton.textContent = oButton.sText;
+         eButton.disabled = oButton.iPage < 0 || oButton.iPage >= iPageCount || oButton.iPage === this.iPage;
+         eButton.addEventListener('click', (e_) => {
+            e_.stopPropagation();
+            const result_ = this.SetPage(oButton.iPage);
+            if( result_ instanceof Promise ) { result_.catch(error_ => console.error('UITableLite: Failed to load page', error_)); }
+         });
+         ePager.appendChild(eButton);
+      });
+
+      this._get_callback_result("pager", { ePager, iPage: this.iPage, iPageCount, iTotal: this.iTotal });
+
+      this.ePager = ePager;
+      (this.eViewport ?? this.eTable).after(ePager);
+   }
+
+   /** -----------------------------------------------------------------------
+    * Get information about page that is sent to fnProvider.
+    * @returns {Object} { iPage, iPageSize, iOffset, iSort, sSort, bDescending, aSort, sSearch }
+    * @private
+    */
+   _get_page_request() {
+      const iPageSize = this.oOptions.iPageSize;
+      const iSort = this.oOptions.iSort;
+
+      // ## Sort keys with column names, iSort is position in rendered columns
+      let aSort = this._get_sort_keys(this.table).map(oSort => {
+         const iColumn = this.table.GetColumnIndex(oSort.iColumn);
+         return { iColumn, sName: this.table.aColumn[iColumn]?.sName ?? "", bDescending: oSort.bDescending };
+      });
+
+      if( aSort.length === 0 && iSort !== 0 ) {
+         const iColumn = this._get_table_column(Math.abs(iSort) - (this.oOptions.bIndex ? 1 : 0));
+         if( iColumn >= 0 ) { aSort = [{ iColumn, sName: this.table.aColumn[iColumn].sName, bDescending: iSort < 0 }]; }
+      }
+
+      const sSort = aSort.length > 0 ? aSort[0].sName : "";
+      const bDescending = aSort.length > 0 ? aSort[0].bDescending : false;
+
+      return { iPage: this.iPage, iPageSize, iOffset: this.iPage * iPageSize, iSort, sSort, bDescending, aSort, sSearch: this.sSearch, aFilter: this.GetFilter() };
+   }
+
+   /** -----------------------------------------------------------------------
+    * Get sort keys for columns that exist in table, columns in sort keys
+    * could be missing when table is loaded from fnProvider.
+    * @param {Table} oTable - Table that is sorted.
+    * @returns {Array<Object>} Sort keys, { iColumn, bDescending }.
+    * @private
+    */
+   _get_sort_keys(oTable) {
+      return this.oOptions.aSort.filter(oSort => {
+         const iColumn = oTable.GetColumnIndex(oSort.iColumn);
+         return typeof iColumn === 'number' && iColumn >= 0 && iColumn < oTable.GetColumnCount();
+      });
+   }
+
+   /** -----------------------------------------------------------------------
+    * Get column in table for position in rendered row.
+    * @param {number} iPosition - Position in rendered row, index column is counted if bIndex.
+    * @returns {number} Column index in table, -1 for index column or if not found.
+    * @private
+    */
+   _get_table_column(iPosition) {
+      let column_ = iPosition - (this.oOptions.bIndex ? 1 : 0);
+      if( column_ < 0 ) return -1;
+      const aColumns = this._get_columns(this.table);
+      if( Array.isArray(aColumns) ) { column_ = aColumns[column_]; }
+      if( column_ === undefined ) return -1;
+
+      const iColumn = this.table.GetColumnIndex(column_);
+      return iColumn < this.table.GetColumnCount() ? iColumn : -1;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Check if column layout is used, layout is used if columns can be resized,
+    * moved or hidden.
+    * @returns {boolean} True if layout is used.
+    * @private
+    */
+   _has_layout() { return this.oOptions.bResize === true || this.oOptions.bReorder === true || this.oOptions.bChooser === true; }
+
+   /** -----------------------------------------------------------------------
+    * Get key for layout in localStorage, sLayoutKey or table name.
+    * @returns {string} Key, empty string if layout is not stored.
+    * @private
+    */
+   _get_layout_key() { return this.oOptions.sLayoutKey ?? this.table?.sName ?? ""; }
+
+   /** -----------------------------------------------------------------------
+    * Get column layout, layout is read from localStorage first time it is
+    * needed for key. Tables from fnProvider get a new Table for each page and
+    * layout is kept as long as the table name is the same.
+    * @returns {Object} Layout, { aOrder, aHidden, oWidth }.
+    * @private
+    */
+   _get_layout() {
+      const sKey = this._get_layout_key();
+      if( this.oLayout && this.sLayoutKey === sKey ) return this.oLayout;
+
+      let oStored = null;
+      if( sKey ) {
+         try { oStored = JSON.parse(localStorage.getItem(sKey) ?? "null"); }
+         catch( error_ ) { console.warn('UITableLite: Failed to read layout', error_); }
+      }
+
+      this.oLayout = {
+         aOrder: Array.isArray(oStored?.aOrder) ? oStored.aOrder : [],
+         aHidden: Array.isArray(oStored?.aHidden) ? oStored.aHidden : [],
+         oWidth: oStored?.oWidth && typeof oStored.oWidth === 'object' ? oStored.oWidth : {}
+      };
+      this.sLayoutKey = sKey;
+      return this.oLayout;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Store layout in localStorage and call "layout" callback. Storage may be
+    * full or blocked, layout is then only kept in memory.
+    * @private
+    */
+   _save_layout() {
+      const sKey = this._get_layout_key();
+      if( sKey ) {
+         try { localStorage.setItem(sKey, JSON.stringify(this._get_layout())); }
+         catch( error_ ) { console.warn('UITableLite: Failed to store layout', error_); }
+      }
+
+      this._get_callback_result("layout", { oLayout: this.GetLayout() });
+   }
+
+   /** -----------------------------------------------------------------------
+    * Get name for column in table.
+    * @param {number|string} column_ - Column index or name.
+    * @returns {string|null} Column name or null if column is not found.
+    * @private
+    */
+   _get_column_name(column_) {
+      const iColumn = this.table.GetColumnIndex(column_);
+      if( typeof iColumn !== 'number' || iColumn < 0 || iColumn >= this.table.GetColumnCount() ) return null;
+      return this.table.aColumn[iColumn].sName;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Get columns from aColumns (or all columns) in layout order, hidden
+    * columns are included. Columns not in layout are placed last.
+    * @param {Table} oTable - Table with columns.
+    * @returns {Array<number>} Column indexes in table.
+    * @private
+    */
+   _get_ordered_columns(oTable) {
+      const iCount = oTable.GetColumnCount();
+      const aColumn = Array.isArray(this.oOptions.aColumns)
+         ? this.oOptions.aColumns.map(column_ => oTable.GetColumnIndex(column_)).filter(iColumn => typeof iColumn === 'number' && iColumn >= 0 && iColumn < iCount)
+         : Array.from({ length: iCount }, (_, i) => i);
+
+      const aOrder = this._get_layout().aOrder;
+      if( aOrder.length === 0 ) return aColumn;
+
+      const fnRank = (iColumn) => {
+         const iRank = aOrder.indexOf(oTable.aColumn[iColumn].sName);
+         return iRank === -1 ? aOrder.length : iRank;
+      };
+      return aColumn.map((iColumn, i) => ({ iColumn, i })).sort((a, b) => fnRank(a.iColumn) - fnRank(b.iColumn) || a.i - b.i).map(o_ => o_.iColumn);
+   }
+
+   /** -----------------------------------------------------------------------
+    * Get columns to render. Without layout aColumns is returned, with layout
+    * columns are ordered and hidden columns removed.
+    * @param {Table} oTable - Table with columns.
+    * @returns {Array<number|string>|null} Columns passed to GetData, null = all columns.
+    * @private
+    */
+   _get_columns(oTable) {
+      if( !this._has_layout() ) return this.oOptions.aColumns;
+
+      const aHidden = this._get_layout().aHidden;
+      const aOrdered = this._get_ordered_columns(oTable);
+      const aColumn = aOrdered.filter(iColumn => !aHidden.includes(oTable.aColumn[iColumn].sName));
+      return aColumn.length > 0 ? aColumn : aOrdered;                        // stored layout may hide all columns
+   }
+
+   /** -----------------------------------------------------------------------
+    * Apply layout to header cell, width is set and cell gets handle for
+    * resize and grip for reorder.
+    * @param {HTMLElement} eTh - Header cell.
+    * @param {number} iPosition - Position for header cell in rendered row.
+    * @private
+    */
+   _apply_header_layout(eTh, iPosition) {
+      const iColumn = this._get_table_column(iPosition);
+      if( !this._has_layout() || iColumn < 0 ) return;                       // index column has no layout
+
+      const sName = this.table.aColumn[iColumn].sName;
+      eTh.dataset.column = sName;
+      const iWidth = this._get_layout().oWidth[sName];
+      if( iWidth > 0 ) { eTh.style.width = `${iWidth}px`; }
+
+      // ## Resize, drag handle at right edge of cell ........................
+      if( this.oOptions.bResize ) {
+         const eHandle = document.createElement('span');
+         eHandle.dataset.resize = '';
+         eHandle.setAttribute('aria-hidden', 'true');
+         this._add_classes(eHandle, this.oOptions.oStyle.resize);
+         eHandle.addEventListener('click', (e_) => e_.stopPropagation());    // click on handle do not sort
+         eTh.appendChild(eHandle);
+
+         let iStartWidth = 0;
+         this.aDraggable.push(new UIDraggable(eHandle, {
+            bMove: false,
+            fnOnDragStart: () => { iStartWidth = eTh.getBoundingClientRect().width; },
+            fnOnDragMove: (oDrag) => { eTh.style.width = `${Math.max(UITableLite.iMinWidth_s, Math.round(iStartWidth + oDrag.iDeltaX))}px`; },
+            fnOnDragEnd: (oDrag) => {
+               if( oDrag.iDeltaX === 0 ) return;
+               this._set_dragged();
+               this._get_layout().oWidth[sName] = Math.max(UITableLite.iMinWidth_s, Math.round(iStartWidth + oDrag.iDeltaX));
+               this._save_layout();
+            }
+         }));
+      }
+
+      // ## Reorder, grip at start of cell is dragged and cell is dropped before other column
+      //    Drag starts from grip only, pointer down on rest of cell is a click that sorts.
+      if( this.oOptions.bReorder ) {
+         const eGrip = document.createElement('span');
+         eGrip.dataset.reorder = '';
+         eGrip.setAttribute('aria-hidden', 'true');
+         this._add_classes(eGrip, this.oOptions.oStyle.reorder);
+         eGrip.addEventListener('click', (e_) => e_.stopPropagation());      // click on grip do not sort
+         eTh.insertBefore(eGrip, eTh.firstChild);
+
+         this.aDraggable.push(new UIDraggable(eGrip, {
+            bMove: false,
+            fnOnDragMove: (oDrag) => { eTh.style.transform = `translateX(${oDrag.iDeltaX}px)`; },
+            fnOnDragEnd: (oDrag) => {
+               const sBefore = this._get_drop_column(eTh);
+               eTh.style.transform = '';
+               if( Math.abs(oDrag.iDeltaX) < 4 ) return;                     // click, not moved
+               this._set_dragged();
+               this.MoveColumn(sName, sBefore);
+            }
+         }));
+      }
+   }
+
+   /** -----------------------------------------------------------------------
+    * Find column that dragged header cell is dropped before, that is the
+    * first header cell with center to the right of dragged cell center.
+    * @param {HTMLElement} eTh - Dragged header cell.
+    * @returns {string|null} Column name or null if cell is dropped last.
+    * @private
+    */
+   _get_drop_column(eTh) {
+      const oRect = eTh.getBoundingClientRect();
+      const dCenter = oRect.left + oRect.width / 2;
+
+      for( const eCell of eTh.parentNode.children ) {
+         if( eCell === eTh || eCell.dataset.column === undefined ) continue;
+         const oCell = eCell.getBoundingClientRect();
+         if( dCenter < oCell.left + oCell.width / 2 ) return eCell.dataset.column;
+      }
+      return null;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Mark that header was dragged. Click is sent after mouseup and is
+    * ignored, mark is removed when events for mouseup are done.
+    * @private
+    */
+   _set_dragged() {
+      this.bDragged = true;
+      setTimeout(() => { this.bDragged = false; }, 0);
+   }
+
+   /** -----------------------------------------------------------------------
+    * Remove UIDraggable for header cells, listeners on document are removed.
+    * @private
+    */
+   _destroy_draggable() {
+      this.aDraggable.forEach(oDraggable => oDraggable.Destroy());
+      this.aDraggable = [];
+   }
+
+   /** -----------------------------------------------------------------------
+    * Create column menu before table, menu is created once and kept when
+    * table is rendered again.
+    * @private
+    */
+   _create_chooser() {
+      if( this.eChooser ) return;
+
+      this.eChooser = document.createElement('div');
+      this._add_classes(this.eChooser, this.oOptions.oStyle.chooser);
+
+      const eButton = document.createElement('button');
+      eButton.type = 'button';
+      eButton.textContent = this.oOptions.oText.columns;
+      eButton.setAttribute('aria-haspopup', 'true');
+      eButton.setAttribute('aria-expanded', 'false');
+      eButton.addEventListener('click', () => {
+         if( this.eChooser.lastChild.hidden ) { this._open_chooser(); }
+         else { this._close_chooser(); }
+      });
+
+      const eMenu = document.createElement('div');
+      eMenu.setAttribute('role', 'menu');
+      eMenu.hidden = true;
+      eMenu.addEventListener('keydown', (e_) => {
+         if( e_.key !== 'Escape' ) return;
+         this._close_chooser();
+         eButton.focus();
+      });
+
+      this.eChooser.appendChild(eButton);
+      this.eChooser.appendChild(eMenu);
+      this.eParent.appendChild(this.eChooser);                                // called before table is added to parent
+   }
+
+   /** -----------------------------------------------------------------------
+    * Open column menu, menu is closed when clicking outside it.
+    * @private
+    */
+   _open_chooser() {
+      const eMenu = this.eChooser.lastChild;
+      this._render_chooser_menu();
+      eMenu.hidden = false;
+      this.eChooser.firstChild.setAttribute('aria-expanded', 'true');
+
+      this.fnChooserClose = (e_) => { if( !this.eChooser?.contains(e_.target) ) { this._close_chooser(); } };
+      document.addEventListener('click', this.fnChooserClose);
+   }
+
+   /** -----------------------------------------------------------------------
+    * Close column menu.
+    * @private
+    */
+   _close_chooser() {
+      if( this.fnChooserClose ) {
+         document.removeEventListener('click', this.fnChooserClose);
+         this.fnChooserClose = null;
+      }
+      if( !this.eChooser ) return;
+      this.eChooser.lastChild.hidden = true;
+      this.eChooser.firstChild.setAttribute('aria-expanded', 'false');
+   }
+
+   /** -----------------------------------------------------------------------
+    * Fill column menu with checkbox for each column and button to reset layout.
+    * @private
+    */
+   _render_chooser_menu() {
+      const eMenu = this.eChooser.lastChild;
+      eMenu.textContent = '';
+
+      const aHidden = this._get_layout().aHidden;
+      for( const iColumn of this._get_ordered_columns(this.table) ) {
+         const oColumn = this.table.aColumn[iColumn];
+
+         const eLabel = document.createElement('label');
+         eLabel.setAttribute('role', 'menuitemcheckbox');
+         const eInput = document.createElement('input');
+         eInput.type = 'checkbox';
+         eInput.checked = !aHidden.includes(oColumn.sName);
+         eLabel.setAttribute('aria-checked', String(eInput.checked));
+         eInput.addEventListener('change', () => {
+            if( this.SetColumnVisible(oColumn.sName, eInput.checked) === null ) { eInput.checked = true; } // last visible column
+            eLabel.setAttribute('aria-checked', String(eInput.checked));
+         });
+
+         eLabel.appendChild(eInput);
+         eLabel.appendChild(document.createTextNode(oColumn.sAlias || oColumn.sName));
+         eMenu.appendChild(eLabel);
+      }
+
+      const eReset = document.createElement('button');
+      eReset.type = 'button';
+      eReset.textContent = this.oOptions.oText.reset;
+      eReset.addEventListener('click', () => {
+         this.ResetLayout();
+         this._render_chooser_menu();
+      });
+      eMenu.appendChild(eReset);
+   }
+
+   /** -----------------------------------------------------------------------
+    * Find rows that match search text and all filters. Search text matches
+    * if any value contains text, case is ignored. Each filter is a FindAll
+    * call and rows must be found by all.
+    * @param {Table} oTable - Table to search in.
+    * @returns {Array<number>} Indexes for matching rows.
+    * @private
+    */
+   _find_rows(oTable) {
+      const aFind = [];
+
+      if( this.sSearch !== "" ) {
+         const sFind = this.sSearch.toLowerCase();
+         aFind.push(oTable.FindAll((aRow) => aRow.some(value_ => value_ !== null && value_ !== undefined && String(value_).toLowerCase().includes(sFind))));
+      }
+
+      // ## Filter for each column .............................................
+      for( const [iColumn, oFilter] of this.mapFilter ) {
+         if( iColumn >= oTable.GetColumnCount() ) continue;
+
+         if( oFilter.aValue ) {
+            aFind.push(oTable.FindAll({ value: oFilter.aValue, iColumn }));    // select list, match any of values
+         }
+         else if( oFilter.sText !== undefined ) {
+            const sText = oFilter.sText.toLowerCase();
+            aFind.push(oTable.FindAll((aRow) => aRow[iColumn] !== null && aRow[iColumn] !== undefined && String(aRow[iColumn]).toLowerCase().includes(sText)));
+         }
+         else {
+            aFind.push(oTable.FindAll((aRow) => {
+               if( aRow[iColumn] === null || aRow[iColumn] === undefined || aRow[iColumn] === "" ) return false;
+               const dValue = Number(aRow[iColumn]);
+               if( isNaN(dValue) ) return false;
+               return (oFilter.dMin === undefined || dValue >= oFilter.dMin) && (oFilter.dMax === undefined || dValue <= oFilter.dMax);
+            }));
+         }
+      }
+
+      // ## Rows found by all searches ........................................
+      if( aFind.length === 0 ) { return oTable.FindAll(() => true); }
+      return aFind.reduce((aRows, aNext) => {
+         const setNext = new Set(aNext);
+         return aRows.filter(iRow => setNext.has(iRow));
+      });
+   }
+
+   /** -----------------------------------------------------------------------
+    * Convert filter to format used in mapFilter, empty filter returns null.
+    * @param {string|Object|null} filter_ - Text, { dMin, dMax } or { aValue }.
+    * @returns {Object|null} { sText } | { dMin, dMax } | { aValue } or null.
+    * @private
+    */
+   static _normalize_filter(filter_) {
+      if( filter_ === null || filter_ === undefined ) return null;
+      if( typeof filter_ === 'string' || typeof filter_ === 'number' ) {
+         const sText = String(filter_).trim();
+         return sText === "" ? null : { sText };
+      }
+      if( Array.isArray(filter_.aValue) ) { return filter_.aValue.length > 0 ? { aValue: filter_.aValue.slice() } : null; }
+      if( typeof filter_.sText === 'string' ) { return UITableLite._normalize_filter(filter_.sText); }
+
+      const oRange = {};
+      const fnNumber = (v_) => v_ === null || v_ === undefined || v_ === "" || isNaN(Number(v_)) ? undefined : Number(v_);
+      if( fnNumber(filter_.dMin) !== undefined ) { oRange.dMin = fnNumber(filter_.dMin); }
+      if( fnNumber(filter_.dMax) !== undefined ) { oRange.dMax = fnNumber(filter_.dMax); }
+      return Object.keys(oRange).length > 0 ? oRange : null;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Compare values from cell editor, null, undefined and empty string are the same and
+    * other values are compared as text (dates by time).
+    * @param {*} v1_ - First value.
+    * @param {*} v2_ - Second value.
+    * @returns {boolean} True if values are the same.
+    * @private
+    */
+   static _is_same_value(v1_, v2_) {
+      const bEmpty1 = v1_ === null || v1_ === undefined || v1_ === "";
+      const bEmpty2 = v2_ === null || v2_ === undefined || v2_ === "";
+      if( bEmpty1 || bEmpty2 ) { return bEmpty1 === bEmpty2; }
+      if( v1_ instanceof Date || v2_ instanceof Date ) {
+         const fnTime = (v_) => v_ instanceof Date ? v_.getTime() : new Date(v_).getTime();
+         return fnTime(v1_) === fnTime(v2_);
+      }
+      return String(v1_) === String(v2_);
+   }
+
+   /** -----------------------------------------------------------------------
+    * Get filter type for column, 'text', 'range' or 'select'.
+    * @param {number} iColumn - Column index in table.
+    * @returns {string} Filter type.
+    * @private
+    */
+   _get_filter_type(iColumn) {
+      const oColumn = this.table.aColumn[iColumn];
+      const sType = this.oOptions.oFilterType?.[oColumn.sName];
+      if( sType ) return sType;
+
+      if( oColumn.sType === 'number' ) return 'range';
+      const aValue = this._get_distinct(iColumn, this.oOptions.iFilterList + 1);
+      if( aValue.length > 0 && aValue.length <= this.oOptions.iFilterList && aValue.length < this.table.GetRowCount() ) return 'select';
+      return 'text';
+   }
+
+   /** -----------------------------------------------------------------------
+    * Get distinct values in column, sorted. Empty values are skipped.
+    * @param {number} iColumn - Column index in table.
+    * @param {number} [iMax] - Stop when this number of values is found.
+    * @returns {Array} Distinct values.
+    * @private
+    */
+   _get_distinct(iColumn, iMax = Infinity) {
+      const setValue = new Set();
+      for( let iRow = 0; iRow < this.table.GetRowCount() && setValue.size < iMax; iRow++ ) {
+         const value_ = this.table.GetCellValue(iRow, iColumn);
+         if( value_ !== null && value_ !== undefined && value_ !== "" ) { setValue.add(value_); }
+      }
+      return Array.from(setValue).sort((a_, b_) => Table._CompareValue(a_, b_, typeof a_ === 'string' || typeof b_ === 'string'));
+   }
+
+   /** -----------------------------------------------------------------------
+    * Create filter row with one cell for each rendered column.
+    * Table is rendered again when filter changes, focus is moved to the new
+    * filter input so typing continues.
+    * @param {number} iCount - Number of rendered columns.
+    * @returns {HTMLElement} The tr element.
+    * @private
+    */
+   _create_filter_row(iCount) {
+      const eTr = document.createElement('tr');
+      eTr.dataset.filter = '';
+      this._add_classes(eTr, this.oOptions.oStyle.filter);
+      if( this._is_selectable() ) { eTr.setAttribute('role', 'row'); }
+      if( this._has_checkbox() ) { eTr.appendChild(document.createElement('th')); }
+
+      for( let i = 0; i < iCount; i++ ) {
+         const eTh = document.createElement('th');
+         const iColumn = this._get_table_column(i);
+         if( iColumn >= 0 ) { this._create_filter(eTh, iColumn); }
+         eTr.appendChild(eTh);
+      }
+
+      return eTr;
+   }
+
+   /** -----------------------------------------------------------------------
+    * Create filter inputs for column in cell.
+    * @param {HTMLElement} eTh - Cell in filter row.
+    * @param {number} iColumn - Column index in table.
+    * @private
+    */
+   _create_filter(eTh, iColumn) {
+      const oFilter = this.mapFilter.get(iColumn) ?? {};
+      const sType = this._get_filter_type(iColumn);
+      const sName = this.table.aColumn[iColumn].sName;
+
+      const fnInput = (sTag, sPart) => {
+         const eInput = document.createElement(sTag);
+         eInput.dataset.filterColumn = String(iColumn);
+         eInput.dataset.filterPart = sPart;
+         eInput.setAttribute('aria-label', `${this.oOptions.oText.filter} ${sName}${sPart === 'value' ? '' : ' ' + sPart}`);
+         eInput.addEventListener('click', (e_) => { e_.stopPropagation(); });  // click in filter does not sort
+         eTh.appendChild(eInput);
+         return eInput;
+      };
+
+      // ## Select list with distinct values ....................................
+      if( sType === 'select' ) {
+         const eSelect = fnInput('select', 'value');
+         const aValue = this._get_distinct(iColumn);
+         eSelect.appendChild(new Option('', ''));
+         aValue.forEach((value_, i) => { eSelect.appendChild(new Option(String(value_), String(i))); });
+         const iSelected = oFilter.aValue ? aValue.indexOf(oFilter.aValue[0]) : -1;
+         eSelect.value = iSelected === -1 ? '' : String(iSelected);
+         eSelect.addEventListener('change', () => {
+            this._on_filter(iColumn, eSelect.value === '' ? null : { aValue: [aValue[Number(eSelect.value)]] }, eSelect);
+         });
+         return;
+      }
+
+      // ## Range with min and max ..............................................
+      if( sType === 'range' ) {
+         const eMin = fnInput('input', 'min');
+         const eMax = fnInput('input', 'max');
+         eMin.type = eMax.type = 'number';
+         eMin.placeholder = this.oOptions.oText.min;
+         eMax.placeholder = this.oOptions.oText.max;
+         eMin.value = oFilter.dMin ?? '';
+         eMax.value = oFilter.dMax ?? '';
+         const fnRange = (eInput) => this._on_filter_input(iColumn, () => this._on_filter(iColumn, { dMin: eMin.value, dMax: eMax.value }, eInput));
+         eMin.addEventListener('input', () => fnRange(eMin));
+         eMax.addEventListener('input', () => fnRange(eMax));
+         return;
+      }
+
+      // ## Text that is contained in value ....................................
+      const eText = fnInput('input', 'value');
+      eText.type = 'search';
+      eText.value = oFilter.sText ?? '';
+      eText.addEventListener('input', () => this._on_filter_input(iColumn, () => this._on_filter(iColumn, eText.value, eText)));
+   }
+
+   /** -----------------------------------------------------------------------
+    * Wait for typing to pause before filter is set, each key in input
+    * restarts timer so only last value is filtered (or sent to provider).
+    * @param {number|string} key_ - Column index for filter or 'search' for quick search.
+    * @param {Function} fnFilter - Sets filter from input.
+    * @private
+    */
+   _on_filter_input(key_, fnFilter) {
+      clearTimeout(this.mapInputTimer.get(key_));
+      this.mapInputTimer.set(key_, setTimeout(() => { this.mapInputTimer.delete(key_); fnFilter(); }, UITableLite.iInputDelay_s));
+   }
+
+   /** -----------------------------------------------------------------------
+    * Set filter from filter input, focus is restored to input after render.
+    * @param {number} iColumn - Column index in table.
+    * @param {string|Object|null} filter_ - New filter for column.
+    * @param {HTMLElement} eInput - Input that was changed.
+    * @private
+    */
+   _on_filter(iColumn, filter_, eInput) {
+      const sPart = eInput.dataset.filterPart;
+      const iCaret = typeof eInput.selectionStart === 'number' ? eInput.selectionStart : null;
+
+      const fnFocus = () => {
+         const eFocus = this.eTable?.tHead?.querySelector(`[data-filter-column="${iColumn}"][data-filter-part="${sPart}"]`);
+         if( !eFocus ) return;
+         eFocus.focus();
+         if( iCaret !== null && typeof eFocus.setSelectionRange === 'function' ) {
+            try { eFocus.setSelectionRange(iCaret, iCaret); } catch( e_ ) { /* number inputs do not have caret */ }
+         }
+      };
+
+      const result_ = this.SetFilter(iColumn, filter_);
+      if( result_ instanceof Promise ) { result_.then(fnFocus).catch(error_ => console.error('UITableLite: Failed to load filtered page', error_)); }
+      else { fnFocus(); }
+   }
+
+   /** -----------------------------------------------------------------------
+    * Create quick search box before table, box is created once and kept
+    * when table is rendered again.
+    * @private
+    */
+   _create_search() {
+      if( this.eSearch ) return;
+
+      this.eSearch = document.createElement('input');
+      this.eSearch.type = 'search';
+      this.eSearch.placeholder = this.oOptions.oText.search;
+      this.eSearch.setAttribute('aria-label', this.oOptions.oText.search_label);
+      this._add_classes(this.eSearch, this.oOptions.oStyle.search);
+      this.eSearch.value = this.sSearch;
+      this.eSearch.addEventListener('input', () => this._on_filter_input('search', () => {
+         if( !this.eSearch ) return;                                          // table is destroyed
+         const result_ = this.Search(this.eSearch.value);
+         if( result_ instanceof Promise ) { result_.catch(error_ => console.error('UITableLite: Failed to search', error_)); }
+      }));
+
+      this.eParent.appendChild(this.eSearch);                                 // called before table is added to parent
+   }
+
+
    /** -----------------------------------------------------------------------
     * Add CSS classes to an element from string or array.
     * @param {HTMLElement} element_ - The element to add classes to.